@@ -1,6 +1,8 @@
 (function () {
+  const log = Logger.create('Game');
+
   document.addEventListener('DOMContentLoaded', function () {
-    console.log('Initializing THE MULTIVERSE OF CARLOS...');
+    log.debug('Initializing THE MULTIVERSE OF CARLOS...');
 
     // --- FUNNY UI LOGIC ---
 
@@ -82,7 +84,12 @@
 
       audio.addEventListener('ended', () => {
         audioBtn.classList.remove('playing');
+        AudioManager.duck(false);
       });
+
+      // Turn the music down while the greeting plays
+      audio.addEventListener('play', () => AudioManager.duck(true));
+      audio.addEventListener('pause', () => AudioManager.duck(false));
     }
 
     // --- GAME INITIALIZATION ---
@@ -90,12 +97,17 @@
     const assetUrls = {
       faceOpen: 'assets/face-open.png',
       faceClosed: 'assets/face-closed.png',
-      ghost_linkedin: 'assets/ghost_linkedin_monster.png',
-      ghost_kaggle: 'assets/ghost_kaggle_monster.png',
-      ghost_github: 'assets/ghost_github_monster.png',
-      ghost_hf: 'assets/ghost_hf_monster.png'
+      ...GhostRegistry.getAssetUrls(),
+      bonus_medium: 'assets/medium_icon.svg',
+      bonus_scholar: 'assets/scholar_icon.svg'
     };
 
+    // Animation clips for each character, built from the images above plus any sprite sheets
+    const clipDefinitions = { player: Player.getClipDefinitions() };
+    GhostRegistry.getTypes().forEach(type => {
+      clipDefinitions[type] = Ghost.getClipDefinitions(type);
+    });
+
     // Show a loading message
     const gameContainer = document.getElementById('game-container');
     const loadingElement = document.createElement('div');
@@ -118,12 +130,18 @@
 
     try {
       AssetManager.loadImages(assetUrls)
+        .then(function (loadedAssets) {
+          return AssetManager.loadClips(clipDefinitions, loadedAssets).then(function (clips) {
+            loadedAssets.clips = clips;
+            return loadedAssets;
+          });
+        })
         .then(function (loadedAssets) {
           gameContainer.removeChild(loadingElement);
           startGame(loadedAssets);
         })
         .catch(function (error) {
-          console.warn('Falling back to SVG:', error);
+          log.warn('Falling back to SVG:', error);
           loadingElement.textContent = 'Generating Retro Vibe...';
 
           setTimeout(function () {
@@ -133,30 +151,38 @@
                 startGame(svgAssets);
               })
               .catch(error => {
-                console.error('Error generating assets:', error);
+                log.error('Error generating assets:', error);
                 loadingElement.textContent = 'Error: The Multiverse is unstable.';
                 loadingElement.style.color = 'red';
               });
           }, 500);
         });
     } catch (e) {
-      console.error('Error initializing game:', e);
+      log.error('Error initializing game:', e);
     }
   });
 
   let currentEngine = null;
+  let currentGameName = null;
   let globalAssets = null;
 
   function startGame(assets) {
     // Initialize CanvasManager to ensure correct dimensions
     if (window.CanvasManager) {
       window.CanvasManager.initialize();
+
+      // ?resolution=320x240 draws at a fixed size, scaled up in whole pixels
+      const resolution = /^([1-9]\d*)x([1-9]\d*)$/.exec(new URLSearchParams(window.location.search).get('resolution') || '');
+      if (resolution) {
+        window.CanvasManager.setFixedResolution({ width: Number(resolution[1]), height: Number(resolution[2]) });
+      }
     }
 
     globalAssets = assets;
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    // Touch-first screens get the swipe instructions, whatever the device claims to be
+    const isTouchFirst = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
 
-    if (isMobile) {
+    if (isTouchFirst) {
       const mobileInstructions = document.getElementById('mobile-instructions');
       if (mobileInstructions) {
         mobileInstructions.classList.remove('hidden');
@@ -183,14 +209,53 @@
     const activeBtn = document.querySelector('.selector-btn.active');
     if (activeBtn) {
       const gameName = activeBtn.dataset.game;
-      console.log(`Pre-selected ${gameName}. Waiting for START MISSION...`);
+      log.debug(`Pre-selected ${gameName}. Waiting for START MISSION...`);
+    }
+
+    // --- HIGH SCORES ---
+    if (window.HighScoreBoard) {
+      HighScoreBoard.initialize();
+      if (activeBtn) HighScoreBoard.showCompact(activeBtn.dataset.game);
     }
 
     const startBtn = document.getElementById('start-game-btn');
     const startOverlay = document.getElementById('game-start-overlay');
 
+    // --- REPLAYS ---
+    if (window.ReplayViewer) {
+      ReplayViewer.initialize({
+        getAssets: () => globalAssets,
+        onWatch: () => {
+          if (currentEngine && currentEngine.stop) currentEngine.stop();
+          currentEngine = GameEngine;
+          if (startOverlay) startOverlay.classList.add('hidden');
+          const gameOver = document.getElementById('game-over');
+          if (gameOver) gameOver.classList.add('hidden');
+        },
+        onClose: () => {
+          currentEngine = null;
+          if (startOverlay) startOverlay.classList.remove('hidden');
+        }
+      });
+    }
+
+    // --- LEVEL EDITOR ---
+    if (window.LevelEditor) {
+      LevelEditor.initialize({
+        getAssets: () => globalAssets,
+        onPlayTest: () => {
+          currentEngine = GameEngine;
+        },
+        onReturn: () => {
+          currentEngine = LevelEditor;
+        }
+      });
+    }
+
     if (startBtn && startOverlay) {
       startBtn.addEventListener('click', () => {
+        // Browsers only allow sound once the player has clicked something
+        AudioManager.unlock();
         startOverlay.classList.add('hidden');
         const activeBtn = document.querySelector('.selector-btn.active');
         if (activeBtn) {
@@ -201,13 +266,29 @@
   }
 
   function switchMultiverse(gameName, actuallyStart = false) {
-    console.log(`Switching to ${gameName} (Auto-start: ${actuallyStart})...`);
+    log.debug(`Switching to ${gameName} (Auto-start: ${actuallyStart})...`);
+    if (window.ReplayViewer) ReplayViewer.close();
+    if (window.LevelEditor) LevelEditor.stop();
     if (currentEngine && currentEngine.stop) currentEngine.stop();
+    showPaused(false);
+    if (window.HighScoreBoard) {
+      HighScoreBoard.commitPending();
+      HighScoreBoard.showCompact(gameName);
+    }
 
     const gameOver = document.getElementById('game-over');
     const startOverlay = document.getElementById('game-start-overlay');
     if (gameOver) gameOver.classList.add('hidden');
 
+    // The editor has nothing to start, so it opens straight away
+    if (gameName === 'editor') {
+      if (startOverlay) startOverlay.classList.add('hidden');
+      document.body.classList.remove('game-active');
+      currentEngine = LevelEditor;
+      LevelEditor.open();
+      return;
+    }
+
     if (!actuallyStart && startOverlay) {
       startOverlay.classList.remove('hidden');
     }
@@ -216,6 +297,7 @@
     const canvas = document.getElementById('gameCanvas');
 
     if (actuallyStart) {
+      currentGameName = gameName;
       if (gameName === 'adventure') {
         currentEngine = GameEngine;
         GameEngine.initialize(globalAssets);
@@ -229,47 +311,245 @@
     }
   }
 
+  // --- PAUSE ---
+
+  /**
+   * Show or hide the pause overlay and update the pause button.
+   * @param {boolean} paused - Whether the game is paused
+   */
+  function showPaused(paused) {
+    const pauseOverlay = document.getElementById('pause-overlay');
+    const pauseBtn = document.getElementById('pause-btn');
+    if (pauseOverlay) pauseOverlay.classList.toggle('hidden', !paused);
+    if (pauseBtn) pauseBtn.textContent = paused ? 'RESUME' : 'PAUSE';
+  }
+
+  /**
+   * Pause or resume whichever game is being played.
+   * @param {boolean} paused - True to pause, false to resume
+   */
+  function setPaused(paused) {
+    if (!currentEngine || !currentEngine.pause) return;
+
+    if (paused) {
+      // Engines refuse to pause when there's nothing running
+      if (!currentEngine.pause()) return;
+    } else {
+      currentEngine.resume();
+    }
+    showPaused(paused);
+  }
+
+  /**
+   * Pause the current game, or resume it if it is paused.
+   */
+  function togglePause() {
+    setPaused(!(currentEngine && currentEngine.isPaused && currentEngine.isPaused()));
+  }
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'p' && e.key !== 'P') return;
+    // Don't steal the letter from text boxes (e.g. Carlos' Mind guesses)
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+    if (e.repeat) return;
+    togglePause();
+  });
+
+  // Pause automatically when the player looks away
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) setPaused(true);
+  });
+  window.addEventListener('blur', () => setPaused(true));
+
+  const pauseBtn = document.getElementById('pause-btn');
+  if (pauseBtn) pauseBtn.addEventListener('click', togglePause);
+
+  const resumeBtn = document.getElementById('resume-button');
+  if (resumeBtn) resumeBtn.addEventListener('click', () => setPaused(false));
+
+  // --- SOUND ---
+
+  /**
+   * Show whether sound is on in the mute button.
+   */
+  function showMuted() {
+    const muteBtn = document.getElementById('mute-btn');
+    if (muteBtn) muteBtn.textContent = AudioManager.getSettings().muted ? 'MUTED' : 'SOUND ON';
+  }
+
+  const muteBtn = document.getElementById('mute-btn');
+  if (muteBtn) {
+    muteBtn.addEventListener('click', () => {
+      AudioManager.toggleMute();
+      showMuted();
+    });
+  }
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'm' && e.key !== 'M') return;
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+    if (e.repeat) return;
+    AudioManager.toggleMute();
+    showMuted();
+  });
+
+  // Volume sliders in the pause overlay, in percent
+  const volumeSliders = {
+    'master-volume': { key: 'master', set: AudioManager.setMasterVolume },
+    'sfx-volume': { key: 'sfx', set: AudioManager.setSfxVolume },
+    'music-volume': { key: 'music', set: AudioManager.setMusicVolume }
+  };
+  Object.keys(volumeSliders).forEach(id => {
+    const slider = document.getElementById(id);
+    if (!slider) return;
+    const { key, set } = volumeSliders[id];
+    slider.value = Math.round(AudioManager.getSettings()[key] * 100);
+    slider.addEventListener('input', () => set(slider.value / 100));
+  });
+  showMuted();
+
   // Exposed helper for engines
-  window.showGameOver = function (score, message) {
+  window.showGameOver = function (score, message, level) {
     const gameOver = document.getElementById('game-over');
     const finalScore = document.getElementById('finalScore');
     const title = gameOver.querySelector('h2');
+    const watchReplay = document.getElementById('watch-replay-button');
+
+    // Only Adventure runs are recorded and have bonus items
+    if (watchReplay) watchReplay.classList.add('hidden');
+    const bonusUnlocked = document.getElementById('bonus-unlocked');
+    if (bonusUnlocked) bonusUnlocked.classList.add('hidden');
+    showPaused(false);
 
     if (finalScore) finalScore.textContent = score;
     if (title && message) title.textContent = message;
 
     gameOver.classList.remove('hidden');
     document.body.classList.remove('game-active');
+
+    if (window.HighScoreBoard && currentGameName) {
+      HighScoreBoard.recordScore(currentGameName, score, level);
+    }
   };
 
+  // --- GAMEPAD ---
+
+  /**
+   * Show or hide the gamepad indicator.
+   * @param {Array<string>} gamepadIds - Ids of the connected gamepads
+   */
+  function showGamepads(gamepadIds) {
+    const indicator = document.getElementById('gamepad-indicator');
+    if (!indicator) return;
+    indicator.classList.toggle('hidden', gamepadIds.length === 0);
+    indicator.title = gamepadIds.join('\n');
+  }
+  InputHandler.watchGamepads(showGamepads);
+
+  /**
+   * Check whether an overlay is showing.
+   * @param {string} id - Overlay element id
+   * @returns {boolean} True if it is on screen
+   */
+  function isShowing(id) {
+    const element = document.getElementById(id);
+    return !!element && !element.classList.contains('hidden');
+  }
+
+  /**
+   * Check whether the player is typing in a text field. The initial slots
+   * don't count: the action button is their OK.
+   * @returns {boolean} True if such a field has focus
+   */
+  function isTypingInField() {
+    const element = document.activeElement;
+    const isTextField = !!element && (element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && element.type === 'text'));
+    return isTextField && !element.closest('.initials-entry');
+  }
+
+  /**
+   * Check whether the game over screen is asking for initials.
+   * @returns {boolean} True while the initials entry is open
+   */
+  function isEnteringInitials() {
+    return isShowing('game-over') && !!window.HighScoreBoard && HighScoreBoard.isEntering();
+  }
+
+  /**
+   * Start the game that just ended over again. GameEngine restarts itself,
+   * so a play-test from the level editor replays its own level.
+   */
+  function restartGame() {
+    if (currentEngine === GameEngine) {
+      GameEngine.restart();
+    } else if (currentGameName) {
+      switchMultiverse(currentGameName, true);
+    }
+  }
+
+  /**
+   * Handle the action button (gamepad A or Space): it confirms whatever
+   * screen is up, or shoots in Invaders.
+   */
+  function handleAction() {
+    if (isShowing('game-start-overlay')) {
+      document.getElementById('start-game-btn').click();
+    } else if (isShowing('game-over')) {
+      if (isTypingInField()) return;
+      // Initials are confirmed before the next run starts
+      if (isEnteringInitials()) {
+        HighScoreBoard.commitPending();
+      } else {
+        restartGame();
+      }
+    } else if (isShowing('pause-overlay')) {
+      setPaused(false);
+    } else if (currentEngine === InvadersEngine) {
+      InvadersEngine.shoot();
+    }
+  }
+
+  // Direction the initials entry was last steered in, so a held D-pad steps once
+  let initialsDirection = { x: 0, y: 0 };
+
+  /**
+   * Pass the D-pad to the initials entry, one step per press.
+   */
+  function steerInitials() {
+    const direction = InputHandler.getDirection();
+    const isNew = direction.x !== initialsDirection.x || direction.y !== initialsDirection.y;
+    if (isNew && (direction.x !== 0 || direction.y !== 0)) HighScoreBoard.handleDirection(direction);
+    initialsDirection = direction;
+  }
+
   // Main Game Loop for custom engines
   function gameLoop() {
+    if (InputHandler.consumeButton('pause')) togglePause();
+    if (InputHandler.consumeButton('action')) handleAction();
+    if (isEnteringInitials()) steerInitials();
+
     if (currentEngine && currentEngine !== GameEngine) {
       currentEngine.update();
       currentEngine.draw();
 
-      // Handle continuous touch movement for Invaders
+      // Held arrows, the gamepad and touches move the Invaders ship every frame
       if (currentEngine === InvadersEngine) {
-        if (touchState.left) InvadersEngine.move(-5);
-        if (touchState.right) InvadersEngine.move(5);
+        const direction = InputHandler.getDirection();
+        if (direction.x !== 0) InvadersEngine.move(direction.x * INVADERS_SHIP_SPEED);
+        if (touchState.left) InvadersEngine.move(-INVADERS_SHIP_SPEED);
+        if (touchState.right) InvadersEngine.move(INVADERS_SHIP_SPEED);
       }
     }
     requestAnimationFrame(gameLoop);
   }
-  gameLoop();
 
   // Handle Input for Invaders
-  // Handle Input for Invaders
+  // Ship steps per frame while a direction is held (move() scales them by the
+  // ship's speed); about the pace a held arrow used to get from key repeat
+  const INVADERS_SHIP_SPEED = 2.5;
   const touchState = { left: false, right: false };
   let lastShootTime = 0;
-
-  window.addEventListener('keydown', (e) => {
-    if (currentEngine === InvadersEngine) {
-      if (e.key === 'ArrowLeft') InvadersEngine.move(-5);
-      if (e.key === 'ArrowRight') InvadersEngine.move(5);
-      if (e.key === ' ') InvadersEngine.shoot();
-    }
-  });
+  gameLoop();
 
   // Mobile Touch Support for Invaders
   const gameCanvas = document.getElementById('gameCanvas');
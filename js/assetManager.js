@@ -5,6 +5,21 @@
 
 // Create a module that can be used in both browser and Jest environments
 (function(exports) {
+  // Dependencies
+  let SpriteAnimation, Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    SpriteAnimation = window.SpriteAnimation;
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    SpriteAnimation = require('./spriteAnimation');
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('AssetManager');
+
   /**
    * Load all images specified in the imageUrls object.
    * @param {Object} imageUrls - An object mapping image names to their URLs.
@@ -26,7 +41,7 @@
         };
         
         img.onerror = (error) => {
-          console.error(`Failed to load image: ${url}`, error);
+          log.error(`Failed to load image: ${url}`, error);
           // Still resolve the promise to allow the game to continue
           images[key] = new Image(); // Provide an empty image
           resolve(images[key]);
@@ -43,8 +58,37 @@
     return Promise.all(imagePromises).then(() => images);
   }
 
+  /**
+   * Load animation clips. Frame sources that aren't already among the loaded
+   * images (such as sprite sheets) are treated as URLs and loaded first.
+   * @param {Object} clipSets - Clip definitions grouped by character, e.g.
+   *   {player: {idle: {...}, chew: {...}}} (see SpriteAnimation for the format).
+   * @param {Object} [images={}] - Images already loaded, by asset key.
+   * @returns {Promise<Object>} - A promise that resolves with the clips, grouped the same way.
+   */
+  function loadClips(clipSets, images = {}) {
+    const imageUrls = {};
+    Object.values(clipSets).forEach(definitions => {
+      Object.values(definitions).forEach(definition => {
+        SpriteAnimation.getSources(definition).forEach(source => {
+          if (!images[source]) imageUrls[source] = source;
+        });
+      });
+    });
+
+    return loadImages(imageUrls).then(loaded => {
+      const available = { ...images, ...loaded };
+      const clips = {};
+      Object.entries(clipSets).forEach(([name, definitions]) => {
+        clips[name] = SpriteAnimation.buildClips(definitions, available);
+      });
+      return clips;
+    });
+  }
+
   // Export functions for use in browser or tests
   exports.loadImages = loadImages;
+  exports.loadClips = loadClips;
   
   // For Node.js/Jest compatibility
   if (typeof module !== 'undefined' && module.exports) {
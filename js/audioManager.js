@@ -0,0 +1,382 @@
+/**
+ * AudioManager module: retro sound effects made on the fly with WebAudio,
+ * with master, effects and music volume and a mute switch kept in
+ * localStorage. Music (see MusicSequencer) plays into its own channel,
+ * which ducks while the header greeting plays.
+ *
+ * Browsers only let a page make sound after the player interacts with it,
+ * so nothing plays until unlock() is called from a click (START MISSION).
+ * @module AudioManager
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('AudioManager');
+
+  const STORAGE_KEY = 'multiverse.audio';
+
+  const DEFAULT_SETTINGS = {
+    master: 0.8,
+    sfx: 0.8,
+    music: 0.5,
+    muted: false
+  };
+
+  // A sound can't restart sooner than this (s), so rapid events don't pile up
+  const MIN_GAP = 0.05;
+
+  // Time (s) volume changes take, to avoid clicks
+  const VOLUME_RAMP = 0.02;
+
+  // Music level while ducked, as a fraction of its volume, and how quickly (s) it dips and recovers
+  const DUCK_LEVEL = 0.15;
+  const DUCK_RAMP = 0.15;
+
+  /**
+   * Sound effects, each a list of parts that start together unless delayed:
+   *  - tone: {wave, from, to, duration, volume, delay} - an oscillator sliding from one frequency (Hz) to another
+   *  - noise: {noise: true, from, to, duration, volume, delay} - white noise through a low-pass filter sliding between cut-offs
+   */
+  const SOUNDS = {
+    chomp: [
+      { wave: 'square', from: 520, to: 260, duration: 0.07, volume: 0.2 }
+    ],
+    ghostEaten: [
+      { wave: 'square', from: 200, to: 1200, duration: 0.25, volume: 0.25 },
+      { wave: 'triangle', from: 400, to: 2400, duration: 0.25, volume: 0.15 }
+    ],
+    death: [
+      { wave: 'sawtooth', from: 600, to: 80, duration: 1.2, volume: 0.25 },
+      { wave: 'square', from: 300, to: 40, duration: 1.2, volume: 0.1 }
+    ],
+    levelUp: [
+      { wave: 'square', from: 523, to: 523, duration: 0.09, volume: 0.2 },
+      { wave: 'square', from: 659, to: 659, duration: 0.09, volume: 0.2, delay: 0.09 },
+      { wave: 'square', from: 784, to: 784, duration: 0.09, volume: 0.2, delay: 0.18 },
+      { wave: 'square', from: 1047, to: 1047, duration: 0.2, volume: 0.2, delay: 0.27 }
+    ],
+    laser: [
+      { wave: 'square', from: 1400, to: 200, duration: 0.15, volume: 0.15 }
+    ],
+    explosion: [
+      { noise: true, from: 2000, to: 150, duration: 0.35, volume: 0.5 },
+      { wave: 'triangle', from: 120, to: 40, duration: 0.3, volume: 0.3 }
+    ],
+    correct: [
+      { wave: 'triangle', from: 660, to: 660, duration: 0.12, volume: 0.3 },
+      { wave: 'triangle', from: 990, to: 990, duration: 0.25, volume: 0.3, delay: 0.12 }
+    ],
+    wrong: [
+      { wave: 'sawtooth', from: 220, to: 200, duration: 0.18, volume: 0.25 },
+      { wave: 'sawtooth', from: 165, to: 110, duration: 0.3, volume: 0.25, delay: 0.2 }
+    ]
+  };
+
+  let settings = readSettings();
+  let context = null;
+  let masterGain = null;
+  let sfxGain = null;
+  let musicGain = null;
+  let noiseBuffer = null;
+  let isDucked = false;
+
+  // When each sound last started (context time)
+  const lastPlayed = {};
+
+  /**
+   * Read the saved settings.
+   * @returns {Object} Settings {master, sfx, music, muted}.
+   */
+  function readSettings() {
+    if (typeof localStorage === 'undefined') return { ...DEFAULT_SETTINGS };
+
+    try {
+      const saved = { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+      return {
+        master: clampVolume(saved.master),
+        sfx: clampVolume(saved.sfx),
+        music: clampVolume(saved.music),
+        muted: saved.muted === true
+      };
+    } catch (error) {
+      log.warn('Could not read audio settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Save the settings.
+   */
+  function writeSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      log.warn('Could not save audio settings:', error);
+    }
+  }
+
+  /**
+   * Keep a volume between 0 and 1.
+   * @param {number} volume - Volume as given.
+   * @returns {number} Volume from 0 to 1.
+   */
+  function clampVolume(volume) {
+    return Math.max(0, Math.min(1, Number(volume) || 0));
+  }
+
+  /**
+   * Set a gain smoothly.
+   * @param {GainNode} gain - Gain to change.
+   * @param {number} value - New gain.
+   * @param {number} [ramp=VOLUME_RAMP] - Time constant of the change (s).
+   */
+  function rampGain(gain, value, ramp = VOLUME_RAMP) {
+    if (!gain) return;
+    gain.gain.setTargetAtTime(value, context.currentTime, ramp);
+  }
+
+  /**
+   * Get the music channel's gain for the settings and ducking.
+   * @returns {number} Gain.
+   */
+  function getMusicLevel() {
+    return settings.music * (isDucked ? DUCK_LEVEL : 1);
+  }
+
+  /**
+   * Push the settings to the gains.
+   */
+  function applySettings() {
+    rampGain(masterGain, settings.muted ? 0 : settings.master);
+    rampGain(sfxGain, settings.sfx);
+    rampGain(musicGain, getMusicLevel(), DUCK_RAMP);
+  }
+
+  /**
+   * Start the audio context. Call it from a click or key handler; browsers
+   * keep audio locked until then.
+   * @returns {boolean} True if audio is available.
+   */
+  function unlock() {
+    if (!context) {
+      const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+      if (!AudioContextClass) {
+        log.info('WebAudio is not available; playing silently');
+        return false;
+      }
+
+      context = new AudioContextClass();
+      masterGain = context.createGain();
+      masterGain.connect(context.destination);
+      sfxGain = context.createGain();
+      sfxGain.connect(masterGain);
+      musicGain = context.createGain();
+      musicGain.connect(masterGain);
+      masterGain.gain.value = settings.muted ? 0 : settings.master;
+      sfxGain.gain.value = settings.sfx;
+      musicGain.gain.value = getMusicLevel();
+      log.debug('Audio context started');
+    }
+
+    if (context.state === 'suspended') {
+      context.resume().catch(error => log.warn('Could not resume audio:', error));
+    }
+    return true;
+  }
+
+  /**
+   * Check whether sounds can be heard right now.
+   * @returns {boolean} True once unlocked and not muted.
+   */
+  function isAudible() {
+    return !!context && context.state === 'running' && !settings.muted;
+  }
+
+  /**
+   * Get one second of white noise, made once and shared.
+   * @returns {AudioBuffer} Noise buffer.
+   */
+  function getNoiseBuffer() {
+    if (!noiseBuffer) {
+      noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+      const samples = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+      }
+    }
+    return noiseBuffer;
+  }
+
+  /**
+   * Get the audio context, once unlocked.
+   * @returns {AudioContext|null} The context, or null before unlock().
+   */
+  function getContext() {
+    return context;
+  }
+
+  /**
+   * Get the node music plays into.
+   * @returns {AudioNode|null} The music channel, or null before unlock().
+   */
+  function getMusicOutput() {
+    return musicGain;
+  }
+
+  /**
+   * Schedule one part of a sound.
+   * @param {Object} part - Tone or noise part (see SOUNDS).
+   * @param {number} start - Context time the sound starts at.
+   * @param {AudioNode} destination - Where the part plays into.
+   */
+  function playPart(part, start, destination) {
+    const begin = start + (part.delay || 0);
+    const end = begin + part.duration;
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(part.volume, begin);
+    envelope.gain.exponentialRampToValueAtTime(0.001, end);
+    envelope.connect(destination);
+
+    let source;
+    if (part.noise) {
+      source = context.createBufferSource();
+      source.buffer = getNoiseBuffer();
+      const filter = context.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.setValueAtTime(part.from, begin);
+      filter.frequency.exponentialRampToValueAtTime(part.to, end);
+      source.connect(filter);
+      filter.connect(envelope);
+    } else {
+      source = context.createOscillator();
+      source.type = part.wave;
+      source.frequency.setValueAtTime(part.from, begin);
+      source.frequency.exponentialRampToValueAtTime(part.to, end);
+      source.connect(envelope);
+    }
+
+    source.start(begin);
+    source.stop(end);
+  }
+
+  /**
+   * Play a sound effect. Does nothing while audio is locked or muted.
+   * @param {string} name - Sound name (chomp, ghostEaten, death, levelUp,
+   *   laser, explosion, correct or wrong).
+   */
+  function play(name) {
+    const sound = SOUNDS[name];
+    if (!sound) {
+      log.warn(`Unknown sound: ${name}`);
+      return;
+    }
+    if (!isAudible()) return;
+
+    const now = context.currentTime;
+    if (lastPlayed[name] !== undefined && now - lastPlayed[name] < MIN_GAP) return;
+    lastPlayed[name] = now;
+
+    sound.forEach(part => playPart(part, now, sfxGain));
+  }
+
+  /**
+   * Get the current settings.
+   * @returns {Object} Settings {master, sfx, music, muted}.
+   */
+  function getSettings() {
+    return { ...settings };
+  }
+
+  /**
+   * Set the overall volume.
+   * @param {number} volume - Volume from 0 to 1.
+   */
+  function setMasterVolume(volume) {
+    settings.master = clampVolume(volume);
+    applySettings();
+    writeSettings();
+  }
+
+  /**
+   * Set the sound effects volume.
+   * @param {number} volume - Volume from 0 to 1.
+   */
+  function setSfxVolume(volume) {
+    settings.sfx = clampVolume(volume);
+    applySettings();
+    writeSettings();
+  }
+
+  /**
+   * Set the music volume.
+   * @param {number} volume - Volume from 0 to 1.
+   */
+  function setMusicVolume(volume) {
+    settings.music = clampVolume(volume);
+    applySettings();
+    writeSettings();
+  }
+
+  /**
+   * Turn the music down while something else needs to be heard, e.g. the
+   * greeting, and back up afterwards. Not saved.
+   * @param {boolean} ducked - True to turn the music down.
+   */
+  function duck(ducked) {
+    isDucked = !!ducked;
+    applySettings();
+  }
+
+  /**
+   * Mute or unmute everything.
+   * @param {boolean} muted - True to mute.
+   */
+  function setMuted(muted) {
+    settings.muted = !!muted;
+    applySettings();
+    writeSettings();
+    log.info(settings.muted ? 'Muted' : 'Unmuted');
+  }
+
+  /**
+   * Mute if unmuted, or the other way round.
+   * @returns {boolean} True if now muted.
+   */
+  function toggleMute() {
+    setMuted(!settings.muted);
+    return settings.muted;
+  }
+
+  // Export functions for use in browser or tests
+  exports.SOUNDS = SOUNDS;
+  exports.unlock = unlock;
+  exports.isAudible = isAudible;
+  exports.play = play;
+  exports.playPart = playPart;
+  exports.getContext = getContext;
+  exports.getMusicOutput = getMusicOutput;
+  exports.getSettings = getSettings;
+  exports.setMasterVolume = setMasterVolume;
+  exports.setSfxVolume = setSfxVolume;
+  exports.setMusicVolume = setMusicVolume;
+  exports.duck = duck;
+  exports.setMuted = setMuted;
+  exports.toggleMute = toggleMute;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.AudioManager = {}) : {});
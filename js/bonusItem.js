@@ -0,0 +1,137 @@
+/**
+ * BonusItem class representing a collectible social icon in the maze.
+ * @module BonusItem
+ */
+
+// Use IIFE for browser and Node.js compatibility
+(function () {
+  // Halo colour of each kind of item
+  const COLORS = {
+    medium: '#000000',
+    scholar: '#4285f4'
+  };
+
+  // How fast the item blinks before it vanishes (ms per on/off phase)
+  const BLINK_INTERVAL = 150;
+
+  /**
+   * BonusItem class representing a collectible social icon.
+   */
+  class BonusItem {
+    /**
+     * Create a new BonusItem instance.
+     * @param {string} type - Kind of item (medium or scholar).
+     * @param {Object} position - Top-left position {x, y}.
+     * @param {number} size - Width and height in pixels.
+     * @param {Object} [timing] - How long the item stays.
+     * @param {number} [timing.lifetime=9000] - Time before it vanishes (ms).
+     * @param {number} [timing.warning=2500] - Time before vanishing that it starts blinking (ms).
+     * @param {HTMLImageElement} [image] - Icon to draw.
+     */
+    constructor(type, position, size, timing = {}, image = null) {
+      this.type = type;
+      this.x = position.x;
+      this.y = position.y;
+      this.width = size;
+      this.height = size;
+      this.image = image;
+
+      this.lifetime = timing.lifetime || 9000;
+      this.warning = timing.warning || 2500;
+      this.age = 0;
+    }
+
+    /**
+     * Age the item.
+     * @param {number} deltaTime - Time since the last update in milliseconds.
+     */
+    update(deltaTime) {
+      this.age += deltaTime;
+    }
+
+    /**
+     * Check whether the item has run out of time.
+     * @returns {boolean} True once the item should vanish.
+     */
+    isExpired() {
+      return this.age >= this.lifetime;
+    }
+
+    /**
+     * Check whether the item is showing; it blinks during its last moments.
+     * @returns {boolean} True if the item should be drawn this frame.
+     */
+    isVisible() {
+      const remaining = this.lifetime - this.age;
+      if (remaining > this.warning) return true;
+      return Math.floor(remaining / BLINK_INTERVAL) % 2 === 0;
+    }
+
+    /**
+     * Draw the item.
+     * @param {CanvasRenderingContext2D} context - The canvas rendering context.
+     */
+    draw(context) {
+      if (!context || !this.isVisible()) return;
+
+      const centerX = this.x + this.width / 2;
+      const centerY = this.y + this.height / 2;
+      const color = COLORS[this.type] || '#ffde59';
+
+      context.save();
+      context.shadowBlur = 12;
+      context.shadowColor = color;
+      context.fillStyle = '#ffffff';
+      context.beginPath();
+      context.arc(centerX, centerY, this.width * 0.6, 0, Math.PI * 2);
+      context.fill();
+      context.strokeStyle = color;
+      context.lineWidth = 2;
+      context.stroke();
+      context.restore();
+
+      if (this.image && this.image.complete && this.image.naturalWidth > 0) {
+        context.drawImage(this.image, this.x, this.y, this.width, this.height);
+      } else {
+        // Fallback: the first letter of the network
+        context.fillStyle = color;
+        context.font = `900 ${Math.floor(this.height * 0.8)}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(this.type.charAt(0).toUpperCase(), centerX, centerY);
+      }
+    }
+
+    /**
+     * Get the item's bounding box for collision detection.
+     * @returns {Object} The bounding box {left, right, top, bottom}.
+     */
+    getBounds() {
+      return {
+        left: this.x,
+        right: this.x + this.width,
+        top: this.y,
+        bottom: this.y + this.height
+      };
+    }
+
+    /**
+     * Get the item's hit circle.
+     * @returns {Object} The circle {x, y, radius}.
+     */
+    getCircle() {
+      return {
+        x: this.x + this.width / 2,
+        y: this.y + this.height / 2,
+        radius: this.width / 2
+      };
+    }
+  }
+
+  // Export the BonusItem class
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BonusItem;
+  } else {
+    window.BonusItem = BonusItem;
+  }
+})();
@@ -1,12 +1,46 @@
 /**
  * CanvasManager module for handling canvas initialization and operations.
+ *
+ * Everything draws in logical units (the size getDimensions returns). The
+ * backing store is sized for the screen's device pixels and the context is
+ * scaled to match, so drawing stays crisp on high-DPI screens without the
+ * engines knowing the pixel ratio.
  * @module CanvasManager
  */
 
 // Create a module that can be used in both browser and Jest environments
 (function(exports) {
+  // Dependencies
+  let Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('CanvasManager');
+
   let canvas = null;
   let context = null;
+
+  // How long the window has to stay still before the canvas is resized (ms)
+  const RESIZE_DEBOUNCE = 150;
+
+  // Functions called with the new and old dimensions whenever the canvas size changes
+  let resizeListeners = [];
+  let resizeTimer = null;
+  let isListening = false;
+
+  // Logical size everything is drawn in, and device pixels per logical unit
+  let logicalWidth = 0;
+  let logicalHeight = 0;
+  let pixelScale = 1;
+
+  // Fixed internal resolution {width, height} for a pixel-art look, or null to fit the window
+  let fixedResolution = null;
   
   /**
    * Initialize the canvas and get its 2D context.
@@ -28,31 +62,84 @@
     // Set initial canvas size
     resize();
     
+    // Every engine initializes the canvas; listen to the window only once
+    if (isListening) return context;
+    isListening = true;
+
     // Listen for window resize events
-    window.addEventListener('resize', resize);
+    window.addEventListener('resize', scheduleResize);
 
     // Listen for orientation changes on mobile
     if (window.screen && window.screen.orientation) {
-      window.screen.orientation.addEventListener('change', function() {
-        // Small delay to ensure dimensions are updated
-        setTimeout(resize, 100);
-      });
+      window.screen.orientation.addEventListener('change', scheduleResize);
     } else {
       // Fallback for older browsers
-      window.addEventListener('orientationchange', function() {
-        setTimeout(resize, 100);
-      });
+      window.addEventListener('orientationchange', scheduleResize);
     }
 
     return context;
   }
+
+  /**
+   * Resize once the window has settled, so a drag or a rotation lays the
+   * game out again once instead of on every intermediate size.
+   */
+  function scheduleResize() {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(resize, RESIZE_DEBOUNCE);
+  }
+
+  /**
+   * Subscribe to canvas size changes.
+   * @param {Function} listener - Called with (dimensions, previousDimensions),
+   *   each {width, height}, after the canvas has been resized.
+   * @returns {Function} Call to unsubscribe.
+   */
+  function onResize(listener) {
+    resizeListeners.push(listener);
+    return () => offResize(listener);
+  }
+
+  /**
+   * Unsubscribe from canvas size changes.
+   * @param {Function} listener - Listener passed to onResize.
+   */
+  function offResize(listener) {
+    resizeListeners = resizeListeners.filter(other => other !== listener);
+  }
   
   /**
-   * Resize the canvas to fit the window.
+   * Resize the canvas to fit the window, and tell the resize listeners if
+   * its logical size changed.
    */
   function resize() {
     if (!canvas) return;
 
+    const previous = getDimensions();
+    const ratio = window.devicePixelRatio || 1;
+
+    if (fixedResolution) {
+      // Draw at the fixed size and show it at a whole number of device pixels per pixel
+      logicalWidth = fixedResolution.width;
+      logicalHeight = fixedResolution.height;
+      const available = (canvas.parentElement ? canvas.parentElement.clientWidth : window.innerWidth) * ratio;
+      const scale = Math.max(1, Math.floor(available / logicalWidth));
+
+      pixelScale = 1;
+      canvas.width = logicalWidth;
+      canvas.height = logicalHeight;
+      canvas.style.width = `${logicalWidth * scale / ratio}px`;
+      canvas.style.margin = '0 auto';
+      canvas.style.imageRendering = 'pixelated';
+      applyTransform();
+      notifyResize(previous);
+      return;
+    }
+
+    canvas.style.width = '';
+    canvas.style.margin = '';
+    canvas.style.imageRendering = '';
+
     // Detect mobile device
     const isMobile = window.innerWidth <= 768;
 
@@ -84,9 +171,51 @@
     width = Math.max(width, minWidth);
     height = Math.max(height, minHeight);
 
-    // Set the canvas dimensions
-    canvas.width = Math.floor(width);
-    canvas.height = Math.floor(height);
+    // Set the logical dimensions
+    logicalWidth = Math.floor(width);
+    logicalHeight = Math.floor(height);
+
+    // Give the backing store one pixel per device pixel of the size it's shown at
+    const displayWidth = canvas.clientWidth || logicalWidth;
+    pixelScale = displayWidth * ratio / logicalWidth;
+    canvas.width = Math.round(logicalWidth * pixelScale);
+    canvas.height = Math.round(logicalHeight * pixelScale);
+    applyTransform();
+
+    notifyResize(previous);
+  }
+
+  /**
+   * Scale the context so drawing happens in logical units. Resizing the
+   * backing store resets the context, so this runs after every resize.
+   */
+  function applyTransform() {
+    if (!context) return;
+
+    context.setTransform(pixelScale, 0, 0, pixelScale, 0, 0);
+    context.imageSmoothingEnabled = !fixedResolution;
+  }
+
+  /**
+   * Tell the resize listeners if the logical size changed.
+   * @param {Object} previous - Dimensions before the resize.
+   */
+  function notifyResize(previous) {
+    if (logicalWidth === previous.width && logicalHeight === previous.height) return;
+
+    const dimensions = getDimensions();
+    log.debug(`Canvas resized to ${dimensions.width}x${dimensions.height} (${canvas.width}x${canvas.height} pixels)`);
+    resizeListeners.forEach(listener => listener(dimensions, previous));
+  }
+
+  /**
+   * Draw at a fixed internal resolution, shown at a whole-number scale for a
+   * pixel-art look, or go back to fitting the window.
+   * @param {Object|null} resolution - Logical size {width, height}, or null.
+   */
+  function setFixedResolution(resolution) {
+    fixedResolution = resolution ? { width: resolution.width, height: resolution.height } : null;
+    resize();
   }
   
   /**
@@ -95,23 +224,29 @@
   function clear() {
     if (!context || !canvas) return;
     
-    context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.restore();
   }
   
   /**
-   * Get the canvas dimensions.
+   * Get the canvas dimensions in logical units, the ones every engine draws in.
    * @returns {Object} Object containing width and height of the canvas.
    */
   function getDimensions() {
     return {
-      width: canvas ? canvas.width : 0,
-      height: canvas ? canvas.height : 0
+      width: canvas ? logicalWidth : 0,
+      height: canvas ? logicalHeight : 0
     };
   }
   
   // Export functions for use in browser or tests
   exports.initialize = initialize;
   exports.resize = resize;
+  exports.onResize = onResize;
+  exports.setFixedResolution = setFixedResolution;
+  exports.offResize = offResize;
   exports.clear = clear;
   exports.getDimensions = getDimensions;
   
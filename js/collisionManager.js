@@ -1,10 +1,46 @@
 /**
- * CollisionManager module for detecting collisions between game objects.
+ * CollisionManager module for detecting collisions between game objects,
+ * and between game objects and the maze.
+ *
+ * Entity-versus-entity tests are swept: an entity may carry a `lastMove`
+ * {x, y} with how far it moved during the last simulation step, and contacts
+ * are found anywhere along that motion, so fast entities can't pass through
+ * each other between steps. Every contact reports
+ *
+ *   {
+ *     time: 0.4,               // Fraction of the step at which they first touched (0 = already touching)
+ *     normal: { x: -1, y: 0 }, // Unit vector on the other object's surface, pointing at the entity
+ *     overlap: 1.5             // How deep they overlap at the end of the step (0 if they passed through)
+ *   }
+ *
+ * Entities are treated as boxes (getBounds), or as circles when both define
+ * getCircle().
+ *
  * @module CollisionManager
  */
 
 // Create a module that can be used in both browser and Jest environments
 (function(exports) {
+  // Dependencies
+  let Pathfinding;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    Pathfinding = window.Pathfinding;
+  } else {
+    // Node.js (Jest) environment
+    Pathfinding = require('./pathfinding');
+  }
+
+  /**
+   * Possible outcomes of a player-ghost contact.
+   * @enum {string}
+   */
+  const CONTACT = {
+    CAUGHT: 'caught',       // A normal ghost caught the player
+    EAT_GHOST: 'eatGhost'   // The player ate a frightened ghost
+  };
+
   /**
    * Check if two rectangular objects are colliding.
    * @param {Object} bounds1 - First object bounds with left, right, top, bottom properties.
@@ -20,28 +56,283 @@
       bounds1.bottom >= bounds2.top
     );
   }
-  
+
+  /**
+   * Find the axis two overlapping boxes overlap least along.
+   * @param {Object} bounds1 - First box {left, right, top, bottom}.
+   * @param {Object} bounds2 - Second box {left, right, top, bottom}.
+   * @returns {Object} The overlap {depth, normal}; the normal points from the second box at the first.
+   */
+  function getBoxPenetration(bounds1, bounds2) {
+    const overlapX = Math.min(bounds1.right, bounds2.right) - Math.max(bounds1.left, bounds2.left);
+    const overlapY = Math.min(bounds1.bottom, bounds2.bottom) - Math.max(bounds1.top, bounds2.top);
+
+    if (overlapX < overlapY) {
+      const isLeft = bounds1.left + bounds1.right < bounds2.left + bounds2.right;
+      return { depth: overlapX, normal: { x: isLeft ? -1 : 1, y: 0 } };
+    }
+
+    const isAbove = bounds1.top + bounds1.bottom < bounds2.top + bounds2.bottom;
+    return { depth: overlapY, normal: { x: 0, y: isAbove ? -1 : 1 } };
+  }
+
+  /**
+   * Find when a moving box first touches another moving box during a step.
+   * @param {Object} bounds1 - First box at the start of the step {left, right, top, bottom}.
+   * @param {Object} move1 - How far the first box moves during the step {x, y}.
+   * @param {Object} bounds2 - Second box at the start of the step.
+   * @param {Object} move2 - How far the second box moves during the step {x, y}.
+   * @returns {Object|null} The hit {time, normal}, or null if they don't touch.
+   */
+  function sweepBoxes(bounds1, move1, bounds2, move2) {
+    if (checkCollision(bounds1, bounds2)) {
+      return { time: 0, normal: getBoxPenetration(bounds1, bounds2).normal };
+    }
+
+    // Work in the second box's frame, where only the first box moves
+    const dx = move1.x - move2.x;
+    const dy = move1.y - move2.y;
+
+    const getAxisTimes = (delta, min1, max1, min2, max2) => {
+      if (delta > 0) return [(min2 - max1) / delta, (max2 - min1) / delta];
+      if (delta < 0) return [(max2 - min1) / delta, (min2 - max1) / delta];
+      // Not moving along this axis: either always overlapping on it, or never
+      return max1 < min2 || min1 > max2 ? null : [-Infinity, Infinity];
+    };
+
+    const timesX = getAxisTimes(dx, bounds1.left, bounds1.right, bounds2.left, bounds2.right);
+    const timesY = getAxisTimes(dy, bounds1.top, bounds1.bottom, bounds2.top, bounds2.bottom);
+    if (!timesX || !timesY) return null;
+
+    const entry = Math.max(timesX[0], timesY[0]);
+    const exit = Math.min(timesX[1], timesY[1]);
+    if (entry > exit || entry < 0 || entry > 1) return null;
+
+    const normal = timesX[0] > timesY[0] ?
+      { x: dx > 0 ? -1 : 1, y: 0 } :
+      { x: 0, y: dy > 0 ? -1 : 1 };
+
+    return { time: entry, normal: normal };
+  }
+
+  /**
+   * Find when a moving circle first touches another moving circle during a step.
+   * @param {Object} circle1 - First circle at the start of the step {x, y, radius}.
+   * @param {Object} move1 - How far the first circle moves during the step {x, y}.
+   * @param {Object} circle2 - Second circle at the start of the step.
+   * @param {Object} move2 - How far the second circle moves during the step {x, y}.
+   * @returns {Object|null} The hit {time, normal}, or null if they don't touch.
+   */
+  function sweepCircles(circle1, move1, circle2, move2) {
+    const px = circle1.x - circle2.x;
+    const py = circle1.y - circle2.y;
+    const dx = move1.x - move2.x;
+    const dy = move1.y - move2.y;
+    const radius = circle1.radius + circle2.radius;
+
+    const normalize = (x, y) => {
+      const length = Math.sqrt(x * x + y * y);
+      return length > 0 ? { x: x / length, y: y / length } : { x: 0, y: -1 };
+    };
+
+    // Already touching
+    const c = px * px + py * py - radius * radius;
+    if (c <= 0) {
+      return { time: 0, normal: normalize(px, py) };
+    }
+
+    // Solve |p + d t| = radius for the first t in [0, 1]
+    const a = dx * dx + dy * dy;
+    const b = 2 * (px * dx + py * dy);
+    const discriminant = b * b - 4 * a * c;
+    if (a === 0 || discriminant < 0) return null;
+
+    const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (time < 0 || time > 1) return null;
+
+    return { time: time, normal: normalize(px + dx * time, py + dy * time) };
+  }
+
+  /**
+   * Get how far an entity moved during the last step.
+   * @param {Object} entity - Entity, with an optional lastMove {x, y}.
+   * @returns {Object} The motion {x, y}.
+   */
+  function getMotion(entity) {
+    return entity.lastMove || { x: 0, y: 0 };
+  }
+
   /**
-   * Check if player collides with any of the ghosts.
+   * Find the contact between an entity and another object during the last step.
+   * @param {Object} entity - Entity with getBounds (and optionally getCircle and lastMove).
+   * @param {Object} other - Other object, same shape.
+   * @returns {Object|null} The contact {time, normal, overlap}, or null if they didn't touch.
+   */
+  function findContact(entity, other) {
+    const move1 = getMotion(entity);
+    const move2 = getMotion(other);
+
+    if (entity.getCircle && other.getCircle) {
+      const circle1 = entity.getCircle();
+      const circle2 = other.getCircle();
+      const hit = sweepCircles(
+        { x: circle1.x - move1.x, y: circle1.y - move1.y, radius: circle1.radius }, move1,
+        { x: circle2.x - move2.x, y: circle2.y - move2.y, radius: circle2.radius }, move2
+      );
+      if (!hit) return null;
+
+      const distance = Math.sqrt(Math.pow(circle1.x - circle2.x, 2) + Math.pow(circle1.y - circle2.y, 2));
+      return { time: hit.time, normal: hit.normal, overlap: Math.max(0, circle1.radius + circle2.radius - distance) };
+    }
+
+    const bounds1 = entity.getBounds();
+    const bounds2 = other.getBounds();
+    const startOf = (bounds, move) => ({
+      left: bounds.left - move.x,
+      right: bounds.right - move.x,
+      top: bounds.top - move.y,
+      bottom: bounds.bottom - move.y
+    });
+
+    const hit = sweepBoxes(startOf(bounds1, move1), move1, startOf(bounds2, move2), move2);
+    if (!hit) return null;
+
+    const overlap = checkCollision(bounds1, bounds2) ? getBoxPenetration(bounds1, bounds2).depth : 0;
+    return { time: hit.time, normal: hit.normal, overlap: overlap };
+  }
+
+  /**
+   * Find every object an entity touched during the last step, earliest first.
+   * @param {Object} entity - Entity with getBounds (and optionally getCircle and lastMove).
+   * @param {Array} others - Objects to test against.
+   * @returns {Array} Contacts {other, time, normal, overlap}.
+   */
+  function findContacts(entity, others) {
+    const contacts = [];
+    others.forEach(other => {
+      const contact = findContact(entity, other);
+      if (contact) contacts.push({ other: other, ...contact });
+    });
+    return contacts.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Find every ghost the player touched during the last step, in the order
+   * they were reached, with the outcome of each contact given the ghost's
+   * state. A normal ghost reached at the same moment as a frightened one
+   * comes first, so it wins.
    * @param {Object} player - The player object with getBounds method.
    * @param {Array} ghosts - Array of ghost objects with getBounds method.
-   * @returns {boolean} True if player collides with any ghost, false otherwise.
+   * @returns {Array} Contacts {ghost, outcome, time, normal, overlap}; empty if there are none.
    */
   function checkPlayerGhostCollisions(player, ghosts) {
-    const playerBounds = player.getBounds();
-    
-    return ghosts.find(ghost => {
-      const ghostBounds = ghost.getBounds();
-      return checkCollision(playerBounds, ghostBounds);
-    });
+    const contacts = findContacts(player, ghosts).map(contact => ({
+      ghost: contact.other,
+      outcome: contact.other.isFrightened && contact.other.isFrightened() ? CONTACT.EAT_GHOST : CONTACT.CAUGHT,
+      time: contact.time,
+      normal: contact.normal,
+      overlap: contact.overlap
+    }));
+
+    return contacts.sort((a, b) =>
+      a.time - b.time || (a.outcome === CONTACT.CAUGHT ? -1 : 0) - (b.outcome === CONTACT.CAUGHT ? -1 : 0));
+  }
+
+  /**
+   * Check if the player touches any collectible item.
+   * @param {Object} player - The player object with getBounds method.
+   * @param {Array} items - Array of item objects with getBounds method.
+   * @returns {Object|null} The first item touched, or null if there is none.
+   */
+  function checkPlayerItemCollision(player, items) {
+    const contacts = findContacts(player, items);
+    return contacts.length > 0 ? contacts[0].other : null;
   }
-  
+
+  // --- Entity versus maze ---
+
+  /**
+   * Get the grid cell an entity's centre is in.
+   * @param {Object} maze - Maze {grid, cellSize, offsetX, offsetY}.
+   * @param {Object} entity - Entity with x, y, width and height.
+   * @returns {Object|null} The cell {row, col}, or null if the centre is off the maze.
+   */
+  function getEntityCell(maze, entity) {
+    const col = Math.floor((entity.x + entity.width / 2 - maze.offsetX) / maze.cellSize);
+    const row = Math.floor((entity.y + entity.height / 2 - maze.offsetY) / maze.cellSize);
+
+    if (row < 0 || row >= maze.grid.length || col < 0 || col >= maze.grid[0].length) {
+      return null;
+    }
+    return { row, col };
+  }
+
+  /**
+   * Check whether a box touches any wall cell. Parts of the box past the
+   * edge of the maze are checked on the opposite side, where tunnels lead.
+   * @param {Object} maze - Maze {grid, cellSize, offsetX, offsetY}.
+   * @param {Object} bounds - Box {left, right, top, bottom}.
+   * @returns {boolean} True if the box overlaps a wall.
+   */
+  function boundsHitWall(maze, bounds) {
+    const topLeft = {
+      row: Math.floor((bounds.top - maze.offsetY) / maze.cellSize),
+      col: Math.floor((bounds.left - maze.offsetX) / maze.cellSize)
+    };
+    const bottomRight = {
+      row: Math.floor((bounds.bottom - maze.offsetY) / maze.cellSize),
+      col: Math.floor((bounds.right - maze.offsetX) / maze.cellSize)
+    };
+
+    for (let row = topLeft.row; row <= bottomRight.row; row++) {
+      for (let col = topLeft.col; col <= bottomRight.col; col++) {
+        const cell = Pathfinding.wrapCell(maze.grid, row, col);
+        if (maze.grid[cell.row][cell.col] === 1) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether a box can move in a direction without touching a wall.
+   * @param {Object} maze - Maze {grid, cellSize, offsetX, offsetY}.
+   * @param {Object} box - Box at its current position {x, y, width, height}.
+   * @param {Object} direction - Direction {x, y}.
+   * @param {number} distance - Distance to move.
+   * @returns {boolean} True if the box would be clear of walls after the move.
+   */
+  function canMove(maze, box, direction, distance) {
+    const x = box.x + direction.x * distance;
+    const y = box.y + direction.y * distance;
+    return !boundsHitWall(maze, { left: x, right: x + box.width, top: y, bottom: y + box.height });
+  }
+
+  /**
+   * Check whether an entity's centre is on an open cell of the maze.
+   * @param {Object} maze - Maze {grid, cellSize, offsetX, offsetY}.
+   * @param {Object} entity - Entity with x, y, width and height.
+   * @returns {boolean} True if the entity is on a path cell.
+   */
+  function isInOpenCell(maze, entity) {
+    const cell = getEntityCell(maze, entity);
+    return cell !== null && Pathfinding.isOpen(maze.grid, cell.row, cell.col);
+  }
+
   // Export functions for use in browser or tests
+  exports.CONTACT = CONTACT;
   exports.checkCollision = checkCollision;
+  exports.sweepBoxes = sweepBoxes;
+  exports.sweepCircles = sweepCircles;
+  exports.findContacts = findContacts;
   exports.checkPlayerGhostCollisions = checkPlayerGhostCollisions;
-  
+  exports.checkPlayerItemCollision = checkPlayerItemCollision;
+  exports.getEntityCell = getEntityCell;
+  exports.boundsHitWall = boundsHitWall;
+  exports.canMove = canMove;
+  exports.isInOpenCell = isInOpenCell;
+
   // For Node.js/Jest compatibility
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = exports;
   }
-})((typeof window !== 'undefined') ? (window.CollisionManager = {}) : {}); 
\ No newline at end of file
+})((typeof window !== 'undefined') ? (window.CollisionManager = {}) : {});
@@ -0,0 +1,228 @@
+/**
+ * DebugOverlay module: draws what the simulation sees on top of the game -
+ * frame rate, the maze grid, hitboxes, where each ghost is heading and live
+ * game state values. Press ` (backquote) to show or hide it; it starts
+ * shown when the page is opened with ?debug.
+ * @module DebugOverlay
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('DebugOverlay');
+
+  // Key that shows and hides the overlay
+  const TOGGLE_KEY = 'Backquote';
+
+  // Weight of the newest frame in the smoothed frame timings
+  const SMOOTHING = 0.1;
+
+  let isShown = Logger.isDebugEnabled();
+  let isListening = false;
+  let onToggle = null;
+
+  // Smoothed time between frames and time spent on each frame (ms)
+  let frameInterval = 0;
+  let frameWork = 0;
+
+  /**
+   * Listen for the toggle key.
+   * @param {Function} [toggleCallback] - Called after the overlay is shown or
+   *   hidden, e.g. to redraw a paused game.
+   */
+  function initialize(toggleCallback) {
+    onToggle = toggleCallback || null;
+    if (isListening || typeof window === 'undefined') return;
+    isListening = true;
+
+    window.addEventListener('keydown', (event) => {
+      if (event.code !== TOGGLE_KEY) return;
+      toggle();
+    });
+  }
+
+  /**
+   * Show or hide the overlay.
+   */
+  function toggle() {
+    isShown = !isShown;
+    log.info(`Debug overlay ${isShown ? 'shown' : 'hidden'}`);
+    if (onToggle) onToggle(isShown);
+  }
+
+  /**
+   * Check whether the overlay is showing.
+   * @returns {boolean} True if it should be drawn.
+   */
+  function isVisible() {
+    return isShown;
+  }
+
+  /**
+   * Note one frame's timings.
+   * @param {number} interval - Time since the previous frame (ms).
+   * @param {number} work - Time spent updating and drawing this frame (ms).
+   */
+  function recordFrame(interval, work) {
+    if (interval <= 0) return;
+    frameInterval = frameInterval ? frameInterval + (interval - frameInterval) * SMOOTHING : interval;
+    frameWork = frameWork ? frameWork + (work - frameWork) * SMOOTHING : work;
+  }
+
+  /**
+   * Get the centre of a box.
+   * @param {Object} box - Object with x, y, width and height.
+   * @returns {Object} The centre {x, y}.
+   */
+  function getCenter(box) {
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  }
+
+  /**
+   * Draw the maze's cell grid.
+   * @param {CanvasRenderingContext2D} ctx - Rendering context.
+   * @param {Object} maze - Maze {grid, cellSize, offsetX, offsetY}.
+   */
+  function drawGrid(ctx, maze) {
+    const { grid, cellSize, offsetX, offsetY } = maze;
+    const width = grid[0].length * cellSize;
+    const height = grid.length * cellSize;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let row = 0; row <= grid.length; row++) {
+      ctx.moveTo(offsetX, offsetY + row * cellSize);
+      ctx.lineTo(offsetX + width, offsetY + row * cellSize);
+    }
+    for (let col = 0; col <= grid[0].length; col++) {
+      ctx.moveTo(offsetX + col * cellSize, offsetY);
+      ctx.lineTo(offsetX + col * cellSize, offsetY + height);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * Outline an entity's collision box.
+   * @param {CanvasRenderingContext2D} ctx - Rendering context.
+   * @param {Object} entity - Entity with getBounds().
+   * @param {string} color - Outline colour.
+   */
+  function drawHitbox(ctx, entity, color) {
+    const bounds = entity.getBounds();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+  }
+
+  /**
+   * Show which way a ghost is moving and the cell it is heading for.
+   * @param {CanvasRenderingContext2D} ctx - Rendering context.
+   * @param {Ghost} ghost - The ghost.
+   * @param {Object} maze - Maze {cellSize, offsetX, offsetY}.
+   */
+  function drawGhostHeading(ctx, ghost, maze) {
+    const center = getCenter(ghost);
+    const color = ghost.brand ? ghost.brand.halo : '#ff0000';
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(center.x, center.y);
+    ctx.lineTo(center.x + ghost.direction.x * maze.cellSize * 0.75, center.y + ghost.direction.y * maze.cellSize * 0.75);
+    ctx.stroke();
+
+    if (!ghost.target) return;
+
+    const target = {
+      x: maze.offsetX + (ghost.target.col + 0.5) * maze.cellSize,
+      y: maze.offsetY + (ghost.target.row + 0.5) * maze.cellSize
+    };
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(center.x, center.y);
+    ctx.lineTo(target.x, target.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.strokeRect(target.x - maze.cellSize / 4, target.y - maze.cellSize / 4, maze.cellSize / 2, maze.cellSize / 2);
+  }
+
+  /**
+   * Draw the panel of frame timings and game state values.
+   * @param {CanvasRenderingContext2D} ctx - Rendering context.
+   * @param {Object} values - Label to value pairs to list under the timings.
+   */
+  function drawPanel(ctx, values) {
+    const lines = [
+      `FPS ${frameInterval ? Math.round(1000 / frameInterval) : '-'}`,
+      `FRAME ${frameWork.toFixed(1)} ms`,
+      ...Object.keys(values).map(label => `${label} ${values[label]}`)
+    ];
+    const lineHeight = 12;
+
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(4, 4, 150, lines.length * lineHeight + 8);
+    ctx.fillStyle = '#00ff00';
+    lines.forEach((line, index) => ctx.fillText(line, 8, 8 + index * lineHeight));
+  }
+
+  /**
+   * Draw the overlay.
+   * @param {CanvasRenderingContext2D} ctx - Rendering context.
+   * @param {Object} info - What to show.
+   * @param {Object} [info.maze] - Maze {grid, cellSize, offsetX, offsetY}.
+   * @param {Object} [info.view] - Transform {scale, offsetX, offsetY} from maze
+   *   units to the canvas; the maze and entities are drawn through it.
+   * @param {Object} [info.player] - Player.
+   * @param {Array} [info.ghosts] - Ghosts.
+   * @param {Array} [info.items] - Other entities with hitboxes, e.g. bonus items.
+   * @param {Object} [info.values] - Label to value pairs for the panel.
+   */
+  function draw(ctx, info) {
+    if (!isShown || !ctx) return;
+
+    ctx.save();
+    if (info.view) {
+      ctx.translate(info.view.offsetX, info.view.offsetY);
+      ctx.scale(info.view.scale, info.view.scale);
+    }
+    if (info.maze) drawGrid(ctx, info.maze);
+    (info.items || []).forEach(item => drawHitbox(ctx, item, '#ffde59'));
+    if (info.player) drawHitbox(ctx, info.player, '#00ff00');
+    (info.ghosts || []).forEach(ghost => {
+      drawHitbox(ctx, ghost, '#ff5c8a');
+      if (info.maze) drawGhostHeading(ctx, ghost, info.maze);
+    });
+    ctx.restore();
+
+    ctx.save();
+    drawPanel(ctx, info.values || {});
+    ctx.restore();
+  }
+
+  // Export functions for use in browser or tests
+  exports.initialize = initialize;
+  exports.toggle = toggle;
+  exports.isVisible = isVisible;
+  exports.recordFrame = recordFrame;
+  exports.draw = draw;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.DebugOverlay = {}) : {});
@@ -0,0 +1,338 @@
+/**
+ * Effects module: particles, floating score popups, screen shake and
+ * hit-stop for the canvas games. Each engine owns an EffectLayer, feeds it
+ * real frame time and draws it with the rest of its scene.
+ *
+ * Particles and popups come from fixed pools, so nothing is allocated while
+ * playing. With reduced motion (the system setting, or setReducedMotion)
+ * there are no particles or shake, and popups stay put while they fade.
+ * @module Effects
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Pool sizes; when a pool is full the newest effect is dropped
+  const MAX_PARTICLES = 240;
+  const MAX_POPUPS = 16;
+
+  // Longest frame the effects advance by, so a hidden tab doesn't skip them
+  const MAX_STEP = 50;
+
+  // How long a score popup shows (ms) and how far it rises (logical pixels)
+  const POPUP_DURATION = 900;
+  const POPUP_RISE = 30;
+
+  // Looks of each kind of particle
+  const KINDS = {
+    burst: { count: 24, speed: [60, 220], life: [350, 700], size: [2, 5], gravity: 0, drag: 2.5 },
+    sparks: { count: 10, speed: [180, 380], life: [150, 300], size: [1, 2], gravity: 0, drag: 4 },
+    confetti: { count: 60, speed: [120, 320], life: [900, 1600], size: [3, 6], gravity: 360, drag: 1.5 }
+  };
+
+  const query = typeof window !== 'undefined' && window.matchMedia ?
+    window.matchMedia('(prefers-reduced-motion: reduce)') :
+    null;
+
+  // Set by setReducedMotion; null follows the system setting
+  let reducedMotionOverride = null;
+
+  /**
+   * Check whether motion should be kept to a minimum.
+   * @returns {boolean} True if effects should hold still.
+   */
+  function isReducedMotion() {
+    if (reducedMotionOverride !== null) return reducedMotionOverride;
+    return !!(query && query.matches);
+  }
+
+  /**
+   * Force reduced motion on or off.
+   * @param {boolean|null} isReduced - True or false, or null to follow the system setting.
+   */
+  function setReducedMotion(isReduced) {
+    reducedMotionOverride = isReduced === null ? null : !!isReduced;
+  }
+
+  /**
+   * Pick a number in a range.
+   * @param {Array<number>} range - [min, max].
+   * @returns {number} A number from min up to max.
+   */
+  function between(range) {
+    return range[0] + Math.random() * (range[1] - range[0]);
+  }
+
+  /**
+   * Particles, popups, shake and hit-stop for one game.
+   */
+  class EffectLayer {
+    /**
+     * Create an effect layer with its pools filled up front.
+     */
+    constructor() {
+      this.particles = [];
+      for (let i = 0; i < MAX_PARTICLES; i++) {
+        this.particles.push({ kind: '', x: 0, y: 0, vx: 0, vy: 0, age: 0, life: 0, size: 0, color: '', angle: 0, spin: 0 });
+      }
+      this.particleCount = 0;
+
+      this.popups = [];
+      for (let i = 0; i < MAX_POPUPS; i++) {
+        this.popups.push({ text: '', x: 0, y: 0, age: 0, color: '', size: 0 });
+      }
+      this.popupCount = 0;
+
+      this.shakeStrength = 0;
+      this.shakeTime = 0;
+      this.shakeDuration = 0;
+      this.hitStopTime = 0;
+    }
+
+    /**
+     * Throw out a group of particles.
+     * @param {string} kind - burst, sparks or confetti.
+     * @param {number} x - Origin x.
+     * @param {number} y - Origin y.
+     * @param {Array<string>} colors - Colours picked from at random.
+     * @param {Object} [options] - {angle, spread} to aim them (radians), {count} to override the amount.
+     */
+    emit(kind, x, y, colors, options = {}) {
+      if (isReducedMotion()) return;
+
+      const look = KINDS[kind];
+      const count = options.count || look.count;
+      const angle = options.angle || 0;
+      const spread = options.spread === undefined ? Math.PI * 2 : options.spread;
+
+      for (let i = 0; i < count && this.particleCount < MAX_PARTICLES; i++) {
+        const direction = angle + (Math.random() - 0.5) * spread;
+        const speed = between(look.speed);
+        const particle = this.particles[this.particleCount++];
+        particle.kind = kind;
+        particle.x = x;
+        particle.y = y;
+        particle.vx = Math.cos(direction) * speed;
+        particle.vy = Math.sin(direction) * speed;
+        particle.age = 0;
+        particle.life = between(look.life);
+        particle.size = between(look.size);
+        particle.color = colors[i % colors.length];
+        particle.angle = Math.random() * Math.PI;
+        particle.spin = (Math.random() - 0.5) * 12;
+      }
+    }
+
+    /**
+     * Burst of dots in every direction, e.g. when something is destroyed.
+     * @param {number} x - Centre x.
+     * @param {number} y - Centre y.
+     * @param {string} color - Colour of the dots.
+     */
+    burst(x, y, color) {
+      this.emit('burst', x, y, [color, '#ffffff']);
+    }
+
+    /**
+     * Quick streaks, e.g. where a shot lands.
+     * @param {number} x - Impact x.
+     * @param {number} y - Impact y.
+     * @param {string} color - Colour of the streaks.
+     * @param {number} [angle] - Direction to throw them in; all around when omitted.
+     */
+    sparks(x, y, color, angle) {
+      const aim = angle === undefined ? {} : { angle, spread: Math.PI / 2 };
+      this.emit('sparks', x, y, [color], aim);
+    }
+
+    /**
+     * Confetti thrown upwards, e.g. for a level-up.
+     * @param {number} x - Launch x.
+     * @param {number} y - Launch y.
+     * @param {Array<string>} colors - Colours of the pieces.
+     */
+    confetti(x, y, colors) {
+      this.emit('confetti', x, y, colors, { angle: -Math.PI / 2, spread: Math.PI * 0.8 });
+    }
+
+    /**
+     * Show text that floats up and fades, e.g. the points just scored.
+     * @param {number} x - Centre x.
+     * @param {number} y - Centre y.
+     * @param {string} text - Text to show.
+     * @param {string} [color='#ffffff'] - Text colour.
+     * @param {number} [size=16] - Font size in logical pixels.
+     */
+    popup(x, y, text, color = '#ffffff', size = 16) {
+      if (this.popupCount >= MAX_POPUPS) return;
+
+      const popup = this.popups[this.popupCount++];
+      popup.text = text;
+      popup.x = x;
+      popup.y = y;
+      popup.age = 0;
+      popup.color = color;
+      popup.size = size;
+    }
+
+    /**
+     * Shake the screen; a stronger shake replaces a weaker one.
+     * @param {number} strength - Largest offset in logical pixels.
+     * @param {number} duration - How long it lasts (ms).
+     */
+    shake(strength, duration) {
+      if (isReducedMotion() || strength < this.getShakeStrength()) return;
+      this.shakeStrength = strength;
+      this.shakeTime = duration;
+      this.shakeDuration = duration;
+    }
+
+    /**
+     * Freeze the action briefly to sell a hit; effects keep playing.
+     * @param {number} duration - How long to hold (ms).
+     */
+    hitStop(duration) {
+      this.hitStopTime = Math.max(this.hitStopTime, duration);
+    }
+
+    /**
+     * Check whether the game should hold still this frame.
+     * @returns {boolean} True during a hit-stop.
+     */
+    isFrozen() {
+      return this.hitStopTime > 0;
+    }
+
+    /**
+     * Get how hard the screen is shaking right now; it eases out over the shake.
+     * @returns {number} Largest offset in logical pixels.
+     */
+    getShakeStrength() {
+      if (this.shakeTime <= 0) return 0;
+      return this.shakeStrength * (this.shakeTime / this.shakeDuration);
+    }
+
+    /**
+     * Advance every effect.
+     * @param {number} deltaTime - Real time since the last frame (ms).
+     */
+    update(deltaTime) {
+      const step = Math.min(Math.max(deltaTime, 0), MAX_STEP);
+      const seconds = step / 1000;
+
+      this.hitStopTime = Math.max(0, this.hitStopTime - step);
+      this.shakeTime = Math.max(0, this.shakeTime - step);
+
+      // Move live particles; a finished one swaps places with the last live one
+      for (let i = 0; i < this.particleCount; i++) {
+        const particle = this.particles[i];
+        particle.age += step;
+        if (particle.age >= particle.life) {
+          this.particles[i] = this.particles[this.particleCount - 1];
+          this.particles[this.particleCount - 1] = particle;
+          this.particleCount--;
+          i--;
+          continue;
+        }
+
+        const look = KINDS[particle.kind];
+        const drag = Math.max(0, 1 - look.drag * seconds);
+        particle.vx *= drag;
+        particle.vy = particle.vy * drag + look.gravity * seconds;
+        particle.x += particle.vx * seconds;
+        particle.y += particle.vy * seconds;
+        particle.angle += particle.spin * seconds;
+      }
+
+      for (let i = 0; i < this.popupCount; i++) {
+        const popup = this.popups[i];
+        popup.age += step;
+        if (popup.age >= POPUP_DURATION) {
+          this.popups[i] = this.popups[this.popupCount - 1];
+          this.popups[this.popupCount - 1] = popup;
+          this.popupCount--;
+          i--;
+        }
+      }
+    }
+
+    /**
+     * Offset the context by the current shake. Call it after saving the
+     * context and before drawing the scene.
+     * @param {CanvasRenderingContext2D} ctx - Rendering context.
+     */
+    applyShake(ctx) {
+      const strength = this.getShakeStrength();
+      if (strength <= 0) return;
+      ctx.translate((Math.random() * 2 - 1) * strength, (Math.random() * 2 - 1) * strength);
+    }
+
+    /**
+     * Draw the particles and popups.
+     * @param {CanvasRenderingContext2D} ctx - Rendering context.
+     */
+    draw(ctx) {
+      if (this.particleCount === 0 && this.popupCount === 0) return;
+
+      ctx.save();
+      for (let i = 0; i < this.particleCount; i++) {
+        const particle = this.particles[i];
+        const size = particle.size;
+        ctx.globalAlpha = 1 - particle.age / particle.life;
+        ctx.fillStyle = particle.color;
+        ctx.strokeStyle = particle.color;
+
+        if (particle.kind === 'sparks') {
+          ctx.lineWidth = size;
+          ctx.beginPath();
+          ctx.moveTo(particle.x, particle.y);
+          ctx.lineTo(particle.x - particle.vx * 0.04, particle.y - particle.vy * 0.04);
+          ctx.stroke();
+        } else if (particle.kind === 'confetti') {
+          ctx.save();
+          ctx.translate(particle.x, particle.y);
+          ctx.rotate(particle.angle);
+          ctx.fillRect(-size, -size / 2, size * 2, size);
+          ctx.restore();
+        } else {
+          ctx.fillRect(particle.x - size / 2, particle.y - size / 2, size, size);
+        }
+      }
+
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      const rise = isReducedMotion() ? 0 : POPUP_RISE;
+      for (let i = 0; i < this.popupCount; i++) {
+        const popup = this.popups[i];
+        const progress = popup.age / POPUP_DURATION;
+        ctx.globalAlpha = 1 - progress * progress;
+        ctx.font = `900 ${popup.size}px sans-serif`;
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000000';
+        ctx.fillStyle = popup.color;
+        ctx.strokeText(popup.text, popup.x, popup.y - progress * rise);
+        ctx.fillText(popup.text, popup.x, popup.y - progress * rise);
+      }
+      ctx.restore();
+    }
+
+    /**
+     * Drop every effect, e.g. when a game restarts or a replay jumps.
+     */
+    clear() {
+      this.particleCount = 0;
+      this.popupCount = 0;
+      this.shakeTime = 0;
+      this.hitStopTime = 0;
+    }
+  }
+
+  // Export functions for use in browser or tests
+  exports.isReducedMotion = isReducedMotion;
+  exports.setReducedMotion = setReducedMotion;
+  exports.EffectLayer = EffectLayer;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.Effects = {}) : {});
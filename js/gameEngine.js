@@ -6,7 +6,7 @@
 // Create a module that can be used in both browser and Jest environments
 (function (exports) {
   // Dependencies
-  let CanvasManager, InputHandler, CollisionManager, Player, Ghost;
+  let CanvasManager, InputHandler, CollisionManager, Player, Ghost, GhostRegistry, BonusItem, MazeGenerator, LevelLoader, Pathfinding, SeededRandom, Replay, Logger, DebugOverlay, Effects, AudioManager, MusicSequencer;
 
   // Get dependencies in browser or Node.js environment
   if (typeof window !== 'undefined') {
@@ -16,6 +16,18 @@
     CollisionManager = window.CollisionManager;
     Player = window.Player;
     Ghost = window.Ghost;
+    GhostRegistry = window.GhostRegistry;
+    BonusItem = window.BonusItem;
+    MazeGenerator = window.MazeGenerator;
+    LevelLoader = window.LevelLoader;
+    Pathfinding = window.Pathfinding;
+    SeededRandom = window.SeededRandom;
+    Replay = window.Replay;
+    Logger = window.Logger;
+    DebugOverlay = window.DebugOverlay;
+    Effects = window.Effects;
+    AudioManager = window.AudioManager;
+    MusicSequencer = window.MusicSequencer;
   } else {
     // Node.js (Jest) environment
     CanvasManager = require('./canvasManager');
@@ -23,13 +35,128 @@
     CollisionManager = require('./collisionManager');
     Player = require('./player');
     Ghost = require('./ghost');
+    GhostRegistry = require('./ghostRegistry');
+    BonusItem = require('./bonusItem');
+    MazeGenerator = require('./mazeGenerator');
+    LevelLoader = require('./levelLoader');
+    Pathfinding = require('./pathfinding');
+    SeededRandom = require('./seededRandom');
+    Replay = require('./replay');
+    Logger = require('./logger');
+    DebugOverlay = require('./debugOverlay');
+    Effects = require('./effects');
+    AudioManager = require('./audioManager');
+    MusicSequencer = require('./musicSequencer');
   }
 
+  const log = Logger.create('GameEngine');
+
+  // Pellet layer values stored in gameState.maze.pellets
+  const PELLET = LevelLoader.PELLET;
+
+  // Ordered list of hand-made levels; generated mazes take over once it runs out
+  const CAMPAIGN_URL = 'levels/campaign.json';
+
+  // Points awarded for each pellet eaten
+  const PELLET_POINTS = 10;
+  const POWER_PELLET_POINTS = 50;
+
+  // Frightened mode timing (ms) - ghosts start flashing for the last stretch
+  const FRIGHTENED_DURATION = 7000;
+  const FRIGHTENED_WARNING = 2000;
+
+  // Points for eating a frightened ghost, doubling for each ghost in the same chain
+  const GHOST_EAT_POINTS = 200;
+  const GHOST_EAT_MAX_CHAIN = 3; // 200, 400, 800, 1600
+
+  // Ghosts get this much faster (cells per second) at each difficulty level
+  const GHOST_SPEED_STEP = 0.5;
+
+  // Size of the box spawn positions are centred for, as a fraction of a cell
+  const SPAWN_BOX_SIZE = 0.5;
+
+  // Fewest cells between the player and a ghost placed at the start of a
+  // level, and a ghost placed when a level is laid out again or one is added
+  const GHOST_SPAWN_DISTANCE = 2.5;
+  const GHOST_SAFE_DISTANCE = 3.75;
+
+  // Bonus items: the header's social icons turn up now and then, and vanish again
+  const BONUS_TYPES = ['medium', 'scholar'];
+  const BONUS_INTERVAL = 15000; // Time until the next item appears
+  const BONUS_LIFETIME = 9000;
+  const BONUS_WARNING = 2500; // Items blink for this long before vanishing
+  const BONUS_SIZE = 0.6; // Item size as a fraction of a cell
+  const BONUS_POINTS = [100, 300, 500, 700, 1000, 2000, 3000, 5000]; // Each item collected in a run is worth more
+  const BONUS_URLS = {
+    medium: 'https://medium.com/@macayaven',
+    scholar: 'https://scholar.google.com/citations?user=carlos'
+  };
+
+  // Lives: the run ends when the last one is lost. An extra life is awarded at
+  // EXTRA_LIFE_SCORE points and then every EXTRA_LIFE_INTERVAL points.
+  const STARTING_LIVES = 3;
+  const MAX_LIVES = 5;
+  const EXTRA_LIFE_SCORE = 5000;
+  const EXTRA_LIFE_INTERVAL = 10000;
+
+  // Length of the death sequence (ms) before the player respawns
+  const DEATH_DURATION = 1500;
+
+  // Ghosts alternate between scattering to their corners and chasing the player.
+  // The last phase lasts for the rest of the level.
+  const GHOST_MODE_SCHEDULE = [
+    { mode: 'scatter', duration: 7000 },
+    { mode: 'chase', duration: 20000 },
+    { mode: 'scatter', duration: 7000 },
+    { mode: 'chase', duration: 20000 },
+    { mode: 'scatter', duration: 5000 },
+    { mode: 'chase', duration: Infinity }
+  ];
+
+  // The simulation advances in fixed steps (ms) independent of the frame rate,
+  // so a run can be reproduced from its seed and inputs. Long frames are capped
+  // so a stalled tab doesn't trigger a burst of catch-up steps.
+  const SIM_STEP = 1000 / 60;
+  const MAX_FRAME_TIME = 250;
+
+  // Entity positions are double-checked every this many simulation steps
+  const POSITION_CHECK_INTERVAL = 20;
+
+  // Feedback for big moments: screen shake {strength (px), duration} and
+  // hit-stop (ms) that holds the action. Only the frame loop waits, so the
+  // simulation and its replays are unaffected.
+  const DEATH_SHAKE = { strength: 8, duration: 400 };
+  const DEATH_HIT_STOP = 150;
+  const GHOST_EAT_SHAKE = { strength: 3, duration: 150 };
+  const GHOST_EAT_HIT_STOP = 80;
+
+  // Difficulty level at which the music reaches full intensity
+  const MUSIC_MAX_LEVEL = 8;
+
+  // Size of a maze cell in simulation units. The simulation never sees the
+  // canvas: drawing scales the maze to fit it, so every screen size (and a
+  // resize mid-run) plays, and replays, exactly the same.
+  const MAZE_CELL_SIZE = 40;
+
+  // Whether the engine is listening for canvas size changes
+  let isListeningForResize = false;
+
+  // Generated maze layout (used after the campaign) - 1 represents walls, 0 represents paths
+  const MAZE_ROWS = 13;
+  const MAZE_COLS = 15;
+  const MAZE_LOOP_DENSITY = 0.15;
+  const MAZE_TUNNELS = 1;
+
   // Game state
   const gameState = {
     isInitialized: false,
+    isPaused: false,
     isGameOver: false,
     score: 0,
+    lives: STARTING_LIVES,
+    nextExtraLifeScore: EXTRA_LIFE_SCORE,
+    deathTimer: 0, // Time left in the death sequence, 0 while alive
+    killedBy: null, // Ghost that caught the player
     lastTimestamp: 0,
     assets: null,
     player: null,
@@ -37,10 +164,32 @@
     context: null,
     difficultyLevel: 1,
     difficultyTimer: 0,
+    pelletsRemaining: 0,
+    ghostEatChain: 0,
+    bonusItem: null, // Bonus item in the maze, if one is showing
+    bonusTimer: BONUS_INTERVAL, // Time until the next bonus item appears (ms)
+    bonusesCollected: 0, // Bonus items collected this run
+    bonusSet: {}, // Kinds of bonus item collected this run
+    ghostModeIndex: 0,
+    ghostModeTimer: 0,
     difficultyInterval: 30000, // 30 seconds per level
     gracePeriod: 3000, // 3 second grace period at start
     gracePeriodMax: 3000,
     maze: null,
+    seed: 0, // Seed of the run; generated level N uses seed + N - 1
+    rng: null, // Seeded generator behind every random choice in the simulation
+    tick: 0, // Simulation steps since the run started
+    accumulator: 0, // Frame time not yet simulated (ms)
+    recording: null, // Inputs of the run being played, saved when it ends
+    lastRecording: null, // Most recently saved recording
+    replay: null, // Replay being watched {recording, playback, speed, isPaused, isFinished, onUpdate}
+    effects: new Effects.EffectLayer(), // Particles, popups, shake and hit-stop; never part of the simulation
+    isSeeking: false, // True while a replay jump re-simulates; no sounds then
+    campaign: null, // Loaded campaign {name, levels}
+    campaignIndex: 0, // Index of the current level in the campaign
+    level: null, // Current level definition, or null for a generated maze
+    customLevel: null, // Level being play-tested from the editor; replaces the campaign
+    isLoadingLevel: false,
     colors: [
       '#4a9636', // Green
       '#3657a7', // Blue
@@ -57,12 +206,22 @@
   /**
    * Initialize game state and resources.
    * @param {Object} assets - Game assets (images).
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.seed] - Seed for the run. The same seed and the same
+   *   inputs always play out the same way; a random seed is picked if omitted.
+   * @param {Object} [options.level] - Parsed level to play instead of the campaign,
+   *   over and over at rising difficulty (play-testing from the editor).
    */
-  function initialize(assets) {
-    console.log("Initializing Game Engine...");
+  function initialize(assets, options = {}) {
+    log.debug("Initializing Game Engine...");
 
     // Save assets
     gameState.assets = assets;
+    gameState.customLevel = options.level || null;
+
+    // Starting a new run ends any replay and saves any run in progress
+    finishRecording();
+    gameState.replay = null;
 
     // Set game-active class for UI hiding
     if (typeof document !== 'undefined') {
@@ -72,15 +231,26 @@
     // Initialize canvas
     try {
       gameState.context = CanvasManager.initialize();
-      console.log("Canvas initialized successfully");
+      log.debug("Canvas initialized successfully");
     } catch (error) {
-      console.error("Failed to initialize canvas:", error);
+      log.error("Failed to initialize canvas:", error);
       return; // Exit initialization if canvas setup fails
     }
 
+    // Redraw at the new size whenever the canvas changes size
+    if (!isListeningForResize) {
+      CanvasManager.onResize(relayout);
+      isListeningForResize = true;
+    }
+
+    // The loop is halted while paused, so redraw when the debug overlay is toggled
+    DebugOverlay.initialize(() => {
+      if (gameState.isRunning && gameState.isPaused) render();
+    });
+
     // Initialize input handler
     InputHandler.initialize();
-    console.log("Input handler initialized");
+    log.debug("Input handler initialized");
 
     // Add restart event listener
     if (typeof document !== 'undefined') {
@@ -92,97 +262,420 @@
 
         // Add the click event listener
         newRestartButton.addEventListener('click', function (event) {
-          console.log("Restart button clicked");
+          log.debug("Restart button clicked");
           event.preventDefault();
           restart();
         });
         // Also add a touchend event listener for mobile devices
         newRestartButton.addEventListener('touchend', function (event) {
-          console.log("Restart button touched");
+          log.debug("Restart button touched");
           event.preventDefault();
           restart();
         });
-        console.log("Restart button listener added");
+        log.debug("Restart button listener added");
       } else {
-        console.warn("Restart button not found");
+        log.warn("Restart button not found");
       }
     }
 
     // Initialize game state
     gameState.isRunning = true;
-    gameState.isGameOver = false;
+    gameState.isPaused = false;
     gameState.lastFrameTime = 0;
-    gameState.score = 0;
-    gameState.difficultyLevel = 1;
-    gameState.difficultyTimer = 0;
-    gameState.difficultyInterval = 30000; // 30 seconds per level
-    gameState.gracePeriod = 3000; // 3 second grace period at start
-    gameState.gracePeriodMax = 3000;
-
-    // Initialize maze first
-    const canvasDimensions = CanvasManager.getDimensions();
-    initializeMaze(canvasDimensions);
-    console.log("Maze initialized:", gameState.maze ? "✓" : "✗");
-
-    // Create entities
-    createEntities();
-    console.log("Entities created:",
-      `Player: ${gameState.player ? "✓" : "✗"}, Ghosts: ${gameState.ghosts?.length || 0}`);
+    resetRun(options.seed);
+    startMusic();
+
+    // Load the first campaign level before building the maze
+    gameState.isLoadingLevel = true;
+    loadCampaignLevel(0).then(function () {
+      // The player may have switched games while the level was loading
+      if (!gameState.isRunning) return;
+      gameState.isLoadingLevel = false;
+      startFirstLevel();
+    });
+  }
 
-    // Validate all entity positions
-    validateEntityPositions();
-    console.log("Entity positions validated");
+  /**
+   * Build the first level and start the game loop.
+   */
+  function startFirstLevel() {
+    buildFirstLevel();
 
     // Update displays
     updateScoreDisplay();
     updateDifficultyDisplay();
+    updateLivesDisplay();
 
     // Start game loop
     gameState.isInitialized = true;
-    console.log("Game Engine initialized successfully");
+    log.debug("Game Engine initialized successfully");
 
     // Force a render to ensure everything is drawn initially
     render();
 
     // Start the game loop
     gameState.animationId = requestAnimationFrame(gameLoop);
-    console.log("Game started successfully!");
+    log.debug("Game started successfully!");
+  }
+
+  /**
+   * Build the maze and entities of the first level. Every way of starting a
+   * run goes through here, so a replay sets up exactly like the original.
+   */
+  function buildFirstLevel() {
+    // Initialize maze first
+    initializeMaze();
+    log.debug("Maze initialized:", gameState.maze ? "✓" : "✗");
+
+    // Create entities
+    createEntities();
+    log.debug("Entities created:",
+      `Player: ${gameState.player ? "✓" : "✗"}, Ghosts: ${gameState.ghosts?.length || 0}`);
+
+    // Validate all entity positions
+    validateEntityPositions();
+    log.debug("Entity positions validated");
+  }
+
+  /**
+   * Load a level of the campaign into gameState.level. Past the end of the
+   * campaign, or if it can't be loaded, gameState.level is set to null so
+   * a generated maze is used instead.
+   * @param {number} index - Index of the level in the campaign
+   * @returns {Promise} Resolves once gameState.level is set
+   */
+  function loadCampaignLevel(index) {
+    if (gameState.customLevel) {
+      useCachedCampaignLevel(index);
+      return Promise.resolve(gameState.level);
+    }
+
+    const campaignReady = gameState.campaign ?
+      Promise.resolve(gameState.campaign) :
+      LevelLoader.loadCampaign(CAMPAIGN_URL).then(function (campaign) {
+        gameState.campaign = campaign;
+        preloadCampaign();
+        return campaign;
+      });
+
+    gameState.campaignIndex = index;
+
+    return campaignReady
+      .then(function (campaign) {
+        if (index >= campaign.levels.length) {
+          log.debug("Campaign complete, switching to generated mazes");
+          return null;
+        }
+        return LevelLoader.loadLevel(campaign.levels[index]);
+      })
+      .catch(function (error) {
+        log.warn("Could not load campaign level, using a generated maze:", error);
+        // Don't retry a campaign that failed to load on every level
+        if (!gameState.campaign) gameState.campaign = { name: 'Generated', levels: [] };
+        return null;
+      })
+      .then(function (level) {
+        gameState.level = level;
+        if (level) log.debug(`Loaded level ${index + 1}: ${level.name}`);
+        return level;
+      });
+  }
+
+  /**
+   * Load every level of the campaign in the background, so later levels
+   * can start without waiting.
+   * @returns {Promise} Resolves once every level has loaded or failed
+   */
+  function preloadCampaign() {
+    const levels = gameState.campaign ? gameState.campaign.levels : [];
+    return Promise.all(levels.map(function (url) {
+      return LevelLoader.loadLevel(url).catch(function (error) {
+        log.warn(`Could not preload ${url}:`, error);
+      });
+    }));
+  }
+
+  /**
+   * Switch to a campaign level straight away if it has already been loaded.
+   * @param {number} index - Index of the level in the campaign
+   * @returns {boolean} True if gameState.level was set; false if it has to be loaded
+   */
+  function useCachedCampaignLevel(index) {
+    if (gameState.customLevel) {
+      gameState.campaignIndex = index;
+      gameState.level = gameState.customLevel;
+      return true;
+    }
+
+    const campaign = gameState.campaign;
+    if (!campaign) return false;
+
+    const level = index < campaign.levels.length ?
+      LevelLoader.getCachedLevel(campaign.levels[index]) : null;
+    if (index < campaign.levels.length && !level) return false;
+
+    gameState.campaignIndex = index;
+    gameState.level = level;
+    return true;
+  }
+
+  /**
+   * Get the settings of the current level.
+   * @returns {Object} Level settings (defaults for generated mazes)
+   */
+  function getLevelSettings() {
+    return gameState.level ? gameState.level.settings : LevelLoader.DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Get the speed a ghost should have at the current difficulty and level.
+   * @param {Ghost} ghost - The ghost
+   * @returns {number} Speed in cells per second
+   */
+  function getGhostSpeed(ghost) {
+    return (ghost.baseSpeed + (gameState.difficultyLevel - 1) * GHOST_SPEED_STEP) * getLevelSettings().ghostSpeed;
+  }
+
+  /**
+   * Centre an entity on a grid cell.
+   * @param {Object} entity - Entity with x, y, width and height
+   * @param {Object} cell - The cell {row, col}
+   */
+  function placeAtCell(entity, cell) {
+    const { cellSize, offsetX, offsetY } = gameState.maze;
+    entity.x = offsetX + (cell.col + 0.5) * cellSize - entity.width / 2;
+    entity.y = offsetY + (cell.row + 0.5) * cellSize - entity.height / 2;
+  }
+
+  /**
+   * Start a new run: set the seed, reset the seeded generator, step count and
+   * everything else the simulation depends on, and start recording inputs
+   * (unless a replay is being watched).
+   * @param {number} [seed] - Seed for the run; a random one is picked if omitted.
+   */
+  function resetRun(seed) {
+    gameState.seed = seed !== undefined ? seed : Math.floor(Math.random() * 1000000);
+    gameState.rng = SeededRandom.create(gameState.seed);
+    gameState.tick = 0;
+    gameState.accumulator = 0;
+    log.debug(`Run seed: ${gameState.seed}`);
+
+    gameState.isGameOver = false;
+    gameState.score = 0;
+    resetLives();
+    gameState.difficultyLevel = 1;
+    gameState.difficultyTimer = 0;
+    gameState.difficultyInterval = 30000; // 30 seconds per level
+    gameState.gracePeriod = 3000; // 3 second grace period at start
+    gameState.gracePeriodMax = 3000;
+    gameState.ghostEatChain = 0;
+    gameState.ghosts = [];
+    gameState.bonusesCollected = 0;
+    gameState.bonusSet = {};
+    gameState.effects.clear();
+    clearBonusItem();
+    resetGhostMode();
+
+    // Replays always start from the campaign, so play-tests aren't recorded
+    gameState.recording = gameState.replay || gameState.customLevel ? null : Replay.create(gameState.seed);
+  }
+
+  /**
+   * Save the recording of the current run, if it got anywhere.
+   * @returns {Object|null} The saved recording
+   */
+  function finishRecording() {
+    const recording = gameState.recording;
+    gameState.recording = null;
+    if (!recording || recording.ticks === 0) return null;
+
+    recording.score = gameState.score;
+    gameState.lastRecording = Replay.save(recording);
+    return gameState.lastRecording;
+  }
+
+  /**
+   * Get the most recently saved recording, e.g. to watch the run that just ended.
+   * @returns {Object|null} The recording
+   */
+  function getLastRecording() {
+    return gameState.lastRecording;
+  }
+
+  /**
+   * Read the player's input for this simulation step: from the replay being
+   * watched, or from InputHandler (recorded for the run's replay).
+   * @returns {Object} Direction {x, y}
+   */
+  function readInput() {
+    if (gameState.replay) {
+      return Replay.getDirection(gameState.replay.playback, gameState.tick);
+    }
+
+    const direction = InputHandler.getDirection();
+    if (gameState.recording) {
+      Replay.record(gameState.recording, gameState.tick, direction);
+    }
+    return direction;
+  }
+
+  /**
+   * Get the layout of the current level with a full board, e.g. to open it
+   * in the level editor. Generated mazes have no spawn cells.
+   * @returns {Object|null} Level {name, settings, grid, pellets, playerSpawn,
+   *   ghostSpawns, ghostHouse, tunnels}, or null before the first maze is built
+   */
+  function getLevel() {
+    if (gameState.level) return gameState.level;
+
+    const maze = gameState.maze;
+    if (!maze) return null;
+
+    // Lay the pellets out the way resetPellets does for generated mazes
+    const pellets = maze.grid.map(row => row.map(cell => cell === 0 ? PELLET.DOT : PELLET.NONE));
+    getPowerPelletCells(maze.grid).forEach(({ row, col }) => {
+      pellets[row][col] = PELLET.POWER;
+    });
+
+    return {
+      name: maze.name,
+      settings: { ...LevelLoader.DEFAULT_SETTINGS, name: maze.name },
+      grid: maze.grid,
+      pellets: pellets,
+      playerSpawn: maze.playerSpawn,
+      ghostSpawns: maze.ghostSpawns,
+      ghostHouse: maze.ghostHouse,
+      tunnels: maze.tunnels
+    };
+  }
+
+  /**
+   * Get the seed of the current run, e.g. to attach to a bug report.
+   * @returns {number} The seed
+   */
+  function getSeed() {
+    return gameState.seed;
+  }
+
+  /**
+   * Pick a random ghost type.
+   * @returns {string} Ghost type
+   */
+  function randomGhostType() {
+    return gameState.rng.pick(GhostRegistry.getTypes());
+  }
+
+  /**
+   * Create a ghost that draws its random choices from the run's generator
+   * and checks its moves against the current maze.
+   * @param {string} type - Ghost type
+   * @param {Object} position - Initial position {x, y}
+   * @returns {Ghost} The new ghost
+   */
+  function createGhost(type, position) {
+    const clips = gameState.assets && gameState.assets.clips ? gameState.assets.clips[type] : null;
+    return new Ghost(type, position, gameState.rng.next, gameState.maze ? gameState.maze.cellSize : undefined, clips, isValidMove);
   }
 
   /**
    * Stops the game loop and sets the game to not running.
    */
   function stop() {
+    finishRecording();
+    gameState.replay = null;
     gameState.isRunning = false;
+    gameState.isPaused = false;
+    MusicSequencer.stop();
+    if (gameState.animationId) {
+      cancelAnimationFrame(gameState.animationId);
+      gameState.animationId = null;
+      log.debug("Game loop stopped.");
+    }
+  }
+
+  /**
+   * Pause the game. Nothing is simulated while paused, so every timer (grace
+   * period, difficulty, colour cycling, ghost modes) is frozen. A replay being
+   * watched is paused through its own controls instead.
+   * @returns {boolean} True if the game was paused
+   */
+  function pause() {
+    if (gameState.replay) {
+      setReplayPaused(true);
+      return false;
+    }
+    if (!gameState.isRunning || gameState.isGameOver || gameState.isPaused) return false;
+
+    gameState.isPaused = true;
+    MusicSequencer.pause();
     if (gameState.animationId) {
       cancelAnimationFrame(gameState.animationId);
       gameState.animationId = null;
-      console.log("Game loop stopped.");
     }
+    log.debug("Game paused");
+    return true;
+  }
+
+  /**
+   * Resume a paused game. The first frame after resuming counts as a fresh
+   * start, so the time spent paused doesn't show up as one huge frame.
+   */
+  function resume() {
+    if (!gameState.isPaused) return;
+
+    gameState.isPaused = false;
+    gameState.lastFrameTime = 0;
+    gameState.accumulator = 0;
+    MusicSequencer.resume();
+    if (gameState.isRunning && !gameState.animationId) {
+      gameState.animationId = requestAnimationFrame(gameLoop);
+    }
+    log.debug("Game resumed");
+  }
+
+  /**
+   * Check whether the game is paused.
+   * @returns {boolean} True if paused
+   */
+  function isPaused() {
+    return gameState.isPaused;
   }
 
   /**
    * Create player and ghost entities.
    */
   function createEntities() {
+    // Initialize maze if needed; entities are sized from its cells
+    if (!gameState.maze) {
+      initializeMaze();
+    }
+
     // Create player
-    gameState.player = new Player(gameState.assets);
+    gameState.player = new Player(gameState.assets, gameState.maze.cellSize);
 
     // Create ghosts
     gameState.ghosts = [];
 
-    const canvasDimensions = CanvasManager.getDimensions();
-
-    // Initialize maze if needed
-    if (!gameState.maze) {
-      initializeMaze(canvasDimensions);
+    // Levels loaded from a file say exactly where everyone starts
+    if (gameState.maze.playerSpawn) {
+      placeAtCell(gameState.player, gameState.maze.playerSpawn);
+
+      const spawns = gameState.maze.ghostSpawns;
+      for (let i = 0; i < getLevelSettings().ghosts; i++) {
+        const ghost = createGhost(randomGhostType(), { x: 0, y: 0 });
+        placeAtCell(ghost, spawns[i % spawns.length]);
+        ghost.spawn = { x: ghost.x, y: ghost.y };
+        ghost.speed *= getLevelSettings().ghostSpeed;
+        gameState.ghosts.push(ghost);
+      }
+      return;
     }
 
     // Calculate safe positions based on the maze
-    const mazePositions = getMazePositions(canvasDimensions);
+    const mazePositions = getMazePositions();
 
     if (mazePositions.length > 0) {
-      console.log(`Found ${mazePositions.length} valid positions for characters`);
+      log.debug(`Found ${mazePositions.length} valid positions for characters`);
 
       // Place player at a random valid position
       const playerPos = getRandomPosition(mazePositions);
@@ -191,19 +684,12 @@
 
       // Mark the player position and nearby positions as used
       const usedIndices = [playerPos.index];
-      const proximityThreshold = 100; // Don't spawn ghosts too close to player
 
       // Find positions to avoid (too close to player)
       for (let i = 0; i < mazePositions.length; i++) {
         if (i === playerPos.index) continue;
 
-        const pos = mazePositions[i];
-        const distance = Math.sqrt(
-          Math.pow(pos.x - playerPos.x, 2) +
-          Math.pow(pos.y - playerPos.y, 2)
-        );
-
-        if (distance < proximityThreshold) {
+        if (getCellDistance(mazePositions[i], playerPos) < GHOST_SPAWN_DISTANCE) {
           usedIndices.push(i);
         }
       }
@@ -214,34 +700,32 @@
       );
 
       // Place ghosts at random valid positions away from player
-      const ghostCount = Math.min(4, availablePositions.length);
+      const ghostCount = Math.min(getLevelSettings().ghosts, availablePositions.length);
       for (let i = 0; i < ghostCount; i++) {
         if (availablePositions.length === 0) break;
 
         const ghostPos = getRandomPosition(availablePositions);
-        const ghostTypes = ['ghost_linkedin', 'ghost_kaggle', 'ghost_github'];
-        const ghostType = ghostTypes[Math.floor(Math.random() * ghostTypes.length)];
-
-        gameState.ghosts.push(new Ghost(ghostType, {
+        const ghost = createGhost(randomGhostType(), {
           x: ghostPos.x,
           y: ghostPos.y
-        }));
+        });
+        ghost.speed *= getLevelSettings().ghostSpeed;
+        gameState.ghosts.push(ghost);
 
         // Remove this position so no other ghost spawns here
         availablePositions.splice(ghostPos.index, 1);
       }
     } else {
-      console.error("No valid maze positions found for characters!");
+      log.error("No valid maze positions found for characters!");
       // Fallback to original positioning if maze isn't available
-      gameState.player.x = canvasDimensions.width / 2 - gameState.player.width / 2;
-      gameState.player.y = canvasDimensions.height / 2 - gameState.player.height / 2;
+      const size = getMazeSize();
+      gameState.player.x = size.width / 2 - gameState.player.width / 2;
+      gameState.player.y = size.height / 2 - gameState.player.height / 2;
 
       // Add a single ghost as fallback using ghost type
-      const ghostTypes = ['ghost_linkedin', 'ghost_kaggle', 'ghost_github'];
-      const ghostType = ghostTypes[Math.floor(Math.random() * ghostTypes.length)];
-      const ghost = new Ghost(ghostType, {
-        x: canvasDimensions.width / 4,
-        y: canvasDimensions.height / 4
+      const ghost = createGhost(randomGhostType(), {
+        x: size.width / 4,
+        y: size.height / 4
       });
       gameState.ghosts.push(ghost);
     }
@@ -249,23 +733,16 @@
 
   /**
    * Get a list of valid positions in the maze (path cells)
-   * @param {Object} dimensions - Canvas dimensions
    * @returns {Array} - List of valid positions
    */
-  function getMazePositions(dimensions) {
+  function getMazePositions() {
     if (!gameState.maze) return [];
 
     const positions = [];
     const { grid, cellSize, offsetX, offsetY } = gameState.maze;
 
-    // Detect if we're on a mobile device for sizing
-    const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-
-    // Assuming a standard entity size - smaller on mobile
-    const entitySize = isMobile ? 8 : 12;
-
-    // Log entity size being used
-    console.log(`Using entity size: ${entitySize}, isMobile: ${isMobile}`);
+    // Positions centre a box of a fixed fraction of the cell
+    const entitySize = cellSize * SPAWN_BOX_SIZE;
 
     // Use a more strict approach to find valid positions
     // Only use cells that are guaranteed to be safe (away from walls)
@@ -292,11 +769,8 @@
         if (!hasEastWall) safetyScore++;
         if (!hasWestWall) safetyScore++;
 
-        // Only include positions with at least 3 open directions on desktop
-        // For mobile, be more strict and require 4 open directions (intersections only)
-        const minSafetyScore = isMobile ? 4 : 3;
-
-        if (safetyScore >= minSafetyScore) {
+        // Only include positions with at least 3 open directions
+        if (safetyScore >= 3) {
           // Calculate the absolute position that centers the entity in the cell
           const centerX = offsetX + col * cellSize + (cellSize / 2);
           const centerY = offsetY + row * cellSize + (cellSize / 2);
@@ -319,7 +793,7 @@
     }
 
     // Fallback to find ANY valid path cells if we couldn't find perfectly safe ones
-    console.warn("No ideal safe positions found. Looking for any valid path cells.");
+    log.warn("No ideal safe positions found. Looking for any valid path cells.");
 
     for (let row = 0; row < grid.length; row++) {
       for (let col = 0; col < grid[row].length; col++) {
@@ -365,13 +839,24 @@
     return hasValidPath;
   }
 
+  /**
+   * Get the distance between two points in maze cells, so spawn rules play
+   * the same at every cell size.
+   * @param {Object} a - Point {x, y}
+   * @param {Object} b - Point {x, y}
+   * @returns {number} - Distance in cells
+   */
+  function getCellDistance(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2)) / gameState.maze.cellSize;
+  }
+
   /**
    * Get a random position from the available maze positions
    * @param {Array} positions - Array of available positions
    * @returns {Object} - Selected position with index
    */
   function getRandomPosition(positions) {
-    const index = Math.floor(Math.random() * positions.length);
+    const index = gameState.rng.nextInt(positions.length);
     const position = positions[index];
     return {
       x: position.x,
@@ -380,47 +865,535 @@
     };
   }
 
-  /**
-   * Initialize the maze for the game.
-   * @param {Object} dimensions - Canvas dimensions.
-   */
-  function initializeMaze(dimensions) {
-    // Maze configuration
-    const cellSize = Math.min(dimensions.width, dimensions.height) / 15;
-
-    // Simple maze layout - 1 represents walls, 0 represents paths
-    const maze = [
-      [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-      [1, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1],
-      [1, 0, 1, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 0, 1],
-      [1, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 1],
-      [1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1],
-      [1, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1],
-      [1, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1],
-      [1, 0, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 0, 1],
-      [1, 0, 1, 1, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0, 1],
-      [1, 0, 0, 0, 0, 1, 0, 1, 0, 1, 0, 0, 0, 0, 1],
-      [1, 0, 1, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 0, 1],
-      [1, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1],
-      [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
-    ];
+  /**
+   * Initialize the maze for the game. Campaign levels use their level file;
+   * after that each level gets its own generated layout, seeded from the
+   * base seed and the level number.
+   */
+  function initializeMaze() {
+    const level = gameState.level;
+    let grid;
+    let seed = null;
+
+    if (level) {
+      grid = level.grid.map(row => row.slice());
+    } else {
+      seed = gameState.seed + gameState.difficultyLevel - 1;
+      grid = MazeGenerator.generate({
+        seed: seed,
+        rows: MAZE_ROWS,
+        cols: MAZE_COLS,
+        loopDensity: MAZE_LOOP_DENSITY,
+        tunnels: MAZE_TUNNELS
+      }).grid;
+    }
+
+    // Add to game state so other components can access it
+    gameState.maze = {
+      grid: grid,
+      pellets: [],
+      name: level ? level.name : `Generated #${seed}`,
+      seed: seed,
+      playerSpawn: level ? level.playerSpawn : null,
+      ghostSpawns: level ? level.ghostSpawns : [],
+      ghostHouse: level ? level.ghostHouse : [],
+      tunnels: level ? level.tunnels : findTunnels(grid),
+      cellSize: MAZE_CELL_SIZE,
+      offsetX: 0,
+      offsetY: 0
+    };
+
+    log.debug(`Maze for level ${gameState.difficultyLevel}: ${gameState.maze.name}`);
+    resetPellets();
+  }
+
+  /**
+   * Get the size of the maze in simulation units.
+   * @returns {Object} - Size {width, height}
+   */
+  function getMazeSize() {
+    const { grid, cellSize } = gameState.maze;
+    return { width: grid[0].length * cellSize, height: grid.length * cellSize };
+  }
+
+  /**
+   * Fit the maze to the canvas: the largest square cells that fit, centred.
+   * Only drawing uses this; the simulation stays in maze units.
+   * @returns {Object} - View {scale, offsetX, offsetY} from maze units to canvas units
+   */
+  function getView() {
+    const dimensions = CanvasManager.getDimensions();
+    const { grid, cellSize } = gameState.maze;
+    const screenCellSize = Math.min(dimensions.width, dimensions.height) / Math.max(grid.length, grid[0].length);
+
+    return {
+      scale: screenCellSize / cellSize,
+      offsetX: (dimensions.width - (grid[0].length * screenCellSize)) / 2,
+      offsetY: (dimensions.height - (grid.length * screenCellSize)) / 2
+    };
+  }
+
+  /**
+   * Show the maze at a new canvas size. Nothing in the simulation depends on
+   * the canvas, so this only redraws.
+   * @param {Object} dimensions - New canvas dimensions {width, height}
+   */
+  function relayout(dimensions) {
+    if (!gameState.isRunning || !gameState.maze) return;
+
+    log.debug(`Maze shown at ${dimensions.width}x${dimensions.height}: scale ${getView().scale.toFixed(2)}`);
+
+    // The loop is halted while paused, so show the new layout straight away
+    render();
+  }
+
+  /**
+   * Find the tunnel exits of a grid: open cells on its outer edge.
+   * @param {Array} grid - Maze grid
+   * @returns {Array} - Tunnel cells {row, col}
+   */
+  function findTunnels(grid) {
+    const tunnels = [];
+    const lastRow = grid.length - 1;
+    const lastCol = grid[0].length - 1;
+
+    grid.forEach((cells, row) => {
+      cells.forEach((cell, col) => {
+        const onEdge = row === 0 || row === lastRow || col === 0 || col === lastCol;
+        if (onEdge && cell === 0) tunnels.push({ row, col });
+      });
+    });
+
+    return tunnels;
+  }
+
+  /**
+   * Send an entity that has left the maze through a tunnel to the opposite side.
+   * @param {Object} entity - Entity with x, y, width and height
+   */
+  function wrapEntity(entity) {
+    if (!gameState.maze) return;
+    Pathfinding.wrapEntity(entity, gameState.maze);
+  }
+
+  /**
+   * Fill the maze with pellets. Level files place their own pellets;
+   * generated mazes get a pellet on every path cell, with a power pellet
+   * on the path cell closest to each corner.
+   */
+  function resetPellets() {
+    if (!gameState.maze) return;
+
+    if (gameState.level) {
+      gameState.maze.pellets = gameState.level.pellets.map(row => row.slice());
+      gameState.pelletsRemaining = gameState.maze.pellets.reduce((total, row) =>
+        total + row.filter(pellet => pellet !== PELLET.NONE).length, 0);
+      return;
+    }
+
+    const { grid } = gameState.maze;
+    let count = 0;
+
+    gameState.maze.pellets = grid.map(row => row.map(cell => {
+      if (cell !== 0) return PELLET.NONE;
+      count++;
+      return PELLET.DOT;
+    }));
+
+    getPowerPelletCells(grid).forEach(({ row, col }) => {
+      gameState.maze.pellets[row][col] = PELLET.POWER;
+    });
+
+    gameState.pelletsRemaining = count;
+  }
+
+  /**
+   * Find the path cell closest to each corner of the grid.
+   * @param {Array} grid - Maze grid
+   * @returns {Array} - Unique list of cells {row, col}
+   */
+  function getPowerPelletCells(grid) {
+    const lastRow = grid.length - 1;
+    const lastCol = grid[0].length - 1;
+    const corners = [
+      { row: 0, col: 0 },
+      { row: 0, col: lastCol },
+      { row: lastRow, col: 0 },
+      { row: lastRow, col: lastCol }
+    ];
+    const cells = [];
+
+    corners.forEach(corner => {
+      let best = null;
+      let bestDistance = Infinity;
+
+      for (let row = 0; row <= lastRow; row++) {
+        for (let col = 0; col <= lastCol; col++) {
+          if (grid[row][col] !== 0) continue;
+
+          const distance = Math.abs(row - corner.row) + Math.abs(col - corner.col);
+          if (distance < bestDistance) {
+            best = { row, col };
+            bestDistance = distance;
+          }
+        }
+      }
+
+      if (best && !cells.some(cell => cell.row === best.row && cell.col === best.col)) {
+        cells.push(best);
+      }
+    });
+
+    return cells;
+  }
+
+  /**
+   * Get the grid cell containing the centre of an entity.
+   * @param {Object} entity - Entity with x, y, width and height
+   * @returns {Object|null} - The cell {row, col}, or null if outside the maze
+   */
+  function getEntityCell(entity) {
+    if (!gameState.maze) return null;
+    return CollisionManager.getEntityCell(gameState.maze, entity);
+  }
+
+  /**
+   * Get the centre of an entity, e.g. to place an effect on it.
+   * @param {Object} entity - Entity with x, y, width and height
+   * @returns {Object} The centre {x, y}
+   */
+  function getCenter(entity) {
+    return { x: entity.x + entity.width / 2, y: entity.y + entity.height / 2 };
+  }
+
+  /**
+   * Play a sound effect, unless a replay jump is skipping through the action.
+   * @param {string} name - Sound name (see AudioManager)
+   */
+  function playSound(name) {
+    if (!gameState.isSeeking) AudioManager.play(name);
+  }
+
+  /**
+   * Start the Adventure theme at the intensity of the current level.
+   */
+  function startMusic() {
+    MusicSequencer.play('adventure');
+    updateMusicIntensity();
+  }
+
+  /**
+   * Let the music follow the difficulty level: faster and fuller as it rises.
+   */
+  function updateMusicIntensity() {
+    MusicSequencer.setIntensity((gameState.difficultyLevel - 1) / (MUSIC_MAX_LEVEL - 1));
+  }
+
+  /**
+   * Add points to the score, awarding an extra life for each threshold crossed.
+   * @param {number} points - Points to add
+   */
+  function addScore(points) {
+    gameState.score += points;
+
+    while (gameState.score >= gameState.nextExtraLifeScore) {
+      gameState.nextExtraLifeScore += EXTRA_LIFE_INTERVAL;
+      if (gameState.lives < MAX_LIVES) {
+        gameState.lives++;
+        updateLivesDisplay();
+        log.debug(`Extra life at ${gameState.score} points (${gameState.lives} lives)`);
+      }
+    }
+  }
+
+  /**
+   * Reset lives and extra life thresholds for a new run.
+   */
+  function resetLives() {
+    gameState.lives = STARTING_LIVES;
+    gameState.nextExtraLifeScore = EXTRA_LIFE_SCORE;
+    gameState.deathTimer = 0;
+    gameState.killedBy = null;
+    if (gameState.player) {
+      gameState.player.deathProgress = 0;
+    }
+  }
+
+  /**
+   * Start the death sequence after a ghost catches the player.
+   * @param {Ghost} ghost - The ghost that caught the player
+   */
+  function killPlayer(ghost) {
+    log.debug(`Caught by ${ghost.type} with ${gameState.lives} lives left`);
+    gameState.killedBy = ghost;
+    gameState.deathTimer = DEATH_DURATION;
+    gameState.player.stop();
+    playSound('death');
+
+    const center = getCenter(gameState.player);
+    gameState.effects.burst(center.x, center.y, ghost.brand.halo);
+    gameState.effects.shake(DEATH_SHAKE.strength, DEATH_SHAKE.duration);
+    gameState.effects.hitStop(DEATH_HIT_STOP);
+  }
+
+  /**
+   * Advance the death sequence, then take a life and either respawn
+   * everyone or end the game.
+   * @param {number} deltaTime - Time since the last frame (ms)
+   */
+  function updateDeath(deltaTime) {
+    gameState.deathTimer = Math.max(0, gameState.deathTimer - deltaTime);
+    gameState.player.deathProgress = 1 - gameState.deathTimer / DEATH_DURATION;
+    if (gameState.deathTimer > 0) return;
+
+    gameState.lives--;
+    gameState.player.deathProgress = 0;
+    updateLivesDisplay();
+
+    if (gameState.lives <= 0) {
+      gameOver(gameState.killedBy);
+      return;
+    }
+
+    respawnAfterDeath();
+  }
+
+  /**
+   * Put the player and ghosts back at their starting positions after a lost
+   * life. Pellets stay as they were; a grace period protects the player.
+   */
+  function respawnAfterDeath() {
+    placeEntitiesInMaze();
+    resetGhostMode();
+    clearBonusItem();
+    gameState.ghostEatChain = 0;
+    gameState.killedBy = null;
+    gameState.gracePeriod = 3000; // 3 second grace period after respawning
+    gameState.gracePeriodMax = 3000;
+  }
+
+  /**
+   * Eat the pellet in the cell the player currently occupies, if any.
+   */
+  function eatPellets() {
+    const cell = getEntityCell(gameState.player);
+    if (!cell) return;
+
+    const { pellets } = gameState.maze;
+    const pellet = pellets[cell.row][cell.col];
+    if (pellet === PELLET.NONE) return;
+
+    pellets[cell.row][cell.col] = PELLET.NONE;
+    gameState.pelletsRemaining--;
+
+    if (pellet === PELLET.POWER) {
+      addScore(POWER_PELLET_POINTS);
+      frightenGhosts();
+    } else {
+      addScore(PELLET_POINTS);
+    }
+    playSound('chomp');
+  }
+
+  /**
+   * Put every ghost into frightened mode and start a new eating chain.
+   */
+  function frightenGhosts() {
+    gameState.ghostEatChain = 0;
+    gameState.ghosts.forEach(ghost => {
+      ghost.frighten(FRIGHTENED_DURATION, FRIGHTENED_WARNING);
+    });
+  }
+
+  /**
+   * Eat a frightened ghost: award chained bonus points and send it home.
+   * @param {Ghost} ghost - The ghost that was eaten
+   */
+  function eatGhost(ghost) {
+    const chain = Math.min(gameState.ghostEatChain, GHOST_EAT_MAX_CHAIN);
+    const points = GHOST_EAT_POINTS * Math.pow(2, chain);
+
+    addScore(points);
+    gameState.ghostEatChain++;
+
+    const center = getCenter(ghost);
+    gameState.effects.burst(center.x, center.y, ghost.brand.halo);
+    gameState.effects.popup(center.x, center.y, String(points), '#5ce1e6');
+    gameState.effects.shake(GHOST_EAT_SHAKE.strength, GHOST_EAT_SHAKE.duration);
+    gameState.effects.hitStop(GHOST_EAT_HIT_STOP);
+    playSound('ghostEaten');
+    ghost.respawn();
+
+    log.debug(`Ate ${ghost.type} for ${points} points (chain ${gameState.ghostEatChain})`);
+  }
+
+  /**
+   * Count down to the next bonus item, or age the one showing and collect
+   * it if the player touches it.
+   * @param {number} deltaTime - Time since the last frame (ms)
+   */
+  function updateBonusItem(deltaTime) {
+    const item = gameState.bonusItem;
+    if (!item) {
+      gameState.bonusTimer -= deltaTime;
+      if (gameState.bonusTimer <= 0) spawnBonusItem();
+      return;
+    }
+
+    item.update(deltaTime);
+    if (CollisionManager.checkPlayerItemCollision(gameState.player, [item])) {
+      collectBonusItem(item);
+    } else if (item.isExpired()) {
+      clearBonusItem();
+    }
+  }
+
+  /**
+   * Put a random bonus item on a random open cell away from the player.
+   */
+  function spawnBonusItem() {
+    const playerCell = getEntityCell(gameState.player);
+    const positions = getMazePositions().filter(pos =>
+      !playerCell || pos.row !== playerCell.row || pos.col !== playerCell.col);
+
+    if (positions.length === 0) {
+      clearBonusItem();
+      return;
+    }
+
+    const cell = positions[getRandomPosition(positions).index];
+    const type = gameState.rng.pick(BONUS_TYPES);
+    const image = gameState.assets ? gameState.assets[`bonus_${type}`] : null;
+    const item = new BonusItem(type, { x: 0, y: 0 }, gameState.maze.cellSize * BONUS_SIZE, {
+      lifetime: BONUS_LIFETIME,
+      warning: BONUS_WARNING
+    }, image);
+
+    placeAtCell(item, cell);
+    gameState.bonusItem = item;
+    log.debug(`Bonus item ${type} appeared at row ${cell.row}, column ${cell.col}`);
+  }
+
+  /**
+   * Collect a bonus item: each one in a run is worth more than the last.
+   * @param {BonusItem} item - The item that was collected
+   */
+  function collectBonusItem(item) {
+    const points = BONUS_POINTS[Math.min(gameState.bonusesCollected, BONUS_POINTS.length - 1)];
+
+    addScore(points);
+    gameState.bonusesCollected++;
+    gameState.bonusSet[item.type] = true;
+    clearBonusItem();
+
+    const center = getCenter(item);
+    gameState.effects.sparks(center.x, center.y, '#ffde59');
+    gameState.effects.popup(center.x, center.y, String(points), '#ffde59');
+
+    log.debug(`Collected ${item.type} for ${points} points (${gameState.bonusesCollected} this run)`);
+  }
+
+  /**
+   * Remove the bonus item, if any, and start the countdown to the next one.
+   */
+  function clearBonusItem() {
+    gameState.bonusItem = null;
+    gameState.bonusTimer = BONUS_INTERVAL;
+  }
+
+  /**
+   * Check whether every kind of bonus item has been collected this run.
+   * @returns {boolean} True if the set is complete
+   */
+  function hasFullBonusSet() {
+    return BONUS_TYPES.every(type => gameState.bonusSet[type]);
+  }
+
+  /**
+   * Advance to the next level once every pellet has been eaten.
+   */
+  function completeLevel() {
+    log.debug(`Board cleared at level ${gameState.difficultyLevel}`);
+
+    gameState.difficultyTimer = 0;
+    increaseDifficulty();
+
+    // Swap in the next layout straight away if it's loaded; otherwise hold
+    // the game while it loads
+    const nextIndex = gameState.campaignIndex + 1;
+    if (useCachedCampaignLevel(nextIndex)) {
+      startNextLevel();
+      return;
+    }
+
+    gameState.isLoadingLevel = true;
+    loadCampaignLevel(nextIndex).then(function () {
+      // The player may have switched games while the level was loading
+      if (!gameState.isRunning) return;
+      gameState.isLoadingLevel = false;
+      startNextLevel();
+    });
+  }
+
+  /**
+   * Build the layout of the level that was just loaded and put everyone in place.
+   */
+  function startNextLevel() {
+    initializeMaze();
+    placeEntitiesInMaze();
+    resetGhostMode();
+    clearBonusItem();
+  }
+
+  /**
+   * Move the player and every ghost onto spawn positions in the current maze,
+   * keeping ghosts away from the player. Used when the maze changes.
+   */
+  function placeEntitiesInMaze() {
+    const settings = getLevelSettings();
+
+    // Top up the ghosts to the number the level asks for
+    while (gameState.ghosts.length < settings.ghosts) {
+      gameState.ghosts.push(createGhost(randomGhostType(), { x: 0, y: 0 }));
+    }
+    gameState.ghosts.forEach(ghost => {
+      ghost.speed = getGhostSpeed(ghost);
+    });
+
+    gameState.player.stop();
 
-    // Calculate offset to center the maze
-    const offsetX = (dimensions.width - (maze[0].length * cellSize)) / 2;
-    const offsetY = (dimensions.height - (maze.length * cellSize)) / 2;
+    if (gameState.maze.playerSpawn) {
+      placeAtCell(gameState.player, gameState.maze.playerSpawn);
 
-    // Add to game state so other components can access it
-    gameState.maze = {
-      grid: maze,
-      cellSize: cellSize,
-      offsetX: offsetX,
-      offsetY: offsetY
-    };
+      const spawns = gameState.maze.ghostSpawns;
+      gameState.ghosts.forEach((ghost, index) => {
+        placeAtCell(ghost, spawns[index % spawns.length]);
+        ghost.spawn = { x: ghost.x, y: ghost.y };
+        ghost.respawn();
+      });
+      return;
+    }
+
+    const mazePositions = getMazePositions();
+    if (mazePositions.length === 0) return;
+
+    const playerPos = getRandomPosition(mazePositions);
+    gameState.player.x = playerPos.x;
+    gameState.player.y = playerPos.y;
+
+    const farPositions = mazePositions.filter(pos => getCellDistance(pos, playerPos) > GHOST_SAFE_DISTANCE);
+    const positions = farPositions.length > 0 ? farPositions : mazePositions;
+
+    gameState.ghosts.forEach(ghost => {
+      const ghostPos = getRandomPosition(positions);
+      ghost.spawn = { x: ghostPos.x, y: ghostPos.y };
+      ghost.respawn();
+    });
   }
 
   /**
    * Check if a move would result in a wall collision
-   * @param {Object} position - Current position {x, y}
+   * @param {Object} position - Current position {x, y}, with the mover's width and height if it has one
    * @param {Object} direction - Movement direction {x, y}
    * @param {number} distance - Movement distance
    * @returns {boolean} - True if the move is valid (no wall collision)
@@ -428,106 +1401,149 @@
   function isValidMove(position, direction, distance) {
     if (!gameState.maze) return true;
 
-    const { grid, cellSize, offsetX, offsetY } = gameState.maze;
-
-    // Use player dimensions for collision detection
-    const entityWidth = gameState.player ? gameState.player.width : 12;
-    const entityHeight = gameState.player ? gameState.player.height : 12;
-
-    // Calculate potential new position with the movement
-    const newX = position.x + direction.x * distance;
-    const newY = position.y + direction.y * distance;
-
-    // Add a small buffer from the wall edges (15% of cell size)
-    const buffer = cellSize * 0.15;
-
-    // Calculate entity bounds at new position
-    const bounds = {
-      left: newX,
-      right: newX + entityWidth,
-      top: newY,
-      bottom: newY + entityHeight
+    // Without a size of its own, the mover is checked at the player's size
+    const box = {
+      x: position.x,
+      y: position.y,
+      width: position.width || (gameState.player ? gameState.player.width : gameState.maze.cellSize * SPAWN_BOX_SIZE),
+      height: position.height || (gameState.player ? gameState.player.height : gameState.maze.cellSize * SPAWN_BOX_SIZE)
     };
 
-    // Check if any corner of the entity would be inside a wall
-    const corners = [
-      { x: bounds.left, y: bounds.top },     // Top-left
-      { x: bounds.right, y: bounds.top },    // Top-right
-      { x: bounds.left, y: bounds.bottom },  // Bottom-left
-      { x: bounds.right, y: bounds.bottom }  // Bottom-right
-    ];
-
-    // Also check the midpoints of each edge for better accuracy
-    corners.push({ x: (bounds.left + bounds.right) / 2, y: bounds.top });    // Top middle
-    corners.push({ x: (bounds.left + bounds.right) / 2, y: bounds.bottom }); // Bottom middle
-    corners.push({ x: bounds.left, y: (bounds.top + bounds.bottom) / 2 });   // Left middle
-    corners.push({ x: bounds.right, y: (bounds.top + bounds.bottom) / 2 });  // Right middle
-
-    // Check if any of these points would be inside a wall
-    for (const corner of corners) {
-      const gridCol = Math.floor((corner.x - offsetX) / cellSize);
-      const gridRow = Math.floor((corner.y - offsetY) / cellSize);
-
-      // Check if this position is inside a wall
-      if (gridRow >= 0 && gridRow < grid.length &&
-        gridCol >= 0 && gridCol < grid[0].length &&
-        grid[gridRow][gridCol] === 1) {
-        return false;
-      }
-    }
+    // Parts past the edge of the maze are checked on the opposite side, where tunnels lead
+    return CollisionManager.canMove(gameState.maze, box, direction, distance);
+  }
 
-    // Ensure the new position is still within bounds of the canvas
-    const canvasDimensions = CanvasManager.getDimensions();
-    return (
-      newX >= 0 &&
-      newX + entityWidth <= canvasDimensions.width &&
-      newY >= 0 &&
-      newY + entityHeight <= canvasDimensions.height
-    );
+  /**
+   * Get a high-resolution time for measuring frames.
+   * @returns {number} Milliseconds
+   */
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
   }
 
   /**
-   * Main game loop
+   * Main game loop: runs as many fixed simulation steps as the elapsed time
+   * covers, then renders once.
    * @param {number} timestamp - Current timestamp
    */
   function gameLoop(timestamp) {
     if (!gameState.isRunning) return;
 
+    // The loop halts while paused; resume() starts it again
+    if (gameState.isPaused) {
+      gameState.animationId = null;
+      return;
+    }
+
     // Calculate delta time since last frame
     const deltaTime = timestamp - (gameState.lastFrameTime || timestamp);
     gameState.lastFrameTime = timestamp;
+    const frameStart = now();
+    gameState.effects.update(deltaTime);
+
+    // Nothing moves while the next level is loading
+    if (gameState.isLoadingLevel) {
+      gameState.accumulator = 0;
+      render();
+      gameState.animationId = requestAnimationFrame(gameLoop);
+      return;
+    }
+
+    // Hold the action for a moment after a big hit; the effects keep playing
+    if (gameState.effects.isFrozen()) {
+      render();
+      gameState.animationId = requestAnimationFrame(gameLoop);
+      return;
+    }
+
+    // Replays can run faster than real time, or be held
+    const replay = gameState.replay;
+    if (replay && (replay.isPaused || replay.isFinished)) {
+      gameState.accumulator = 0;
+    } else {
+      gameState.accumulator += Math.min(deltaTime, MAX_FRAME_TIME) * (replay ? replay.speed : 1);
+    }
+
+    while (gameState.accumulator >= SIM_STEP) {
+      gameState.accumulator -= SIM_STEP;
+      update(SIM_STEP);
+
+      // Stop stepping once the run ends or a new level starts loading
+      if (gameState.isGameOver || gameState.isLoadingLevel || checkReplayEnd()) {
+        gameState.accumulator = 0;
+        break;
+      }
+    }
+
+    // Update score display
+    updateScoreDisplay();
+    if (replay) notifyReplay();
+
+    // Render the game
+    render();
+    DebugOverlay.recordFrame(deltaTime, now() - frameStart);
+
+    // Continue game loop
+    if (!gameState.isGameOver) {
+      gameState.animationId = requestAnimationFrame(gameLoop);
+    }
+  }
 
-    // Normalize deltaTime to ensure consistent speed across devices
-    // This helps prevent faster movement on devices with different framerates or CPUs
-    const normalizedDeltaTime = Math.min(deltaTime, 50); // Cap at 50ms to prevent huge jumps
+  /**
+   * Advance the simulation by one fixed step. Everything that affects the
+   * outcome of a run happens here, with randomness from gameState.rng.
+   * @param {number} deltaTime - Step length in milliseconds
+   */
+  function update(deltaTime) {
+    gameState.tick++;
+    if (gameState.recording) {
+      gameState.recording.ticks = gameState.tick;
+    }
+
+    // Everyone freezes while the death sequence plays
+    if (gameState.deathTimer > 0) {
+      updateDeath(deltaTime);
+      return;
+    }
 
     // Update color change timer
-    gameState.colorChangeTimer = (gameState.colorChangeTimer || 0) + normalizedDeltaTime;
+    gameState.colorChangeTimer = (gameState.colorChangeTimer || 0) + deltaTime;
     if (gameState.colorChangeTimer > gameState.colorChangeInterval) {
       gameState.currentColorIndex = (gameState.currentColorIndex + 1) % gameState.colors.length;
       gameState.colorChangeTimer = 0;
-      console.log("Changed maze color to:", gameState.colors[gameState.currentColorIndex]);
+      log.debug("Changed maze color to:", gameState.colors[gameState.currentColorIndex]);
     }
 
     // Get player input
-    const direction = InputHandler.getDirection();
+    const direction = readInput();
 
-    // Flag to track if we should validate positions this frame
-    const shouldValidatePositions = Math.random() < 0.05; // Randomly validate ~5% of frames
+    // Flag to track if we should validate positions this step
+    const shouldValidatePositions = gameState.tick % POSITION_CHECK_INTERVAL === 0;
 
-    // Update player
-    gameState.player.update(direction, normalizedDeltaTime);
+    // Update player, remembering where everyone started for the swept contacts
+    const startPositions = new Map();
+    [gameState.player, ...gameState.ghosts].forEach(entity => {
+      startPositions.set(entity, { x: entity.x, y: entity.y });
+    });
+    gameState.player.update(direction, deltaTime, gameState.maze);
+
+    // Advance the scatter/chase schedule and update ghosts
+    updateGhostMode(deltaTime);
+    const ghostContext = {
+      player: gameState.player,
+      mode: GHOST_MODE_SCHEDULE[gameState.ghostModeIndex].mode,
+      maze: gameState.maze
+    };
 
-    // Update ghosts
     gameState.ghosts.forEach(ghost => {
-      ghost.update(normalizedDeltaTime);
+      ghost.update(deltaTime, ghostContext);
 
       // Check for invalid positions after ghost update
       if (shouldValidatePositions && !isEntityInValidPosition(ghost)) {
-        console.log("Fixing invalid ghost position during gameplay");
+        log.debug("Fixing invalid ghost position during gameplay");
 
         // Get a new valid position
-        const validPositions = getMazePositions(CanvasManager.getDimensions());
+        const validPositions = getMazePositions();
         if (validPositions.length > 0) {
           const newPos = getRandomPosition(validPositions);
           ghost.x = newPos.x;
@@ -536,65 +1552,98 @@
       }
     });
 
+    // Record this step's motion; a tunnel wrap or repositioning is a jump, not a sweep
+    startPositions.forEach((start, entity) => {
+      const dx = entity.x - start.x;
+      const dy = entity.y - start.y;
+      const limit = gameState.maze ? gameState.maze.cellSize : Infinity;
+      const jumped = Math.abs(dx) > limit || Math.abs(dy) > limit;
+      entity.lastMove = jumped ? { x: 0, y: 0 } : { x: dx, y: dy };
+    });
+
     // Check player position validity after update
     if (shouldValidatePositions && !isEntityInValidPosition(gameState.player)) {
-      console.log("Fixing invalid player position during gameplay");
+      log.debug("Fixing invalid player position during gameplay");
 
       // Get a new valid position
-      const validPositions = getMazePositions(CanvasManager.getDimensions());
+      const validPositions = getMazePositions();
       if (validPositions.length > 0) {
         const newPos = getRandomPosition(validPositions);
         gameState.player.x = newPos.x;
         gameState.player.y = newPos.y;
+        gameState.player.stop();
       }
     }
 
     // Grace period countdown
     if (gameState.gracePeriod > 0) {
-      gameState.gracePeriod -= normalizedDeltaTime;
+      gameState.gracePeriod -= deltaTime;
 
       if (gameState.gracePeriod <= 0) {
         gameState.gracePeriod = 0;
 
         // Log when grace period ends
-        console.log('Grace period ended, collision detection activated');
+        log.debug('Grace period ended, collision detection activated');
       }
     } else {
       // Check for collisions after grace period
-      var collidedGhost = CollisionManager.checkPlayerGhostCollisions(gameState.player, gameState.ghosts);
-      if (collidedGhost) {
-        gameOver(collidedGhost);
+      // Resolve contacts in the order they happened during the step
+      const contacts = CollisionManager.checkPlayerGhostCollisions(gameState.player, gameState.ghosts);
+      for (const contact of contacts) {
+        if (contact.outcome === CollisionManager.CONTACT.EAT_GHOST) {
+          eatGhost(contact.ghost);
+        } else {
+          killPlayer(contact.ghost);
+          break;
+        }
       }
     }
 
     // Update difficulty timer
-    gameState.difficultyTimer += normalizedDeltaTime;
+    gameState.difficultyTimer += deltaTime;
     if (gameState.difficultyTimer >= gameState.difficultyInterval) {
       increaseDifficulty();
       gameState.difficultyTimer = 0;
     }
 
-    // Increment score based on movement and time
-    if (direction.x !== 0 || direction.y !== 0) {
-      // Player is moving, give more points
-      gameState.score += Math.round(normalizedDeltaTime / 10) * gameState.difficultyLevel;
-    } else {
-      // Player is stationary, give fewer points
-      gameState.score += Math.round(normalizedDeltaTime / 50);
-    }
-
-    // Update score display
-    updateScoreDisplay();
+    // Bonus items come and go, and are collected by touch
+    updateBonusItem(deltaTime);
 
-    // Render the game
-    render();
+    // Eat any pellet under the player and advance when the board is cleared
+    eatPellets();
+    if (gameState.pelletsRemaining === 0) {
+      completeLevel();
+    }
+  }
 
-    // Continue game loop
-    if (!gameState.isGameOver) {
-      gameState.animationId = requestAnimationFrame(gameLoop);
+  /**
+   * Advance the scatter/chase schedule. The schedule is held while any ghost
+   * is frightened, and every ghost turns around when the mode changes.
+   * @param {number} deltaTime - Time since the last frame in milliseconds
+   */
+  function updateGhostMode(deltaTime) {
+    if (gameState.ghosts.some(ghost => ghost.isFrightened())) return;
+
+    const phase = GHOST_MODE_SCHEDULE[gameState.ghostModeIndex];
+    gameState.ghostModeTimer += deltaTime;
+
+    if (gameState.ghostModeTimer >= phase.duration &&
+      gameState.ghostModeIndex < GHOST_MODE_SCHEDULE.length - 1) {
+      gameState.ghostModeIndex++;
+      gameState.ghostModeTimer = 0;
+      gameState.ghosts.forEach(ghost => ghost.reverse());
+      log.debug(`Ghosts switched to ${GHOST_MODE_SCHEDULE[gameState.ghostModeIndex].mode} mode`);
     }
   }
 
+  /**
+   * Restart the scatter/chase schedule from the first phase.
+   */
+  function resetGhostMode() {
+    gameState.ghostModeIndex = 0;
+    gameState.ghostModeTimer = 0;
+  }
+
   /**
    * Increase game difficulty
    */
@@ -613,15 +1662,23 @@
     // Increase ghost speed - use baseSpeed for consistent speed increments
     gameState.ghosts.forEach(ghost => {
       // Set speed relative to the base speed, which is the same on all devices
-      ghost.speed = ghost.baseSpeed + (gameState.difficultyLevel - 1) * 20;
+      ghost.speed = getGhostSpeed(ghost);
 
-      console.log(`Ghost speed updated to ${ghost.speed} at difficulty level ${gameState.difficultyLevel}`);
+      log.debug(`Ghost speed updated to ${ghost.speed} at difficulty level ${gameState.difficultyLevel}`);
     });
 
     // Give a brief grace period when difficulty increases
     gameState.gracePeriod = 1500; // 1.5 second grace period on difficulty increase
     gameState.gracePeriodMax = 1500;
 
+    // Celebrate in every ghost's colours
+    playSound('levelUp');
+    updateMusicIntensity();
+    const size = getMazeSize();
+    const halos = GhostRegistry.GHOSTS.map(brand => brand.halo);
+    gameState.effects.confetti(size.width / 2, size.height / 2, halos);
+    gameState.effects.popup(size.width / 2, size.height / 2, `LEVEL ${gameState.difficultyLevel}`, '#ffde59', 28);
+
     // Ensure all entities are in valid positions for the new level
     validateEntityPositions();
   }
@@ -631,7 +1688,7 @@
    */
   function render() {
     if (!gameState.context) {
-      console.error("No context available for rendering");
+      log.error("No context available for rendering");
       return;
     }
 
@@ -640,34 +1697,56 @@
 
     // Make sure maze is initialized
     if (!gameState.maze) {
-      const dimensions = CanvasManager.getDimensions();
-      initializeMaze(dimensions);
+      initializeMaze();
     }
 
-    // Draw background (which includes maze)
+    // The whole scene moves with the screen shake
+    const ctx = gameState.context;
+    ctx.save();
+    gameState.effects.applyShake(ctx);
     drawBackground();
 
+    // Everything in the maze is drawn in maze units, scaled to the canvas
+    const view = getView();
+    ctx.translate(view.offsetX, view.offsetY);
+    ctx.scale(view.scale, view.scale);
+    drawMaze(ctx);
+
+    // Draw the bonus item under everyone else
+    if (gameState.bonusItem) {
+      drawEntity(gameState.bonusItem);
+    }
+
     // Draw player if available
     if (gameState.player) {
-      gameState.player.draw(gameState.context);
+      drawEntity(gameState.player);
     } else {
-      console.warn("No player to render");
+      log.warn("No player to render");
     }
 
     // Draw ghosts if available
     if (gameState.ghosts && gameState.ghosts.length > 0) {
       gameState.ghosts.forEach((ghost) => {
-        ghost.draw(gameState.context);
+        drawEntity(ghost);
       });
     } else {
-      console.warn("No ghosts to render");
+      log.debug("No ghosts to render");
     }
 
+    // Particles and score popups go over everyone
+    gameState.effects.draw(ctx);
+    ctx.restore();
+
     // Draw grace period indicator
     if (gameState.gracePeriod > 0) {
       drawGracePeriodIndicator();
     }
 
+    // Draw what the simulation sees, when asked to
+    if (DebugOverlay.isVisible()) {
+      DebugOverlay.draw(gameState.context, getDebugInfo());
+    }
+
     // Draw game over message if game is over
     if (gameState.isGameOver && typeof document !== 'undefined') {
       var gameOverElement = document.getElementById('game-over') || document.getElementById('gameover');
@@ -678,11 +1757,87 @@
   }
 
   /**
-   * Draw the game background.
+   * Collect what the debug overlay shows.
+   * @returns {Object} Overlay info {maze, view, player, ghosts, items, values}
+   */
+  function getDebugInfo() {
+    const phase = GHOST_MODE_SCHEDULE[gameState.ghostModeIndex];
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+    return {
+      maze: gameState.maze,
+      view: getView(),
+      player: gameState.player,
+      ghosts: gameState.ghosts,
+      items: gameState.bonusItem ? [gameState.bonusItem] : [],
+      values: {
+        TICK: gameState.tick,
+        SEED: gameState.seed,
+        LEVEL: gameState.difficultyLevel,
+        'NEXT LVL': seconds(gameState.difficultyInterval - gameState.difficultyTimer),
+        MODE: `${phase.mode} ${seconds(gameState.ghostModeTimer)}`,
+        GRACE: seconds(gameState.gracePeriod),
+        DEATH: seconds(gameState.deathTimer),
+        BONUS: gameState.bonusItem ? gameState.bonusItem.type : seconds(gameState.bonusTimer),
+        PELLETS: gameState.pelletsRemaining,
+        GHOSTS: gameState.ghosts.map(ghost => ghost.personality.charAt(0) + (ghost.isFrightened() ? '*' : '')).join(' ')
+      }
+    };
+  }
+
+  /**
+   * Draw an entity. While it is crossing a tunnel exit it is drawn on both
+   * sides of the maze, clipped to the maze, so it slides out of one edge
+   * and into the other.
+   * @param {Object} entity - Player or ghost
+   */
+  function drawEntity(entity) {
+    const ctx = gameState.context;
+    if (!gameState.maze) {
+      entity.draw(ctx);
+      return;
+    }
+
+    const { grid, cellSize, offsetX, offsetY } = gameState.maze;
+    const mazeWidth = grid[0].length * cellSize;
+    const mazeHeight = grid.length * cellSize;
+
+    // Copies needed on the far side of each edge the entity overlaps
+    const shiftsX = [0];
+    const shiftsY = [0];
+    if (entity.x < offsetX) shiftsX.push(mazeWidth);
+    if (entity.x + entity.width > offsetX + mazeWidth) shiftsX.push(-mazeWidth);
+    if (entity.y < offsetY) shiftsY.push(mazeHeight);
+    if (entity.y + entity.height > offsetY + mazeHeight) shiftsY.push(-mazeHeight);
+
+    if (shiftsX.length === 1 && shiftsY.length === 1) {
+      entity.draw(ctx);
+      return;
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(offsetX, offsetY, mazeWidth, mazeHeight);
+    ctx.clip();
+
+    shiftsX.forEach(shiftX => {
+      shiftsY.forEach(shiftY => {
+        ctx.save();
+        ctx.translate(shiftX, shiftY);
+        entity.draw(ctx);
+        ctx.restore();
+      });
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the game background around the maze.
    */
   function drawBackground() {
     if (!gameState.context || !CanvasManager) {
-      console.error("Cannot draw background - missing context or CanvasManager");
+      log.error("Cannot draw background - missing context or CanvasManager");
       return;
     }
 
@@ -693,14 +1848,6 @@
     ctx.fillStyle = '#08784e'; // Emerald green color
     ctx.fillRect(0, 0, canvasDimensions.width, canvasDimensions.height);
 
-    // Ensure maze is initialized
-    if (!gameState.maze) {
-      initializeMaze(canvasDimensions);
-    }
-
-    // Draw maze
-    drawMaze(ctx, canvasDimensions);
-
     // Draw border
     ctx.strokeStyle = '#3333FF';
     ctx.lineWidth = 4;
@@ -709,22 +1856,24 @@
 
   /**
    * Draw the maze structure
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
    */
-  function drawMaze(ctx, dimensions) {
+  function drawMaze(ctx) {
     if (!gameState.maze) {
-      console.error("No maze data available for drawing");
-      initializeMaze(dimensions);
+      log.error("No maze data available for drawing");
+      initializeMaze();
     }
 
     if (!gameState.maze) {
-      console.error("Failed to initialize maze");
+      log.error("Failed to initialize maze");
       return;
     }
 
-    const { grid, cellSize, offsetX, offsetY } = gameState.maze;
+    const { grid, pellets, ghostHouse, cellSize, offsetX, offsetY } = gameState.maze;
 
     // Use current color for maze paths
     const pathColor = gameState.colors[gameState.currentColorIndex];
+    const houseCells = new Set((ghostHouse || []).map(cell => `${cell.row},${cell.col}`));
 
     // Draw the maze grid
     for (let row = 0; row < grid.length; row++) {
@@ -737,6 +1886,18 @@
           // Path - use current color
           ctx.fillStyle = pathColor;
           ctx.fillRect(x, y, cellSize, cellSize);
+
+          // Shade the ghost house so it stands out from the corridors
+          if (houseCells.has(`${row},${col}`)) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+            ctx.fillRect(x, y, cellSize, cellSize);
+          }
+
+          if (pellets[row] && pellets[row][col] === PELLET.DOT) {
+            drawPellet(ctx, x + cellSize / 2, y + cellSize / 2, cellSize * 0.1);
+          } else if (pellets[row] && pellets[row][col] === PELLET.POWER) {
+            drawPellet(ctx, x + cellSize / 2, y + cellSize / 2, cellSize * 0.25);
+          }
         } else {
           // Draw wall cells with black
           ctx.fillStyle = '#000000'; // Black
@@ -746,6 +1907,20 @@
     }
   }
 
+  /**
+   * Draw a single pellet
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+   * @param {number} x - Centre x coordinate
+   * @param {number} y - Centre y coordinate
+   * @param {number} radius - Pellet radius
+   */
+  function drawPellet(ctx, x, y, radius) {
+    ctx.fillStyle = '#ffde59'; // Cyber yellow, matches the site palette
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
   /**
    * Draw the grace period indicator
    */
@@ -801,11 +1976,33 @@
     }
   }
 
+  /**
+   * Update the lives display.
+   */
+  function updateLivesDisplay() {
+    if (typeof document !== 'undefined') {
+      const livesElement = document.getElementById('livesValue');
+      if (livesElement) {
+        livesElement.textContent = gameState.lives;
+      }
+    }
+  }
+
   /**
    * End the game.
    */
   function gameOver(ghost) {
-    console.log('gameOver triggered for ghost type: ' + ghost.type);
+    log.debug('gameOver triggered for ghost type: ' + ghost.type);
+
+    // A replay just stops at the end of the run, so it can still be scrubbed
+    if (gameState.replay) {
+      gameState.replay.isFinished = true;
+      updateLivesDisplay();
+      return;
+    }
+
+    finishRecording();
+    MusicSequencer.stop();
     gameState.isGameOver = true;
     gameState.isRunning = false;
     if (gameState.animationId) {
@@ -818,19 +2015,17 @@
       document.body.classList.remove('game-active');
     }
 
-    // Get ghost URL mapping
-    const ghostUrls = {
-      ghost_linkedin: 'https://www.linkedin.com/in/carlos-crespo-macaya/',
-      ghost_kaggle: 'https://www.kaggle.com/macayaven',
-      ghost_github: 'https://github.com/macayaven'
-    };
-    const url = ghostUrls[ghost.type] || 'https://github.com';
+    // The brand behind the ghost that ended the run
+    const brand = GhostRegistry.get(ghost.type);
+    const url = brand.url;
 
-    // Attempt to open the URL in a new tab
-    try {
-      window.open(url, '_blank');
-    } catch (e) {
-      console.log('Popup blocked, but that is okay.');
+    // Attempt to open the URL in a new tab (not while play-testing a level)
+    if (!gameState.customLevel) {
+      try {
+        window.open(url, '_blank');
+      } catch (e) {
+        log.debug('Popup blocked, but that is okay.');
+      }
     }
 
     // Update the UI
@@ -844,6 +2039,12 @@
       if (gameOverElement) {
         gameOverElement.classList.remove('hidden');
 
+        // Offer to watch the run that just ended
+        const watchReplay = document.getElementById('watch-replay-button');
+        if (watchReplay) {
+          watchReplay.classList.toggle('hidden', !gameState.lastRecording);
+        }
+
         // Add a funny message about the ghost that killed you
         let killedBy = document.getElementById('killed-by');
         if (!killedBy) {
@@ -851,56 +2052,81 @@
           killedBy.id = 'killed-by';
           killedBy.style.marginTop = '1rem';
           killedBy.style.fontSize = '0.9rem';
-          gameOverElement.insertBefore(killedBy, document.getElementById('restart-button'));
+          gameOverElement.insertBefore(killedBy, document.getElementById('high-scores'));
         }
 
-        const ghostName = ghost.type.split('_')[1].toUpperCase();
-        killedBy.innerHTML = `Destroyed by ${ghostName}. Check out my work there <a href="${url}" target="_blank" style="color: var(--accent-color);">here</a>.`;
+        killedBy.innerHTML = `Destroyed by ${brand.name}. Check out my work there <a href="${url}" target="_blank" style="color: var(--accent-color);">here</a>.`;
+
+        // Collecting every kind of bonus item unlocks the links behind them
+        const bonusUnlocked = document.getElementById('bonus-unlocked');
+        if (bonusUnlocked) {
+          bonusUnlocked.classList.toggle('hidden', !hasFullBonusSet());
+          bonusUnlocked.innerHTML = `FULL SET BONUS! Read my writing on <a href="${BONUS_URLS.medium}" target="_blank" style="color: var(--accent-color);">Medium</a> ` +
+            `and my papers on <a href="${BONUS_URLS.scholar}" target="_blank" style="color: var(--accent-color);">Google Scholar</a>.`;
+        }
+      }
+
+      // Play-tests don't count towards the high scores
+      const highScores = document.getElementById('high-scores');
+      if (highScores) highScores.classList.toggle('hidden', !!gameState.customLevel);
+      if (window.HighScoreBoard && !gameState.customLevel) {
+        window.HighScoreBoard.recordScore('adventure', gameState.score, gameState.difficultyLevel);
       }
     }
   }
 
 
   /**
-   * Restart the game.
+   * Restart the game as a new run.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.seed] - Seed for the new run; a random seed is picked if omitted.
    */
-  function restart() {
-    console.log("Game restart initiated");
+  function restart(options = {}) {
+    log.debug("Game restart initiated");
 
     // Reset game state
-    gameState.isGameOver = false;
+    finishRecording();
+    gameState.replay = null;
+    gameState.isPaused = false;
+    resetRun(options.seed);
+    startMusic();
+    updateLivesDisplay();
 
     // Set game-active class
     if (typeof document !== 'undefined') {
       document.body.classList.add('game-active');
     }
 
-    gameState.score = 0;
-    gameState.difficultyLevel = 1;
-    gameState.difficultyTimer = 0;
-    gameState.gracePeriod = 3000; // 3 seconds grace period
-    gameState.gracePeriodMax = 3000;
-
-    // Clear ghosts
-    gameState.ghosts = [];
-
     // Hide game over screen
     if (typeof document !== 'undefined') {
       var gameOverElement = document.getElementById('game-over') || document.getElementById('gameover');
       if (gameOverElement) {
         gameOverElement.classList.add('hidden');
-        console.log("Game over element hidden");
+        log.debug("Game over element hidden");
       } else {
-        console.warn("Game over element not found");
+        log.warn("Game over element not found");
       }
     }
 
-    // Re-initialize with current assets for clean slate
-    createEntities();
-    console.log("Entities recreated");
+    // Back to the first campaign level (already cached after the first run).
+    // The new run counts as running while it loads, so stop() can cancel it.
+    const rng = gameState.rng;
+    gameState.isRunning = true;
+    gameState.isLoadingLevel = true;
+    loadCampaignLevel(0).then(function () {
+      // The player may have switched games, or started another run, while the level was loading
+      if (!gameState.isRunning || gameState.rng !== rng) return;
+      gameState.isLoadingLevel = false;
+      restartFirstLevel();
+    });
+  }
 
-    // Ensure all characters are in valid positions
-    validateEntityPositions();
+  /**
+   * Rebuild the first level after a restart and get the game loop going again.
+   */
+  function restartFirstLevel() {
+    // Back to the first level's layout and a full board
+    buildFirstLevel();
 
     // Update displays
     updateScoreDisplay();
@@ -909,15 +2135,180 @@
     // Force a render to ensure everything is drawn initially
     render();
 
-    // Restart the game loop if it's not running
-    if (!gameState.isRunning) {
-      gameState.isRunning = true;
+    // Restart the game loop if it stopped, e.g. at game over
+    if (!gameState.animationId) {
       gameState.lastFrameTime = performance.now();
       gameState.animationId = requestAnimationFrame(gameLoop);
-      console.log("Game loop restarted");
+      log.debug("Game loop restarted");
+    }
+
+    log.debug("Game successfully restarted");
+  }
+
+  /**
+   * Watch a recorded run. Any run in progress is stopped (and saved).
+   * @param {Object} assets - Game assets (images).
+   * @param {Object} recording - Recording from Replay.
+   * @param {Object} [options] - Optional settings.
+   * @param {Function} [options.onUpdate] - Called with getReplayState() after every frame.
+   * @returns {Promise} Resolves once the replay is ready and playing
+   */
+  function startReplay(assets, recording, options = {}) {
+    stop();
+    Replay.validate(recording);
+
+    gameState.assets = assets;
+    gameState.customLevel = null;
+    gameState.context = CanvasManager.initialize();
+    gameState.replay = {
+      recording: recording,
+      playback: null,
+      speed: 1,
+      isPaused: false,
+      isFinished: false,
+      onUpdate: options.onUpdate || null
+    };
+
+    if (typeof document !== 'undefined') {
+      document.body.classList.add('game-active');
+      const gameOverElement = document.getElementById('game-over');
+      if (gameOverElement) gameOverElement.classList.add('hidden');
+    }
+
+    // Every level has to be at hand so scrubbing can re-simulate synchronously
+    gameState.isLoadingLevel = true;
+    return loadCampaignLevel(0).then(preloadCampaign).then(function () {
+      gameState.isLoadingLevel = false;
+      if (!gameState.replay || gameState.replay.recording !== recording) return;
+
+      rewindReplay();
+      startMusic();
+      gameState.isRunning = true;
+      gameState.lastFrameTime = 0;
+      render();
+      notifyReplay();
+      gameState.animationId = requestAnimationFrame(gameLoop);
+      log.debug(`Watching replay of seed ${recording.seed} (${recording.ticks} ticks)`);
+    });
+  }
+
+  /**
+   * Go back to the first tick of the replay being watched.
+   */
+  function rewindReplay() {
+    const replay = gameState.replay;
+
+    resetRun(replay.recording.seed);
+    useCachedCampaignLevel(0);
+    buildFirstLevel();
+    replay.playback = Replay.createPlayback(replay.recording);
+    replay.isFinished = false;
+
+    updateScoreDisplay();
+    updateDifficultyDisplay();
+    updateLivesDisplay();
+  }
+
+  /**
+   * Mark the replay as finished once it reaches the end of the recording.
+   * @returns {boolean} True if a replay is being watched and has finished
+   */
+  function checkReplayEnd() {
+    const replay = gameState.replay;
+    if (!replay) return false;
+
+    if (gameState.tick >= replay.recording.ticks) {
+      replay.isFinished = true;
+    }
+    return replay.isFinished;
+  }
+
+  /**
+   * Jump to a tick of the replay. Going back re-simulates from the start.
+   * @param {number} tick - Simulation tick to jump to
+   */
+  function seekReplay(tick) {
+    const replay = gameState.replay;
+    if (!replay || !replay.playback) return;
+
+    const target = Math.max(0, Math.min(Math.round(tick), replay.recording.ticks));
+    if (target < gameState.tick) {
+      rewindReplay();
+    }
+
+    gameState.isSeeking = true;
+    while (gameState.tick < target && !gameState.isLoadingLevel && !checkReplayEnd()) {
+      update(SIM_STEP);
+    }
+    gameState.isSeeking = false;
+    gameState.accumulator = 0;
+    updateMusicIntensity();
+
+    // Effects from the skipped stretch would all go off at once
+    gameState.effects.clear();
+
+    updateScoreDisplay();
+    updateDifficultyDisplay();
+    updateLivesDisplay();
+    render();
+    notifyReplay();
+  }
+
+  /**
+   * Pause or resume the replay. Resuming a finished replay starts it over.
+   * @param {boolean} isPaused - Whether the replay should be paused
+   */
+  function setReplayPaused(isPaused) {
+    const replay = gameState.replay;
+    if (!replay) return;
+
+    if (!isPaused && replay.isFinished) {
+      seekReplay(0);
     }
+    replay.isPaused = isPaused;
+    if (isPaused) {
+      MusicSequencer.pause();
+    } else {
+      MusicSequencer.resume();
+    }
+    notifyReplay();
+  }
+
+  /**
+   * Set the replay speed.
+   * @param {number} speed - Multiplier on real time, e.g. 1, 2 or 4
+   */
+  function setReplaySpeed(speed) {
+    if (!gameState.replay) return;
+    gameState.replay.speed = speed;
+    notifyReplay();
+  }
+
+  /**
+   * Get the state of the replay being watched.
+   * @returns {Object|null} {tick, ticks, speed, isPaused, isFinished}, or null if no replay is loaded
+   */
+  function getReplayState() {
+    const replay = gameState.replay;
+    if (!replay) return null;
+
+    return {
+      tick: gameState.tick,
+      ticks: replay.recording.ticks,
+      speed: replay.speed,
+      isPaused: replay.isPaused,
+      isFinished: replay.isFinished
+    };
+  }
 
-    console.log("Game successfully restarted");
+  /**
+   * Tell the replay viewer about the current replay state.
+   */
+  function notifyReplay() {
+    const replay = gameState.replay;
+    if (replay && replay.onUpdate) {
+      replay.onUpdate(getReplayState());
+    }
   }
 
   /**
@@ -926,17 +2317,16 @@
   function validateEntityPositions() {
     if (!gameState.maze) return;
 
-    const canvasDimensions = CanvasManager.getDimensions();
-    const validPositions = getMazePositions(canvasDimensions);
+    const validPositions = getMazePositions();
 
     if (validPositions.length === 0) {
-      console.error("No valid positions found for entity validation!");
+      log.error("No valid positions found for entity validation!");
       return;
     }
 
     // Check and fix player position if needed
     if (!isEntityInValidPosition(gameState.player)) {
-      console.log("Fixing invalid player position");
+      log.debug("Fixing invalid player position");
       const newPos = getRandomPosition(validPositions);
       gameState.player.x = newPos.x;
       gameState.player.y = newPos.y;
@@ -948,7 +2338,7 @@
     // Check and fix ghost positions if needed
     gameState.ghosts.forEach((ghost, index) => {
       if (!isEntityInValidPosition(ghost)) {
-        console.log(`Fixing invalid ghost position for ghost ${index}`);
+        log.debug(`Fixing invalid ghost position for ghost ${index}`);
 
         if (validPositions.length > 0) {
           const newPos = getRandomPosition(validPositions);
@@ -974,36 +2364,17 @@
    */
   function isEntityInValidPosition(entity) {
     if (!gameState.maze) return true;
-
-    const { grid, cellSize, offsetX, offsetY } = gameState.maze;
-
-    // Calculate the grid cell for the entity's center
-    const centerX = entity.x + entity.width / 2;
-    const centerY = entity.y + entity.height / 2;
-
-    const gridCol = Math.floor((centerX - offsetX) / cellSize);
-    const gridRow = Math.floor((centerY - offsetY) / cellSize);
-
-    // Check if coordinates are within grid bounds
-    if (gridRow < 0 || gridRow >= grid.length ||
-      gridCol < 0 || gridCol >= grid[0].length) {
-      return false;
-    }
-
-    // Check if the entity is in a path cell (0)
-    return grid[gridRow][gridCol] === 0;
+    return CollisionManager.isInOpenCell(gameState.maze, entity);
   }
 
   /**
    * Add a new ghost to the game
    */
   function addGhost() {
-    const canvasDimensions = CanvasManager.getDimensions();
-    const ghostTypes = ['ghost_linkedin', 'ghost_kaggle', 'ghost_github'];
-    const ghostType = ghostTypes[Math.floor(Math.random() * ghostTypes.length)];
+    const ghostType = randomGhostType();
 
     // Get valid positions based on the maze
-    const validPositions = getMazePositions(canvasDimensions);
+    const validPositions = getMazePositions();
 
     if (validPositions.length > 0) {
       // Find positions that are not too close to the player
@@ -1012,35 +2383,29 @@
         y: gameState.player.y
       };
 
-      const safePositions = validPositions.filter(pos => {
-        const distance = Math.sqrt(
-          Math.pow(pos.x - playerPos.x, 2) +
-          Math.pow(pos.y - playerPos.y, 2)
-        );
-        return distance > 150; // Minimum safe distance from player
-      });
+      const safePositions = validPositions.filter(pos => getCellDistance(pos, playerPos) > GHOST_SAFE_DISTANCE);
 
       // Use safe positions if available, otherwise use any valid position
       const positionsToUse = safePositions.length > 0 ? safePositions : validPositions;
 
       // Get a random valid position
-      const index = Math.floor(Math.random() * positionsToUse.length);
+      const index = gameState.rng.nextInt(positionsToUse.length);
       const position = positionsToUse[index];
 
       // Create and add the new ghost
-      const newGhost = new Ghost(ghostType, {
+      const newGhost = createGhost(ghostType, {
         x: position.x,
         y: position.y
       });
 
       // Set speed based on current difficulty - use baseSpeed for consistency
-      newGhost.speed = newGhost.baseSpeed + (gameState.difficultyLevel - 1) * 20;
+      newGhost.speed = getGhostSpeed(newGhost);
 
       // Add to game
       gameState.ghosts.push(newGhost);
-      console.log(`Added new ghost at position (${position.x}, ${position.y}), speed: ${newGhost.speed}`);
+      log.debug(`Added new ghost at position (${position.x}, ${position.y}), speed: ${newGhost.speed}`);
     } else {
-      console.warn("No valid positions found for new ghost");
+      log.warn("No valid positions found for new ghost");
     }
   }
 
@@ -1048,7 +2413,20 @@
   exports.initialize = initialize;
   exports.restart = restart;
   exports.stop = stop;
+  exports.pause = pause;
+  exports.resume = resume;
+  exports.isPaused = isPaused;
+  exports.getSeed = getSeed;
+  exports.getLevel = getLevel;
+  exports.getLastRecording = getLastRecording;
+  exports.startReplay = startReplay;
+  exports.seekReplay = seekReplay;
+  exports.setReplayPaused = setReplayPaused;
+  exports.setReplaySpeed = setReplaySpeed;
+  exports.getReplayState = getReplayState;
+  exports.SIM_STEP = SIM_STEP;
   exports.isValidMove = isValidMove;
+  exports.wrapEntity = wrapEntity;
   exports.isEntityInValidPosition = isEntityInValidPosition;
 
   // For testing purposes, export internal functions
@@ -1056,11 +2434,20 @@
     exports._testExports = {
       gameState,
       gameLoop,
+      update,
       createEntities,
       render,
       updateScoreDisplay,
       updateDifficultyDisplay,
-      endGame
+      eatPellets,
+      eatGhost,
+      completeLevel,
+      addScore,
+      killPlayer,
+      updateLivesDisplay,
+      updateBonusItem,
+      spawnBonusItem,
+      gameOver
     };
   }
 
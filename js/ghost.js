@@ -5,17 +5,59 @@
 
 // Use IIFE for browser and Node.js compatibility
 (function () {
-  // Import the CanvasManager
-  let CanvasManager;
+  // Import the CanvasManager, Pathfinding, GhostRegistry, SpriteAnimation and Logger
+  let CanvasManager, Pathfinding, GhostRegistry, SpriteAnimation, Logger;
 
   if (typeof window !== 'undefined') {
     // Browser environment
     CanvasManager = window.CanvasManager;
+    Pathfinding = window.Pathfinding;
+    GhostRegistry = window.GhostRegistry;
+    SpriteAnimation = window.SpriteAnimation;
+    Logger = window.Logger;
   } else {
     // Node.js (Jest) environment
     CanvasManager = require('./canvasManager');
+    Pathfinding = require('./pathfinding');
+    GhostRegistry = require('./ghostRegistry');
+    SpriteAnimation = require('./spriteAnimation');
+    Logger = require('./logger');
   }
 
+  const log = Logger.create('Ghost');
+
+  // Speed multiplier applied while a ghost is frightened
+  const FRIGHTENED_SPEED_FACTOR = 0.5;
+
+  // Width and height of a ghost as a fraction of a maze cell
+  const SIZE = 0.5;
+
+  // Normal movement speed in cells per second
+  const BASE_SPEED = 4;
+
+  // How far the hitbox sits inside the ghost on each side, as a fraction of a cell
+  const HITBOX_INSET = 0.05;
+
+  // Cell size used until the ghost is given a maze
+  const DEFAULT_CELL_SIZE = 40;
+
+  // Index into the patrol route of the corner each personality scatters to
+  const HOME_CORNERS = {
+    chaser: 1,     // Top-right
+    ambusher: 0,   // Top-left
+    patroller: 2,  // Bottom-right
+    wanderer: 3    // Bottom-left
+  };
+
+  // Cells ahead of the player an ambusher aims for
+  const AMBUSH_LOOKAHEAD = 4;
+
+  // Distance in cells at which a wanderer starts chasing
+  const WANDERER_CHASE_RANGE = 6;
+
+  // Sprite sheet of the frightened look: two blue frames, then two flashing white ones
+  const FRIGHTENED_SHEET = 'assets/ghost_frightened.svg';
+
   /**
    * Ghost class representing an enemy.
    */
@@ -24,158 +66,451 @@
      * Create a new Ghost instance.
      * @param {string} ghostType - The type of ghost.
      * @param {Object} position - The initial position {x, y}.
+     * @param {Function} [random=Math.random] - Random number source returning [0, 1);
+     *   the engine passes its seeded generator so runs can be reproduced.
+     * @param {number} [cellSize=40] - Size of a maze cell in pixels; the ghost is sized from it.
+     * @param {Object} [clips] - Loaded animation clips for this type; built from the
+     *   ghost's own image when omitted.
+     * @param {Function} [canMove] - Move checker (box {x, y, width, height}, direction,
+     *   distance) => boolean; the engine passes its maze check. Every move is allowed without one.
      */
-    constructor(ghostType, position) {
-      // Set ghost type
+    constructor(ghostType, position, random = Math.random, cellSize = DEFAULT_CELL_SIZE, clips = null, canMove = null) {
+      // Random source for every choice the ghost makes
+      this.random = random;
+
+      // Wall check for direction choices, the same in every environment
+      this.canMove = canMove || (() => true);
+
+      // Set ghost type and the brand entry that drives its look and targeting
       this.type = ghostType;
-      // Load the corresponding PNG image from assets based on ghost type
-      if (this.type === 'ghost_linkedin') {
-        this.image = new Image();
-        this.image.src = 'assets/ghost_linkedin_monster.png';
-      } else if (this.type === 'ghost_kaggle') {
+      this.brand = GhostRegistry.get(ghostType);
+      this.personality = this.brand.personality;
+      this.patrolIndex = 0;
+      // Load the brand's image from the registry
+      if (this.brand.image) {
         this.image = new Image();
-        this.image.src = 'assets/ghost_kaggle_monster.png';
-      } else if (this.type === 'ghost_github') {
-        this.image = new Image();
-        this.image.src = 'assets/ghost_github_monster.png';
-      } else if (this.type === 'ghost_hf') {
-        this.image = new Image();
-        this.image.src = 'assets/ghost_hf_monster.png';
+        this.image.src = this.brand.image;
       } else {
         // If type unrecognized, randomly choose ghost1.png or ghost2.png
         this.image = new Image();
-        this.image.src = Math.random() < 0.5 ? 'assets/ghost1.png' : 'assets/ghost2.png';
-      }
-
-      // Detect if we're on a mobile device for sizing
-      this.isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-
-      // Scale factor to make ghost fit better in maze - smaller on mobile
-      this.scaleFactor = this.isMobile ? 0.12 : 0.3; // 0.12 for mobile, 0.1875 for desktop
-
-      // Adjust scale further based on screen size for mobile
-      if (this.isMobile) {
-        const screenWidth = window.innerWidth || document.documentElement.clientWidth || document.body.clientWidth;
-        // Make even smaller on tiny screens
-        if (screenWidth < 400) {
-          this.scaleFactor = 0.1;
-        }
+        this.image.src = this.random() < 0.5 ? 'assets/ghost1.png' : 'assets/ghost2.png';
       }
 
-      // Set dimensions based on a default ghost size (64x64) with scaling
-      this.baseSize = 64;
-      this.width = this.baseSize * this.scaleFactor;
-      this.height = this.baseSize * this.scaleFactor;
+      // Animation clips; without loaded ones the frightened look is drawn by hand
+      this.animator = new SpriteAnimation.Animator(
+        clips || SpriteAnimation.buildClips(Ghost.getClipDefinitions(ghostType), { [ghostType]: this.image }),
+        'idle'
+      );
 
-      // Log the ghost type and size for debugging
-      console.log(`Ghost (${this.type}) size set: ${this.width}x${this.height}, isMobile: ${this.isMobile}`);
+      // Size the ghost from the maze
+      this.setCellSize(cellSize);
 
-      // Set initial position
+      // Set initial position and remember it as the spawn point
       this.x = position.x;
       this.y = position.y;
+      this.spawn = { x: position.x, y: position.y };
 
-      // Movement properties - same base speed regardless of device
-      this.baseSpeed = 100; // Base speed in pixels per second
-      this.speed = this.baseSpeed * (this.scaleFactor / 0.1875);
+      // Frightened mode (set by power pellets)
+      this.frightenedTimer = 0;
+      this.frightenedWarning = 0;
+
+      // Movement properties in cells per second, so every screen plays the same
+      this.baseSpeed = BASE_SPEED;
+      this.speed = this.baseSpeed;
       this.direction = { x: 0, y: 0 };
 
       // Direction change behavior
       this.directionTimer = 0;
       this.directionChangeInterval = 2000; // Change direction every 2 seconds by default
+      this.decisionCell = null; // Cell whose centre the last decision was made in
 
       // Choose initial direction
       this.chooseNewDirection();
     }
 
+    /**
+     * Get the definitions of a ghost type's animation clips, for AssetManager.loadClips.
+     * Idle ghosts float gently, moving ones bob quickly, and frightened ones
+     * come from the shared frightened sprite sheet.
+     * @param {string} ghostType - The type of ghost; its image is loaded under this key.
+     * @returns {Object} Clip definitions by clip name.
+     */
+    static getClipDefinitions(ghostType) {
+      const sheet = { sheet: FRIGHTENED_SHEET, frameWidth: 32, frameHeight: 32 };
+      return {
+        idle: {
+          frames: [{ source: ghostType, offsetY: 0 }, { source: ghostType, offsetY: -0.04 }],
+          frameDuration: 400
+        },
+        move: {
+          frames: [{ source: ghostType, offsetY: 0 }, { source: ghostType, offsetY: -0.08 }],
+          frameDuration: 120
+        },
+        frightened: { ...sheet, frames: [0, 1], frameDuration: 200 },
+        flashing: { ...sheet, frames: [2, 1], frameDuration: 200 }
+      };
+    }
+
+    /**
+     * Get the name of the clip that fits what the ghost is doing.
+     * @returns {string} Clip name.
+     */
+    getClipName() {
+      if (this.isFrightened()) {
+        return this.frightenedTimer <= this.frightenedWarning ? 'flashing' : 'frightened';
+      }
+      return this.direction.x !== 0 || this.direction.y !== 0 ? 'move' : 'idle';
+    }
+
+    /**
+     * Resize the ghost for a maze cell size, keeping its centre in place.
+     * @param {number} cellSize - Size of a maze cell in pixels.
+     */
+    setCellSize(cellSize) {
+      const size = cellSize * SIZE;
+
+      if (this.x !== undefined) {
+        const shift = (this.width - size) / 2;
+        this.x += shift;
+        this.y += shift;
+        this.spawn = { x: this.spawn.x + shift, y: this.spawn.y + shift };
+      }
+      this.cellSize = cellSize;
+      this.width = size;
+      this.height = size;
+      log.debug(`Ghost (${this.type}) size set: ${this.width}x${this.height} for ${cellSize}px cells`);
+    }
+
+    /**
+     * Put the ghost into frightened mode.
+     * @param {number} duration - How long the ghost stays frightened in milliseconds.
+     * @param {number} warning - How long before the end the ghost starts flashing.
+     */
+    frighten(duration, warning) {
+      this.frightenedTimer = duration;
+      this.frightenedWarning = warning;
+
+      // Classic behaviour: turn around the moment the power pellet is eaten
+      this.reverse();
+    }
+
+    /**
+     * Check whether the ghost is currently frightened.
+     * @returns {boolean} True if the ghost can be eaten.
+     */
+    isFrightened() {
+      return this.frightenedTimer > 0;
+    }
+
+    /**
+     * Send the ghost back to its spawn point in its normal state.
+     */
+    respawn() {
+      this.x = this.spawn.x;
+      this.y = this.spawn.y;
+      this.frightenedTimer = 0;
+      this.directionTimer = 0;
+      this.decisionCell = null;
+      this.chooseNewDirection();
+    }
+
+    /**
+     * Get the speed the ghost currently moves at.
+     * @returns {number} Speed in cells per second.
+     */
+    getCurrentSpeed() {
+      return this.isFrightened() ? this.speed * FRIGHTENED_SPEED_FACTOR : this.speed;
+    }
+
+    /**
+     * Turn the ghost around. Used when the ghost mode changes.
+     */
+    reverse() {
+      this.direction = { x: -this.direction.x, y: -this.direction.y };
+      this.decisionCell = null;
+    }
+
     /**
      * Update the ghost's position and behavior.
      * @param {number} deltaTime - The time since the last update in milliseconds.
+     * @param {Object} [context] - What the ghost needs to pick targets:
+     *   {player, mode: 'scatter'|'chase', maze}.
      */
-    update(deltaTime) {
+    update(deltaTime, context = {}) {
       // Track time since last direction change
       this.directionTimer += deltaTime;
 
+      // Count down frightened mode
+      if (this.frightenedTimer > 0) {
+        this.frightenedTimer = Math.max(0, this.frightenedTimer - deltaTime);
+      }
+
+      // Remember who to run away from when choosing directions
+      this.threat = this.isFrightened() ? context.player : null;
+
       // Use normalized deltaTime to ensure consistent speed across devices
       // This helps prevent faster movement on devices with different framerates
       const normalizedDeltaTime = Math.min(deltaTime, 50); // Cap at 50ms to prevent huge jumps
+      const cellSize = context.maze ? context.maze.cellSize : this.cellSize;
+      const distance = this.getCurrentSpeed() * cellSize * (normalizedDeltaTime / 1000);
 
-      // Calculate movement delta based on speed and time
-      const dx = this.direction.x * this.speed * (normalizedDeltaTime / 1000);
-      const dy = this.direction.y * this.speed * (normalizedDeltaTime / 1000);
+      this.animator.play(this.getClipName());
+      this.animator.update(normalizedDeltaTime);
 
-      // Calculate potential new position
-      const newX = this.x + dx;
-      const newY = this.y + dy;
+      if (context.maze) {
+        // Cell-to-cell movement with a decision at every cell centre
+        this.moveThroughMaze(distance, context);
+        Pathfinding.wrapEntity(this, context.maze);
+        return;
+      }
 
-      // Track if we can move in the current direction
-      let canMove = true;
+      // Fallback boundary detection if there is no maze
+      const newX = this.x + this.direction.x * distance;
+      const newY = this.y + this.direction.y * distance;
+      const canvasDimensions = typeof window !== 'undefined' && window.CanvasManager ?
+        window.CanvasManager.getDimensions() :
+        { width: 600, height: 400 };
+
+      // Check if we're trying to move out of bounds
+      const wouldHitBoundary = (
+        newX < 0 ||
+        newY < 0 ||
+        newX + this.width > canvasDimensions.width ||
+        newY + this.height > canvasDimensions.height
+      );
+
+      if (wouldHitBoundary) {
+        // Hit a boundary, choose a new direction
+        this.chooseNewDirection();
+        this.directionTimer = 0;
+      } else {
+        // Safe to move
+        this.x = newX;
+        this.y = newY;
+      }
 
-      // Try to use GameEngine's isValidMove if available (for maze walls)
-      if (typeof window !== 'undefined' && window.GameEngine && window.GameEngine.isValidMove) {
-        canMove = window.GameEngine.isValidMove(
-          { x: this.x, y: this.y },
-          { x: this.direction.x, y: this.direction.y },
-          this.speed * (normalizedDeltaTime / 1000)
-        );
+      // Change direction periodically
+      if (this.directionTimer > 2000 + this.random() * 2000) {
+        this.chooseNewDirection();
+        this.directionTimer = 0;
+      }
+    }
 
-        if (canMove) {
-          // Move if valid
-          this.x = newX;
-          this.y = newY;
-
-          // Verify position after movement
-          if (window.GameEngine.isEntityInValidPosition &&
-            !window.GameEngine.isEntityInValidPosition(this)) {
-            // If we somehow ended up in an invalid position, revert the move
-            this.x -= dx;
-            this.y -= dy;
-            canMove = false;
+    /**
+     * Move along the maze corridors, choosing a new direction each time the
+     * ghost reaches the centre of a cell.
+     * @param {number} distance - Distance to travel this frame in pixels.
+     * @param {Object} context - Update context with the maze, player and mode.
+     */
+    moveThroughMaze(distance, context) {
+      const { grid, cellSize, offsetX, offsetY } = context.maze;
+      let remaining = distance;
+
+      // A few iterations are enough even for very fast ghosts on tiny cells
+      for (let step = 0; step < 8 && remaining > 0; step++) {
+        // Come out of the far side after crossing a tunnel exit
+        Pathfinding.wrapEntity(this, context.maze);
+
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const cell = {
+          row: Math.floor((centerY - offsetY) / cellSize),
+          col: Math.floor((centerX - offsetX) / cellSize)
+        };
+        const cellCenterX = offsetX + (cell.col + 0.5) * cellSize;
+        const cellCenterY = offsetY + (cell.row + 0.5) * cellSize;
+        const cellKey = `${cell.row},${cell.col}`;
+
+        // Distance still to travel before reaching this cell's centre
+        const ahead = (cellCenterX - centerX) * this.direction.x + (cellCenterY - centerY) * this.direction.y;
+        const isStill = this.direction.x === 0 && this.direction.y === 0;
+        const blockedAhead = !Pathfinding.canStep(grid, cell, this.direction);
+
+        if (isStill || (ahead >= 0 && this.decisionCell !== cellKey) || (ahead <= 0 && blockedAhead)) {
+          if (!isStill && ahead > remaining) {
+            this.moveBy(remaining, cellCenterX, cellCenterY);
+            return;
           }
-        }
 
-        if (!canMove) {
-          // Change direction immediately if we hit a wall or invalid position
-          this.chooseNewDirection();
+          // Arrive at the centre and decide where to go next
+          remaining -= Math.max(0, ahead);
+          this.x = cellCenterX - this.width / 2;
+          this.y = cellCenterY - this.height / 2;
+          this.decisionCell = cellKey;
+          this.direction = this.decideDirection(cell, context) || { x: 0, y: 0 };
           this.directionTimer = 0;
+
+          if (this.direction.x === 0 && this.direction.y === 0) return;
+          continue;
         }
-      } else {
-        // Fallback boundary detection if GameEngine is not available
-        const canvasDimensions = typeof window !== 'undefined' && window.CanvasManager ?
-          window.CanvasManager.getDimensions() :
-          { width: 600, height: 400 };
-
-        // Check if we're trying to move out of bounds
-        const wouldHitBoundary = (
-          newX < 0 ||
-          newY < 0 ||
-          newX + this.width > canvasDimensions.width ||
-          newY + this.height > canvasDimensions.height
-        );
 
-        if (wouldHitBoundary) {
-          // Hit a boundary, choose a new direction
-          this.chooseNewDirection();
-          this.directionTimer = 0;
-        } else {
-          // Safe to move
-          this.x = newX;
-          this.y = newY;
+        // Head for the centre of the next cell
+        const toNextCenter = ahead + cellSize;
+        if (toNextCenter > remaining) {
+          this.moveBy(remaining, cellCenterX, cellCenterY);
+          return;
         }
+
+        this.moveBy(toNextCenter, cellCenterX, cellCenterY);
+        remaining -= toNextCenter;
+      }
+    }
+
+    /**
+     * Move in the current direction while staying centred in the corridor.
+     * @param {number} distance - Distance to move in pixels.
+     * @param {number} laneX - Corridor centre x, used when moving vertically.
+     * @param {number} laneY - Corridor centre y, used when moving horizontally.
+     */
+    moveBy(distance, laneX, laneY) {
+      if (this.direction.x !== 0) {
+        this.x += this.direction.x * distance;
+        this.y = laneY - this.height / 2;
+      } else {
+        this.y += this.direction.y * distance;
+        this.x = laneX - this.width / 2;
       }
+    }
 
-      // Change direction periodically or if we're not moving
-      const shouldChangeDirection =
-        this.directionTimer > 2000 + Math.random() * 2000 || // Time-based change
-        (Math.abs(dx) < 0.01 && Math.abs(dy) < 0.01);        // Not moving
+    /**
+     * Choose the direction to leave a cell in, based on the current mode and
+     * the ghost's personality. Ghosts never reverse unless at a dead end.
+     * @param {Object} cell - The cell {row, col} the ghost is centred on.
+     * @param {Object} context - Update context with the maze, player and mode.
+     * @returns {Object|null} Direction {x, y}.
+     */
+    decideDirection(cell, context) {
+      const { grid } = context.maze;
+      const reverse = (this.direction.x !== 0 || this.direction.y !== 0) ?
+        { x: -this.direction.x, y: -this.direction.y } : null;
+
+      let options = Pathfinding.getNeighbors(grid, cell);
+      if (reverse && options.length > 1) {
+        options = options.filter(option =>
+          option.direction.x !== reverse.x || option.direction.y !== reverse.y);
+      }
+      if (options.length === 0) return null;
+
+      // Frightened: take the exit that leads furthest from the player
+      this.target = null; // Kept for the debug overlay
+      if (this.isFrightened()) {
+        const playerCell = this.getPlayerCell(context);
+        if (!playerCell) return { ...options[0].direction };
+
+        let best = options[0];
+        let bestDistance = -Infinity;
+        options.forEach(option => {
+          const distance = Math.pow(option.row - playerCell.row, 2) + Math.pow(option.col - playerCell.col, 2);
+          if (distance > bestDistance) {
+            best = option;
+            bestDistance = distance;
+          }
+        });
+        return { ...best.direction };
+      }
 
-      if (shouldChangeDirection) {
-        this.chooseNewDirection();
-        this.directionTimer = 0;
+      const target = this.getTargetCell(cell, context);
+      this.target = target;
+      if (!target) {
+        // No target means roam: any exit will do
+        return { ...options[Math.floor(this.random() * options.length)].direction };
       }
+
+      return Pathfinding.nextDirection(grid, cell, target, reverse);
     }
 
     /**
-     * Choose a new random direction for the ghost.
+     * Get the cell this ghost is heading for.
+     * @param {Object} cell - The ghost's current cell {row, col}.
+     * @param {Object} context - Update context with the maze, player and mode.
+     * @returns {Object|null} Target cell {row, col}, or null to wander randomly.
+     */
+    getTargetCell(cell, context) {
+      const { grid } = context.maze;
+      const corner = this.getHomeCorner(grid);
+
+      if (context.mode === 'scatter') return corner;
+
+      const playerCell = this.getPlayerCell(context);
+      if (!playerCell) return corner;
+
+      switch (this.personality) {
+        case 'ambusher': {
+          // Aim a few cells ahead of where the player is heading
+          const facing = (context.player && context.player.facing) || { x: 0, y: 0 };
+          return {
+            row: playerCell.row + facing.y * AMBUSH_LOOKAHEAD,
+            col: playerCell.col + facing.x * AMBUSH_LOOKAHEAD
+          };
+        }
+
+        case 'patroller': {
+          // Walk the four corners in turn, ignoring the player
+          const route = this.getPatrolRoute(grid);
+          let waypoint = route[this.patrolIndex % route.length];
+          if (Math.abs(waypoint.row - cell.row) + Math.abs(waypoint.col - cell.col) <= 1) {
+            this.patrolIndex = (this.patrolIndex + 1) % route.length;
+            waypoint = route[this.patrolIndex];
+          }
+          return waypoint;
+        }
+
+        case 'wanderer': {
+          // Roam aimlessly until the player comes close, then give chase
+          const distance = Math.abs(playerCell.row - cell.row) + Math.abs(playerCell.col - cell.col);
+          return distance <= WANDERER_CHASE_RANGE ? playerCell : null;
+        }
+
+        case 'chaser':
+        default:
+          return playerCell;
+      }
+    }
+
+    /**
+     * Get the grid cell containing the player's centre.
+     * @param {Object} context - Update context with the maze and player.
+     * @returns {Object|null} The player's cell {row, col}.
+     */
+    getPlayerCell(context) {
+      const { player, maze } = context;
+      if (!player || !maze) return null;
+
+      return {
+        row: Math.floor((player.y + player.height / 2 - maze.offsetY) / maze.cellSize),
+        col: Math.floor((player.x + player.width / 2 - maze.offsetX) / maze.cellSize)
+      };
+    }
+
+    /**
+     * Get the corner this ghost retreats to while scattering.
+     * @param {Array} grid - Maze grid.
+     * @returns {Object} Corner cell {row, col}.
+     */
+    getHomeCorner(grid) {
+      const corners = this.getPatrolRoute(grid);
+      return corners[HOME_CORNERS[this.personality] || 0];
+    }
+
+    /**
+     * Get the four maze corners in clockwise order, starting top-left.
+     * @param {Array} grid - Maze grid.
+     * @returns {Array} Corner cells {row, col}.
+     */
+    getPatrolRoute(grid) {
+      const lastRow = grid.length - 1;
+      const lastCol = grid[0].length - 1;
+      return [
+        { row: 0, col: 0 },
+        { row: 0, col: lastCol },
+        { row: lastRow, col: lastCol },
+        { row: lastRow, col: 0 }
+      ];
+    }
+
+    /**
+     * Choose a new direction for the ghost. Random while roaming; while
+     * frightened, the direction that leads furthest away from the player.
      */
     chooseNewDirection() {
       // Get available directions - avoid immediate reversal which can cause getting stuck
@@ -196,28 +531,40 @@
         if (dir.x === -currentDirection.x && dir.y === -currentDirection.y) continue;
 
         // Check if this direction is valid (won't hit a wall)
-        let isValid = true;
-
-        if (typeof window !== 'undefined' && window.GameEngine && window.GameEngine.isValidMove) {
-          isValid = window.GameEngine.isValidMove(
-            { x: this.x, y: this.y },
-            dir,
-            this.speed * 0.05 // Small test distance
-          );
-        }
+        const isValid = this.canMove(
+          { x: this.x, y: this.y, width: this.width, height: this.height },
+          dir,
+          this.speed * this.cellSize * 0.05 // Small test distance
+        );
 
         if (isValid) {
           availableDirections.push(dir);
         }
       }
 
-      // If we have valid directions, choose one randomly
-      if (availableDirections.length > 0) {
-        const randomIndex = Math.floor(Math.random() * availableDirections.length);
+      // Frightened ghosts flee: pick the direction that maximises distance from the player
+      if (availableDirections.length > 0 && this.threat) {
+        const threatX = this.threat.x + this.threat.width / 2;
+        const threatY = this.threat.y + this.threat.height / 2;
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        let bestDistance = -Infinity;
+
+        availableDirections.forEach(dir => {
+          const distance = Math.pow(centerX + dir.x * this.width - threatX, 2) +
+            Math.pow(centerY + dir.y * this.height - threatY, 2);
+          if (distance > bestDistance) {
+            bestDistance = distance;
+            this.direction = dir;
+          }
+        });
+      } else if (availableDirections.length > 0) {
+        // If we have valid directions, choose one randomly
+        const randomIndex = Math.floor(this.random() * availableDirections.length);
         this.direction = availableDirections[randomIndex];
       } else {
         // If all directions are invalid, just choose any random direction
-        const randomIndex = Math.floor(Math.random() * possibleDirections.length);
+        const randomIndex = Math.floor(this.random() * possibleDirections.length);
         this.direction = possibleDirections[randomIndex];
       }
     }
@@ -228,20 +575,23 @@
      */
     draw(context) {
       if (!context) {
-        console.error("No context provided for ghost drawing");
+        log.error("No context provided for ghost drawing");
         return;
       }
 
-      // If the image is loaded, draw it; otherwise, optionally draw a fallback rectangle
-      if (this.image && this.image.complete && this.image.naturalWidth > 0) {
+      // Frightened ghosts drop their brand look and turn into blue blobs
+      const frame = this.animator.getFrame();
+      const isFrameReady = SpriteAnimation.isFrameReady(frame);
+      if (this.isFrightened() && !isFrameReady) {
+        this.drawFrightened(context);
+      } else if (this.isFrightened()) {
+        SpriteAnimation.drawFrame(context, frame, this.x, this.y, this.width, this.height);
+      } else if (isFrameReady) {
+        // If the image is loaded, draw it; otherwise, optionally draw a fallback rectangle
         // Draw colored personality halo
         context.save();
         context.beginPath();
-        let haloColor = '#5ce1e6'; // Default Aqua
-        if (this.type === 'ghost_linkedin') haloColor = '#0077b5';
-        if (this.type === 'ghost_github') haloColor = '#333';
-        if (this.type === 'ghost_kaggle') haloColor = '#20beff';
-        if (this.type === 'ghost_hf') haloColor = '#FFD21E';
+        const haloColor = this.brand.halo;
 
         context.shadowBlur = 15;
         context.shadowColor = haloColor;
@@ -251,8 +601,8 @@
         context.arc(this.x + this.width / 2, this.y + this.height / 2, this.width * 0.7, 0, Math.PI * 2);
         context.fill();
 
-        // Draw image
-        context.drawImage(this.image, this.x, this.y, this.width, this.height);
+        // Draw the current frame
+        SpriteAnimation.drawFrame(context, frame, this.x, this.y, this.width, this.height);
         context.restore();
       } else {
         // Fallback: draw a rectangle with a border
@@ -261,8 +611,58 @@
         context.strokeStyle = '#000000';
         context.strokeRect(this.x, this.y, this.width, this.height);
       }
+    }
+
+    /**
+     * Draw the frightened look: a blue ghost that flashes white when the
+     * frightened mode is about to run out. Used when the frightened sprite
+     * sheet hasn't loaded.
+     * @param {CanvasRenderingContext2D} context - The canvas rendering context.
+     */
+    drawFrightened(context) {
+      const isWarning = this.frightenedTimer <= this.frightenedWarning;
+      const flashOn = isWarning && Math.floor(this.frightenedTimer / 200) % 2 === 0;
+      const bodyColor = flashOn ? '#ffffff' : '#2121de';
+      const faceColor = flashOn ? '#ff5757' : '#ffde59';
+
+      const left = this.x;
+      const top = this.y;
+      const w = this.width;
+      const h = this.height;
+      const radius = w / 2;
+
+      context.save();
+
+      // Body: dome on top, wavy skirt at the bottom
+      context.fillStyle = bodyColor;
+      context.beginPath();
+      context.arc(left + radius, top + radius, radius, Math.PI, 0);
+      context.lineTo(left + w, top + h);
+      const waves = 3;
+      const waveWidth = w / waves;
+      for (let i = 0; i < waves; i++) {
+        const waveRight = left + w - i * waveWidth;
+        context.lineTo(waveRight - waveWidth / 2, top + h * 0.8);
+        context.lineTo(waveRight - waveWidth, top + h);
+      }
+      context.closePath();
+      context.fill();
+
+      // Eyes and wobbly mouth
+      context.fillStyle = faceColor;
+      context.fillRect(left + w * 0.25, top + h * 0.3, w * 0.15, h * 0.15);
+      context.fillRect(left + w * 0.6, top + h * 0.3, w * 0.15, h * 0.15);
+
+      context.strokeStyle = faceColor;
+      context.lineWidth = Math.max(1, w * 0.06);
+      context.beginPath();
+      context.moveTo(left + w * 0.2, top + h * 0.65);
+      for (let i = 1; i <= 4; i++) {
+        context.lineTo(left + w * (0.2 + i * 0.15), top + h * (i % 2 === 0 ? 0.65 : 0.57));
+      }
+      context.stroke();
 
-      console.log(`Drawing ghost: type=${this.type}, dimensions=${this.width}x${this.height}, position=(${Math.round(this.x)}, ${Math.round(this.y)})`);
+      context.restore();
     }
 
     /**
@@ -270,9 +670,8 @@
      * @returns {Object} An object with x, y, width, and height properties.
      */
     getBounds() {
-      // Add a slight reduction to make the hitbox a bit smaller than visual size
-      // Using a smaller reduction for the much smaller character size
-      const hitboxReduction = 2;
+      // The hitbox is a little smaller than the drawing, by a share of the cell
+      const hitboxReduction = this.cellSize * HITBOX_INSET;
       return {
         left: this.x + hitboxReduction,
         right: this.x + this.width - hitboxReduction,
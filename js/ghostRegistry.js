@@ -0,0 +1,124 @@
+/**
+ * GhostRegistry module: the one list of brand ghosts every game reads from.
+ * Adding a ghost is one entry here plus its image in assets/.
+ * @module GhostRegistry
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  /**
+   * Brand ghosts, in the order Invaders stacks its rows (top first).
+   *  - type: asset key, also stored on each ghost as `type`
+   *  - image: path of the ghost's image
+   *  - color: body color of the SVG stand-in when the images can't load
+   *  - halo: glow drawn behind the ghost in Adventure
+   *  - name: display name on the game over screen
+   *  - url: profile opened when the ghost ends a run
+   *  - personality: Adventure targeting behavior (chaser, ambusher, patroller, wanderer)
+   *  - points: score for shooting it down in Invaders
+   */
+  const GHOSTS = [
+    {
+      type: 'ghost_github',
+      image: 'assets/ghost_github_monster.png',
+      color: '#6e5494',
+      halo: '#333',
+      name: 'GITHUB',
+      url: 'https://github.com/macayaven',
+      personality: 'patroller', // Patrols the corners of the maze
+      points: 10
+    },
+    {
+      type: 'ghost_linkedin',
+      image: 'assets/ghost_linkedin_monster.png',
+      color: '#0077b5',
+      halo: '#0077b5',
+      name: 'LINKEDIN',
+      url: 'https://www.linkedin.com/in/carlos-crespo-macaya/',
+      personality: 'chaser', // Goes straight for the player
+      points: 10
+    },
+    {
+      type: 'ghost_kaggle',
+      image: 'assets/ghost_kaggle_monster.png',
+      color: '#20beff',
+      halo: '#20beff',
+      name: 'KAGGLE',
+      url: 'https://www.kaggle.com/macayaven',
+      personality: 'ambusher', // Predicts where the player is heading
+      points: 10
+    },
+    {
+      type: 'ghost_hf',
+      image: 'assets/ghost_hf_monster.png',
+      color: '#FFD21E',
+      halo: '#FFD21E',
+      name: 'HUGGING FACE',
+      url: 'https://huggingface.co/macayaven',
+      personality: 'wanderer', // Roams until the player gets close
+      points: 10
+    }
+  ];
+
+  // Used for a type that isn't registered
+  const UNKNOWN = {
+    type: 'ghost',
+    image: null,
+    color: '#ff6666',
+    halo: '#5ce1e6',
+    name: 'A GHOST',
+    url: 'https://github.com',
+    personality: 'chaser',
+    points: 10
+  };
+
+  /**
+   * Get the registered ghost types.
+   * @returns {Array<string>} Types in registry order.
+   */
+  function getTypes() {
+    return GHOSTS.map(ghost => ghost.type);
+  }
+
+  /**
+   * Look up a ghost's entry.
+   * @param {string} type - Ghost type.
+   * @returns {Object} Its entry, or a generic one if the type isn't registered.
+   */
+  function get(type) {
+    return GHOSTS.find(ghost => ghost.type === type) || UNKNOWN;
+  }
+
+  /**
+   * Check whether a type is registered.
+   * @param {string} type - Ghost type.
+   * @returns {boolean} True if the registry has an entry for it.
+   */
+  function has(type) {
+    return GHOSTS.some(ghost => ghost.type === type);
+  }
+
+  /**
+   * Get the image of every ghost, keyed by asset key, for the asset loader.
+   * @returns {Object} Map of type to image path.
+   */
+  function getAssetUrls() {
+    const urls = {};
+    GHOSTS.forEach(ghost => {
+      urls[ghost.type] = ghost.image;
+    });
+    return urls;
+  }
+
+  // Export functions for use in browser or tests
+  exports.GHOSTS = GHOSTS;
+  exports.getTypes = getTypes;
+  exports.get = get;
+  exports.has = has;
+  exports.getAssetUrls = getAssetUrls;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.GhostRegistry = {}) : {});
@@ -0,0 +1,305 @@
+/**
+ * HighScoreBoard module for showing the high score tables and entering
+ * initials arcade-style when a run earns a place.
+ * @module HighScoreBoard
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let HighScores;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    HighScores = window.HighScores;
+  } else {
+    // Node.js (Jest) environment
+    HighScores = require('./highScores');
+  }
+
+  // Characters the initial slots cycle through
+  const CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+  // Rows shown in the compact table on the start overlay
+  const COMPACT_ROWS = 5;
+
+  // Score waiting for initials {game, score, level, slots, cursor}
+  let pending = null;
+
+  /**
+   * Wire up the game over overlay, so leaving it keeps a score whose
+   * initials were never confirmed.
+   */
+  function initialize() {
+    const gameOver = document.getElementById('game-over');
+    if (!gameOver) return;
+
+    const keepPending = (event) => {
+      if (event.target.closest('button') && !event.target.closest('.initials-entry')) {
+        commitPending();
+      }
+    };
+    // Capture, so this runs before the button's own handler restarts the game
+    gameOver.addEventListener('click', keepPending, true);
+    gameOver.addEventListener('touchend', keepPending, true);
+  }
+
+  /**
+   * Fill a list element with a game's table.
+   * @param {HTMLElement} list - The <ol> to fill.
+   * @param {string} game - Game key.
+   * @param {Object} [options] - Display options.
+   * @param {number} [options.limit] - Number of rows to show.
+   * @param {boolean} [options.compact] - Show only initials and score.
+   * @param {number} [options.highlight] - Index of the row to highlight.
+   */
+  function renderTable(list, game, options = {}) {
+    const table = HighScores.getTable(game).slice(0, options.limit || HighScores.MAX_ENTRIES);
+    list.innerHTML = '';
+
+    if (table.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'high-score-empty';
+      empty.textContent = 'NO SCORES YET';
+      list.appendChild(empty);
+      return;
+    }
+
+    table.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.classList.toggle('highlight', index === options.highlight);
+
+      const cells = [`${index + 1}.`, entry.initials, entry.score];
+      if (!options.compact) {
+        cells.push(`LV ${entry.level}`, new Date(entry.date).toLocaleDateString());
+      }
+      cells.forEach(text => {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        item.appendChild(cell);
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show the compact table of a game on the start overlay.
+   * @param {string} game - Game key.
+   */
+  function showCompact(game) {
+    const container = document.getElementById('start-high-scores');
+    if (!container || !HighScores.GAMES[game]) return;
+
+    container.querySelector('h3').textContent = `${HighScores.GAMES[game]} TOP ${COMPACT_ROWS}`;
+    renderTable(container.querySelector('ol'), game, { limit: COMPACT_ROWS, compact: true });
+  }
+
+  /**
+   * Show a game's full table on the game over overlay.
+   * @param {string} game - Game key.
+   * @param {number} [highlight] - Index of the row to highlight.
+   */
+  function showFull(game, highlight) {
+    const container = document.getElementById('high-scores');
+    if (!container) return;
+
+    container.classList.remove('hidden');
+    container.querySelector('h3').textContent = `${HighScores.GAMES[game]} HIGH SCORES`;
+    renderTable(container.querySelector('ol'), game, { highlight: highlight });
+  }
+
+  /**
+   * Build one initial slot: a letter with buttons to step it up and down.
+   * @param {Function} onSubmit - Called when Enter is pressed.
+   * @returns {Object} The slot {element, input, step}; step(amount) moves its letter.
+   */
+  function createSlot(onSubmit) {
+    const element = document.createElement('div');
+    element.className = 'initial-slot';
+
+    const input = document.createElement('input');
+    input.maxLength = 1;
+    input.value = 'A';
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', 'Initial');
+
+    const step = (amount) => {
+      const index = CHARACTERS.indexOf(input.value);
+      input.value = CHARACTERS[(index + amount + CHARACTERS.length) % CHARACTERS.length];
+    };
+
+    const focusSibling = (direction) => {
+      const sibling = direction < 0 ? element.previousElementSibling : element.nextElementSibling;
+      const next = sibling && sibling.querySelector('input');
+      if (next) {
+        next.focus();
+        next.select();
+      }
+    };
+
+    input.addEventListener('keydown', (event) => {
+      const key = event.key;
+      if (key === 'ArrowUp' || key === 'ArrowDown') {
+        step(key === 'ArrowUp' ? 1 : -1);
+      } else if (key === 'ArrowLeft' || key === 'Backspace') {
+        focusSibling(-1);
+      } else if (key === 'ArrowRight') {
+        focusSibling(1);
+      } else if (key === 'Enter') {
+        onSubmit();
+      } else if (key.length === 1 && CHARACTERS.includes(key.toUpperCase())) {
+        input.value = key.toUpperCase();
+        focusSibling(1);
+      } else if (key === 'Tab') {
+        return;
+      }
+      // Keep the keys away from the caret and the game controls
+      event.preventDefault();
+      event.stopPropagation();
+    });
+    input.addEventListener('focus', () => input.select());
+
+    const makeButton = (text, amount) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'neo-btn initial-step-btn';
+      button.textContent = text;
+      button.addEventListener('click', () => {
+        step(amount);
+        input.focus();
+      });
+      return button;
+    };
+
+    element.appendChild(makeButton('▲', 1));
+    element.appendChild(input);
+    element.appendChild(makeButton('▼', -1));
+
+    return { element, input, step };
+  }
+
+  /**
+   * Ask for initials in the game over overlay.
+   * @param {HTMLElement} container - Element to build the entry in.
+   * @param {Function} onSubmit - Called when the initials are confirmed.
+   * @returns {Array} The slots, from createSlot.
+   */
+  function promptInitials(container, onSubmit) {
+    container.innerHTML = '';
+    container.classList.remove('hidden');
+
+    const title = document.createElement('p');
+    title.className = 'initials-title';
+    title.textContent = 'NEW HIGH SCORE! ENTER YOUR INITIALS';
+    container.appendChild(title);
+
+    const row = document.createElement('div');
+    row.className = 'initials-slots';
+    container.appendChild(row);
+
+    const slots = [];
+    for (let i = 0; i < HighScores.INITIALS_LENGTH; i++) {
+      const slot = createSlot(onSubmit);
+      row.appendChild(slot.element);
+      slots.push(slot);
+    }
+
+    const confirm = document.createElement('button');
+    confirm.type = 'button';
+    confirm.className = 'neo-btn initial-step-btn';
+    confirm.textContent = 'OK';
+    confirm.addEventListener('click', onSubmit);
+    row.appendChild(confirm);
+
+    slots[0].input.focus();
+    return slots;
+  }
+
+  /**
+   * Save the pending score with whatever initials are showing.
+   */
+  function commitPending() {
+    if (!pending) return;
+
+    const { game, score, level, slots } = pending;
+    pending = null;
+
+    const rank = HighScores.addEntry(game, {
+      initials: slots.map(slot => slot.input.value).join(''),
+      score: score,
+      level: level
+    });
+
+    const entry = document.querySelector('#high-scores .initials-entry');
+    if (entry) entry.classList.add('hidden');
+    showFull(game, rank);
+    showCompact(game);
+  }
+
+  /**
+   * Steer the initials entry without a keyboard, e.g. from a gamepad's D-pad:
+   * up and down step the current letter, left and right move between slots.
+   * @param {Object} direction - Direction {x, y}; y is -1 for up.
+   */
+  function handleDirection(direction) {
+    if (!pending) return;
+
+    // A slot the player clicked into is the current one
+    const { slots } = pending;
+    const focused = slots.findIndex(slot => slot.input === document.activeElement);
+    if (focused >= 0) pending.cursor = focused;
+
+    if (direction.y !== 0) {
+      slots[pending.cursor].step(-direction.y);
+    } else if (direction.x !== 0) {
+      pending.cursor = Math.max(0, Math.min(slots.length - 1, pending.cursor + direction.x));
+    }
+    slots[pending.cursor].input.focus();
+  }
+
+  /**
+   * Check whether initials are being entered for a score.
+   * @returns {boolean} True while the initials entry is open.
+   */
+  function isEntering() {
+    return !!pending;
+  }
+
+  /**
+   * Show a game's table at game over, asking for initials first if the
+   * score earns a place.
+   * @param {string} game - Game key (adventure, invaders or mind).
+   * @param {number} score - Final score.
+   * @param {number} [level] - Level reached.
+   */
+  function recordScore(game, score, level = 1) {
+    if (typeof document === 'undefined' || !HighScores.GAMES[game]) return;
+
+    // A score still waiting for initials is kept before the next one
+    commitPending();
+
+    const entry = document.querySelector('#high-scores .initials-entry');
+    if (entry) entry.classList.add('hidden');
+    showFull(game);
+
+    if (!entry || !HighScores.qualifies(game, score)) return;
+
+    pending = { game, score, level, slots: null, cursor: 0 };
+    pending.slots = promptInitials(entry, commitPending);
+  }
+
+  // Export functions for use in browser or tests
+  exports.initialize = initialize;
+  exports.renderTable = renderTable;
+  exports.showCompact = showCompact;
+  exports.recordScore = recordScore;
+  exports.commitPending = commitPending;
+  exports.handleDirection = handleDirection;
+  exports.isEntering = isEntering;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.HighScoreBoard = {}) : {});
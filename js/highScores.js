@@ -0,0 +1,131 @@
+/**
+ * HighScores module keeping a top-10 table per game in localStorage.
+ * Each entry is {initials, score, level, date}.
+ * @module HighScores
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('HighScores');
+
+  // Games with a table, and the names shown for them
+  const GAMES = {
+    adventure: 'ADVENTURE',
+    invaders: 'INVADERS',
+    mind: "CARLOS' MIND"
+  };
+
+  const STORAGE_KEY = 'multiverse.highScores';
+  const MAX_ENTRIES = 10;
+  const INITIALS_LENGTH = 3;
+
+  /**
+   * Read every table from storage.
+   * @returns {Object} Tables keyed by game.
+   */
+  function readAll() {
+    try {
+      const tables = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return tables && typeof tables === 'object' ? tables : {};
+    } catch (error) {
+      log.warn('Could not read high scores:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write every table to storage.
+   * @param {Object} tables - Tables keyed by game.
+   */
+  function writeAll(tables) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(tables));
+    } catch (error) {
+      log.warn('Could not save high scores:', error);
+    }
+  }
+
+  /**
+   * Get the table of a game, best score first.
+   * @param {string} game - Game key (adventure, invaders or mind).
+   * @returns {Array} Entries {initials, score, level, date}.
+   */
+  function getTable(game) {
+    const table = readAll()[game];
+    return Array.isArray(table) ? table : [];
+  }
+
+  /**
+   * Check whether a score would make it into a game's table.
+   * @param {string} game - Game key.
+   * @param {number} score - Final score.
+   * @returns {boolean} True if the score earns a place.
+   */
+  function qualifies(game, score) {
+    if (!(score > 0)) return false;
+
+    const table = getTable(game);
+    return table.length < MAX_ENTRIES || score > table[table.length - 1].score;
+  }
+
+  /**
+   * Clean up initials: letters and digits only, upper case, padded to three.
+   * @param {string} text - Initials as entered.
+   * @returns {string} Three-character initials.
+   */
+  function normalizeInitials(text) {
+    const cleaned = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return cleaned.slice(0, INITIALS_LENGTH).padEnd(INITIALS_LENGTH, 'A');
+  }
+
+  /**
+   * Add an entry to a game's table. Ties keep the older entry in front.
+   * @param {string} game - Game key.
+   * @param {Object} entry - Entry {initials, score, level}; the date is added.
+   * @returns {number} Index of the new entry in the table, or -1 if it didn't make it.
+   */
+  function addEntry(game, entry) {
+    const tables = readAll();
+    const table = Array.isArray(tables[game]) ? tables[game] : [];
+    const newEntry = {
+      initials: normalizeInitials(entry.initials),
+      score: entry.score,
+      level: entry.level || 1,
+      date: new Date().toISOString()
+    };
+
+    let rank = table.findIndex(existing => newEntry.score > existing.score);
+    if (rank === -1) rank = table.length;
+    if (rank >= MAX_ENTRIES) return -1;
+
+    table.splice(rank, 0, newEntry);
+    tables[game] = table.slice(0, MAX_ENTRIES);
+    writeAll(tables);
+    return rank;
+  }
+
+  // Export functions for use in browser or tests
+  exports.GAMES = GAMES;
+  exports.MAX_ENTRIES = MAX_ENTRIES;
+  exports.INITIALS_LENGTH = INITIALS_LENGTH;
+  exports.getTable = getTable;
+  exports.qualifies = qualifies;
+  exports.normalizeInitials = normalizeInitials;
+  exports.addEntry = addEntry;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.HighScores = {}) : {});
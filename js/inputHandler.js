@@ -1,13 +1,56 @@
 /**
- * InputHandler module for managing keyboard and touch input.
+ * InputHandler module for managing keyboard, touch and gamepad input.
+ *
+ * Gamepads (standard mapping) steer with the D-pad or the left stick, and
+ * their direction reaches the games through getDirection() like a held key.
+ * A (or Space) and Start are read once per press with consumeButton().
  * @module InputHandler
  */
 
 // Create a module that can be used in both browser and Jest environments
 (function(exports) {
+  // Dependencies
+  let Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('InputHandler');
+
   // Direction state object
   const direction = { x: 0, y: 0 };
+
+  // Last direction pressed or swiped, kept until it has been read once so that
+  // quick taps released between frames still reach the player's turn queue
+  const latchedDirection = { x: 0, y: 0 };
   
+  // Standard-mapping gamepad buttons
+  const GAMEPAD_BUTTONS = { action: 0, pause: 9, up: 12, down: 13, left: 14, right: 15 };
+
+  // How far the left stick must lean (0 to 1) before it counts as a direction
+  const STICK_DEADZONE = 0.35;
+
+  // Direction held on a gamepad, kept apart from keys and swipes so that
+  // letting go of one doesn't cancel the other
+  const gamepadDirection = { x: 0, y: 0 };
+
+  // Buttons pressed since they were last read: action (A or Space) and pause (Start)
+  const pressedButtons = { action: false, pause: false };
+
+  // Whether each gamepad button was down at the previous poll, by "padIndex:button"
+  const heldButtons = {};
+
+  let isInitialized = false;
+  let isSwipeEnabled = true; // Invaders steers with held touches instead
+  let isWatchingGamepads = false;
+  let gamepadPollId = null;
+  let onGamepadChange = null;
+
   // Event handler references (for cleanup)
   let keydownHandler;
   let keyupHandler;
@@ -25,9 +68,19 @@
    * Initialize keyboard and touch event listeners.
    */
   function initialize() {
+    // Games initialize on every start; the listeners only need adding once
+    if (isInitialized) return;
+    isInitialized = true;
+
     // Set up the keydown event handler
     keydownHandler = function(event) {
       switch (event.key) {
+        case ' ':
+          // Space is the action button, except while typing or on a focused
+          // button, which Space already presses
+          if (event.target && ['INPUT', 'TEXTAREA', 'BUTTON'].includes(event.target.tagName)) return;
+          pressedButtons.action = true;
+          return;
         case 'ArrowUp':
           direction.x = 0;
           direction.y = -1;
@@ -48,7 +101,10 @@
           direction.y = 0;
           event.preventDefault();
           break;
+        default:
+          return;
       }
+      latchDirection();
     };
     
     // Set up the keyup event handler
@@ -84,12 +140,12 @@
         // Prevent default to avoid scrolling and zooming
         event.preventDefault();
         
-        console.log("Touch start detected:", touchStartX, touchStartY);
+        log.debug("Touch start detected:", touchStartX, touchStartY);
       }
     };
     
     touchmoveHandler = function(event) {
-      if (!touchActive || event.touches.length !== 1) return;
+      if (!isSwipeEnabled || !touchActive || event.touches.length !== 1) return;
       
       // Prevent scrolling while playing
       event.preventDefault();
@@ -113,7 +169,8 @@
           direction.y = diffY > 0 ? 1 : -1;
         }
         
-        console.log("Touch direction set:", direction.x, direction.y);
+        latchDirection();
+        log.debug("Touch direction set:", direction.x, direction.y);
         
         // Update start position to continue movement if finger stays down
         touchStartX = touchX;
@@ -141,16 +198,12 @@
     window.addEventListener('keydown', keydownHandler);
     window.addEventListener('keyup', keyupHandler);
     
-    // Add touch event listeners for mobile
-    // First check if we're on a mobile device
-    const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-    console.log("Device detected as mobile:", isMobile);
-    
-    // Always add touch controls, regardless of device detection
+    // Add touch event listeners
+    // Always add touch controls, regardless of the device
     // This ensures they work on all touch-enabled devices
     const canvas = document.getElementById('gameCanvas');
     if (canvas) {
-      console.log("Adding touch event listeners to canvas");
+      log.debug("Adding touch event listeners to canvas");
       
       // Use these options to prevent scrolling when touching the canvas
       const touchOptions = { passive: false };
@@ -164,16 +217,161 @@
       document.body.addEventListener('touchmove', touchmoveHandler, touchOptions);
       document.body.addEventListener('touchend', touchendHandler);
     } else {
-      console.error("Canvas element not found for touch controls!");
+      log.error("Canvas element not found for touch controls!");
     }
   }
   
   /**
-   * Get the current movement direction.
+   * Turn swipe steering on or off. Keys and gamepads are not affected.
+   * @param {boolean} enabled - Whether swipes set the direction.
+   */
+  function setSwipeEnabled(enabled) {
+    isSwipeEnabled = enabled;
+    touchActive = false;
+  }
+
+  /**
+   * Remember a direction until the next getDirection call.
+   * @param {Object} [source=direction] - Direction to remember.
+   */
+  function latchDirection(source = direction) {
+    latchedDirection.x = source.x;
+    latchedDirection.y = source.y;
+  }
+  
+  /**
+   * Get the current movement direction. Keys and swipes win over a gamepad.
+   * While nothing is held, the last direction pressed since the previous
+   * call is returned once.
    * @returns {Object} An object with x and y properties representing the direction.
    */
   function getDirection() {
-    return { ...direction };
+    const held = (direction.x !== 0 || direction.y !== 0) ? direction : gamepadDirection;
+    const result = (held.x !== 0 || held.y !== 0) ? { ...held } : { ...latchedDirection };
+    latchedDirection.x = 0;
+    latchedDirection.y = 0;
+    return result;
+  }
+
+  /**
+   * Check whether a button was pressed since the last check.
+   * @param {string} name - action (A or Space) or pause (Start).
+   * @returns {boolean} True once per press.
+   */
+  function consumeButton(name) {
+    const wasPressed = !!pressedButtons[name];
+    pressedButtons[name] = false;
+    return wasPressed;
+  }
+
+  /**
+   * Get the gamepads that are plugged in.
+   * @returns {Array<Gamepad>} Connected gamepads.
+   */
+  function getConnectedGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+  }
+
+  /**
+   * Read which way a gamepad points: the D-pad first, then the left stick
+   * along whichever axis it leans furthest.
+   * @param {Gamepad} pad - The gamepad.
+   * @returns {Object} Direction {x, y}.
+   */
+  function readGamepadDirection(pad) {
+    const isDown = index => !!(pad.buttons[index] && pad.buttons[index].pressed);
+    if (isDown(GAMEPAD_BUTTONS.up)) return { x: 0, y: -1 };
+    if (isDown(GAMEPAD_BUTTONS.down)) return { x: 0, y: 1 };
+    if (isDown(GAMEPAD_BUTTONS.left)) return { x: -1, y: 0 };
+    if (isDown(GAMEPAD_BUTTONS.right)) return { x: 1, y: 0 };
+
+    const stickX = pad.axes[0] || 0;
+    const stickY = pad.axes[1] || 0;
+    if (Math.max(Math.abs(stickX), Math.abs(stickY)) < STICK_DEADZONE) return { x: 0, y: 0 };
+    return Math.abs(stickX) > Math.abs(stickY) ?
+      { x: Math.sign(stickX), y: 0 } :
+      { x: 0, y: Math.sign(stickY) };
+  }
+
+  /**
+   * Read every gamepad once. Buttons count when they go down; the first pad
+   * pointing somewhere sets the gamepad direction.
+   */
+  function pollGamepads() {
+    const next = { x: 0, y: 0 };
+
+    getConnectedGamepads().forEach(pad => {
+      const padDirection = readGamepadDirection(pad);
+      if (next.x === 0 && next.y === 0) {
+        next.x = padDirection.x;
+        next.y = padDirection.y;
+      }
+
+      ['action', 'pause'].forEach(name => {
+        const button = pad.buttons[GAMEPAD_BUTTONS[name]];
+        const isDown = !!(button && button.pressed);
+        const key = `${pad.index}:${name}`;
+        if (isDown && !heldButtons[key]) pressedButtons[name] = true;
+        heldButtons[key] = isDown;
+      });
+    });
+
+    if (next.x !== gamepadDirection.x || next.y !== gamepadDirection.y) {
+      gamepadDirection.x = next.x;
+      gamepadDirection.y = next.y;
+      if (next.x !== 0 || next.y !== 0) latchDirection(gamepadDirection);
+    }
+  }
+
+  /**
+   * Poll the gamepads every frame while any is connected. The Gamepad API
+   * has no button events, so this is the only way to see them.
+   */
+  function updateGamepadPolling() {
+    const isConnected = getConnectedGamepads().length > 0;
+
+    if (isConnected && gamepadPollId === null) {
+      const poll = () => {
+        pollGamepads();
+        gamepadPollId = requestAnimationFrame(poll);
+      };
+      gamepadPollId = requestAnimationFrame(poll);
+    } else if (!isConnected && gamepadPollId !== null) {
+      cancelAnimationFrame(gamepadPollId);
+      gamepadPollId = null;
+      gamepadDirection.x = 0;
+      gamepadDirection.y = 0;
+    }
+
+    if (onGamepadChange) onGamepadChange(getConnectedGamepads().map(pad => pad.id));
+  }
+
+  /**
+   * Start listening for gamepads being connected and disconnected.
+   * Browsers only report a gamepad once one of its buttons is pressed.
+   * @param {Function} [changeCallback] - Called with the ids of the connected
+   *   gamepads whenever one comes or goes, e.g. to show an indicator.
+   */
+  function watchGamepads(changeCallback) {
+    onGamepadChange = changeCallback || null;
+    if (isWatchingGamepads || typeof window === 'undefined') return;
+    isWatchingGamepads = true;
+
+    window.addEventListener('gamepadconnected', (event) => {
+      log.info(`Gamepad connected: ${event.gamepad.id}`);
+      updateGamepadPolling();
+    });
+    window.addEventListener('gamepaddisconnected', (event) => {
+      log.info(`Gamepad disconnected: ${event.gamepad.id}`);
+      Object.keys(heldButtons)
+        .filter(key => key.startsWith(`${event.gamepad.index}:`))
+        .forEach(key => delete heldButtons[key]);
+      updateGamepadPolling();
+    });
+
+    // Pick up gamepads that were already in use, e.g. after a reload
+    updateGamepadPolling();
   }
   
   /**
@@ -209,16 +407,25 @@
       }
     }
     
+    isInitialized = false;
+
     // Reset direction
     direction.x = 0;
     direction.y = 0;
+    latchedDirection.x = 0;
+    latchedDirection.y = 0;
+    pressedButtons.action = false;
+    pressedButtons.pause = false;
     
-    console.log("Input handler cleaned up");
+    log.debug("Input handler cleaned up");
   }
   
   // Export functions for use in browser or tests
   exports.initialize = initialize;
   exports.getDirection = getDirection;
+  exports.setSwipeEnabled = setSwipeEnabled;
+  exports.consumeButton = consumeButton;
+  exports.watchGamepads = watchGamepads;
   exports.cleanup = cleanup;
   
   // For Node.js/Jest compatibility
@@ -8,10 +8,26 @@ const InvadersEngine = (function () {
     let bullets = [];
     let enemies = [];
     let isRunning = false;
+    let isPaused = false;
     let score = 0;
+    let wave = 1;
     let enemyDirection = 1;
     let enemyStepDown = 0;
     let assets = {};
+    let isListeningForResize = false;
+    const effects = new window.Effects.EffectLayer();
+    let lastFrameTime = 0;
+
+    // Canvas width the formation is drawn for; narrower canvases scale it down
+    const DESIGN_WIDTH = 800;
+    const PLAYER_SIZE = 50;
+    const PLAYER_ROW_OFFSET = 70; // Distance of the player row from the bottom
+    const ENEMY_SIZE = 40;
+    const ENEMY_COLUMNS = 8;
+    const MUSIC_WAVE_STEP = 0.1; // Music intensity every wave starts with
+    const KILL_HIT_STOP = 40; // ms the action holds when an enemy goes down
+    const KILL_SHAKE = { strength: 2, duration: 120 };
+    const BREACH_SHAKE = { strength: 10, duration: 500 }; // Enemies reaching the player row
 
     function init(targetCanvas, gameAssets) {
         canvas = targetCanvas;
@@ -19,32 +35,101 @@ const InvadersEngine = (function () {
         if (window.CanvasManager) window.CanvasManager.resize();
         ctx = canvas.getContext('2d');
         assets = gameAssets;
+        isPaused = false;
+        score = 0;
+        wave = 1;
+        effects.clear();
+        lastFrameTime = 0;
+        updateHUD();
         reset();
+        window.InputHandler.initialize(); // Arrows, Space and gamepads, read by game.js every frame
+        window.InputHandler.setSwipeEnabled(false); // Touches steer through game.js instead
+        window.MusicSequencer.play('invaders');
+        updateMusicIntensity();
+
+        // Rescale the formation and the player row when the canvas changes size
+        if (window.CanvasManager && !isListeningForResize) {
+            window.CanvasManager.onResize(relayout);
+            isListeningForResize = true;
+        }
     }
 
+    // Size of the play area in logical units; CanvasManager takes care of the pixel ratio
+    function getSize() {
+        return window.CanvasManager.getDimensions();
+    }
+
+    // Scale of the formation for a canvas width
+    function getScale(width) {
+        return Math.min(1, width / DESIGN_WIDTH);
+    }
+
+    // Fit the wave in progress to a new canvas size, keeping everyone where they
+    // are relative to the canvas. The formation never ends up on the player row.
+    function relayout(dimensions, previous) {
+        if (!isRunning || !previous.width || !previous.height) return;
+
+        const scaleX = dimensions.width / previous.width;
+        const scaleY = dimensions.height / previous.height;
+        const scale = getScale(dimensions.width);
+        const sizeRatio = scale / getScale(previous.width);
+
+        enemies.concat(bullets).forEach(e => {
+            e.x *= scaleX;
+            e.y *= scaleY;
+            e.width *= sizeRatio;
+            e.height *= sizeRatio;
+        });
+
+        const centerX = (player.x + player.width / 2) * scaleX;
+        player.width = PLAYER_SIZE * scale;
+        player.height = PLAYER_SIZE * scale;
+        player.x = Math.max(0, Math.min(dimensions.width - player.width, centerX - player.width / 2));
+        player.y = dimensions.height - PLAYER_ROW_OFFSET * scale;
+
+        const lowest = Math.max(...enemies.map(e => e.y + e.height));
+        if (lowest >= player.y) {
+            const lift = lowest - player.y + 1;
+            enemies.forEach(e => e.y -= lift);
+        }
+    }
+
+    // Speed the march up as the formation thins out, and a little more every wave
+    function updateMusicIntensity() {
+        const total = window.GhostRegistry.getTypes().length * ENEMY_COLUMNS;
+        const cleared = 1 - enemies.length / total;
+        window.MusicSequencer.setIntensity(cleared + (wave - 1) * MUSIC_WAVE_STEP);
+    }
+
+    // Set up a wave; the score carries over from the previous one
     function reset() {
-        player.x = canvas.width / 2 - player.width / 2;
-        player.y = canvas.height - 70;
+        const size = getSize();
+        const scale = getScale(size.width);
+        player.width = PLAYER_SIZE * scale;
+        player.height = PLAYER_SIZE * scale;
+        player.x = size.width / 2 - player.width / 2;
+        player.y = size.height - PLAYER_ROW_OFFSET * scale;
         bullets = [];
         enemies = [];
-        score = 0;
         enemyDirection = 1;
 
         // Spawn grid of enemies
-        const rows = 4;
-        const cols = 8;
-        const padding = 20;
-        const startX = 50;
-        const startY = canvas.height * 0.1; // 10% from top
+        const types = window.GhostRegistry.getTypes(); // One brand per row
+        const rows = types.length;
+        const cols = ENEMY_COLUMNS;
+        const enemySize = ENEMY_SIZE * scale;
+        const padding = 20 * scale;
+        const startX = 50 * scale;
+        const startY = size.height * 0.1; // 10% from top
 
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
                 enemies.push({
-                    x: startX + c * (40 + padding),
-                    y: startY + r * (40 + padding),
-                    width: 40,
-                    height: 40,
-                    type: r === 0 ? 'ghost_github' : (r === 1 ? 'ghost_linkedin' : (r === 2 ? 'ghost_kaggle' : 'ghost_hf'))
+                    x: startX + c * (enemySize + padding),
+                    y: startY + r * (enemySize + padding),
+                    width: enemySize,
+                    height: enemySize,
+                    type: types[r]
                 });
             }
         }
@@ -52,7 +137,17 @@ const InvadersEngine = (function () {
     }
 
     function update() {
-        if (!isRunning) return;
+        if (isPaused) {
+            lastFrameTime = 0;
+            return;
+        }
+
+        // Effects run on real time, and play out after the game ends; a
+        // hit-stop holds everything else
+        const now = performance.now();
+        effects.update(lastFrameTime ? now - lastFrameTime : 0);
+        lastFrameTime = now;
+        if (!isRunning || effects.isFrozen()) return;
 
         // Player movement (handled by game.js input, but we can check here too)
         // ... handled externally ...
@@ -64,16 +159,17 @@ const InvadersEngine = (function () {
         });
 
         // Enemy movement
+        const size = getSize();
         let hitEdge = false;
         enemies.forEach(e => {
             e.x += 1 * enemyDirection;
-            if (e.x + e.width > canvas.width - 20 || e.x < 20) hitEdge = true;
+            if (e.x + e.width > size.width - 20 || e.x < 20) hitEdge = true;
         });
 
         if (hitEdge) {
             enemyDirection *= -1;
             // Limit descent to avoid instant death on small mobile screens
-            const descent = Math.min(20, canvas.height * 0.05);
+            const descent = Math.min(20, size.height * 0.05);
             enemies.forEach(e => e.y += descent);
         }
 
@@ -84,24 +180,51 @@ const InvadersEngine = (function () {
                     b.y < e.y + e.height && b.y + b.height > e.y) {
                     bullets.splice(bi, 1);
                     enemies.splice(ei, 1);
-                    score += 10;
+                    const brand = window.GhostRegistry.get(e.type);
+                    score += brand.points;
                     updateHUD();
+
+                    effects.sparks(b.x + b.width / 2, b.y, '#ffde59', -Math.PI / 2);
+                    effects.burst(e.x + e.width / 2, e.y + e.height / 2, brand.halo);
+                    effects.popup(e.x + e.width / 2, e.y + e.height / 2, String(brand.points), '#ffde59', 14);
+                    effects.shake(KILL_SHAKE.strength, KILL_SHAKE.duration);
+                    effects.hitStop(KILL_HIT_STOP);
+                    window.AudioManager.play('explosion');
+                    updateMusicIntensity();
                 }
             });
         });
 
-        if (enemies.length === 0) reset(); // Win state -> reset/level up
+        // Win state -> next wave
+        if (enemies.length === 0) {
+            wave++;
+            reset();
+
+            const size = getSize();
+            const halos = window.GhostRegistry.GHOSTS.map(brand => brand.halo);
+            effects.confetti(size.width / 2, size.height / 2, halos);
+            effects.popup(size.width / 2, size.height / 2, `WAVE ${wave}`, '#ffde59', 28);
+            window.AudioManager.play('levelUp');
+            updateMusicIntensity();
+        }
 
         // Check if enemies reached player
         enemies.forEach(e => {
-            if (e.y + e.height > player.y) {
+            if (isRunning && e.y + e.height > player.y) {
+                effects.burst(player.x + player.width / 2, player.y + player.height / 2, window.GhostRegistry.get(e.type).halo);
+                effects.shake(BREACH_SHAKE.strength, BREACH_SHAKE.duration);
+                window.AudioManager.play('death');
                 gameOver();
             }
         });
     }
 
     function draw() {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        window.CanvasManager.clear();
+
+        // The whole scene moves with the screen shake
+        ctx.save();
+        effects.applyShake(ctx);
 
         // Draw Player (Carlos)
         const carlosImg = assets.faceOpen || assets.player;
@@ -125,20 +248,26 @@ const InvadersEngine = (function () {
             if (img) {
                 ctx.drawImage(img, e.x, e.y, e.width, e.height);
             } else {
-                ctx.fillStyle = 'red';
+                ctx.fillStyle = window.GhostRegistry.get(e.type).color;
                 ctx.fillRect(e.x, e.y, e.width, e.height);
             }
         });
+
+        // Particles and score popups go over everything
+        effects.draw(ctx);
+        ctx.restore();
     }
 
     function shoot() {
-        if (!isRunning) return;
+        if (!isRunning || isPaused) return;
         bullets.push({ x: player.x + player.width / 2 - 2, y: player.y, width: 4, height: 10 });
+        window.AudioManager.play('laser');
     }
 
     function move(dir) {
+        if (isPaused) return;
         player.x += dir * player.speed;
-        player.x = Math.max(0, Math.min(canvas.width - player.width, player.x));
+        player.x = Math.max(0, Math.min(getSize().width - player.width, player.x));
     }
 
     function updateHUD() {
@@ -146,12 +275,35 @@ const InvadersEngine = (function () {
         if (scoreEl) scoreEl.innerText = score;
     }
 
+    // Pausing only holds update(); nothing here is timed, so resuming can't jump
+    function pause() {
+        if (!isRunning || isPaused) return false;
+        isPaused = true;
+        window.MusicSequencer.pause();
+        return true;
+    }
+
+    function resume() {
+        if (!isPaused) return false;
+        isPaused = false;
+        window.MusicSequencer.resume();
+        return true;
+    }
+
+    function stop() {
+        isRunning = false;
+        isPaused = false;
+        window.MusicSequencer.stop();
+        window.InputHandler.setSwipeEnabled(true);
+    }
+
     function gameOver() {
         isRunning = false;
-        if (window.showGameOver) window.showGameOver(score, "Invasion Successful... for the bugs.");
+        window.MusicSequencer.stop();
+        if (window.showGameOver) window.showGameOver(score, "Invasion Successful... for the bugs.", wave);
     }
 
-    return { init, update, draw, shoot, move, stop: () => isRunning = false };
+    return { init, update, draw, shoot, move, pause, resume, isPaused: () => isPaused, stop };
 })();
 
 window.InvadersEngine = InvadersEngine;
@@ -0,0 +1,557 @@
+/**
+ * LevelEditor module for drawing Adventure mazes in the browser.
+ *
+ * The maze is edited as map rows in the level file legend (see LevelLoader),
+ * so whatever validates here loads the same way from a level file. Levels
+ * are saved as JSON:
+ *
+ *   {
+ *     settings: { name: 'My Level', ghosts: 4, ghostSpeed: 1 },
+ *     map: ['###############', '#o.....#.....o#', ...]
+ *   }
+ *
+ * Runs as an engine of game.js: update() and draw() are called every frame
+ * while the editor is the current engine.
+ *
+ * @module LevelEditor
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let CanvasManager, LevelLoader, GameEngine, Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    CanvasManager = window.CanvasManager;
+    LevelLoader = window.LevelLoader;
+    GameEngine = window.GameEngine;
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    CanvasManager = require('./canvasManager');
+    LevelLoader = require('./levelLoader');
+    GameEngine = require('./gameEngine');
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('LevelEditor');
+
+  // Brushes, in toolbar order: map symbol, button label and cell colour
+  const TOOLS = [
+    { symbol: '#', label: 'WALL', color: '#3657a7' },
+    { symbol: ' ', label: 'PATH', color: '#ffffff' },
+    { symbol: '.', label: 'DOT', color: '#ffffff' },
+    { symbol: 'o', label: 'POWER', color: '#ffffff' },
+    { symbol: 'P', label: 'PLAYER', color: '#ffe600' },
+    { symbol: 'G', label: 'GHOST', color: '#ff5c8a' },
+    { symbol: 'H', label: 'HOUSE', color: '#d9d9d9' },
+    { symbol: 'T', label: 'TUNNEL', color: '#36a794' }
+  ];
+
+  // Size of the blank board the editor starts with when there's no maze to open
+  const BLANK_ROWS = 13;
+  const BLANK_COLS = 15;
+
+  // Undo steps kept
+  const MAX_HISTORY = 100;
+
+  // Callbacks supplied by the page
+  let options = {};
+
+  const editor = {
+    isOpen: false,
+    isPlayTesting: false,
+    map: null, // Rows of map symbols, as arrays of characters
+    settings: null, // Level settings (name, ghosts, ghostSpeed...)
+    tool: '#',
+    isMirrored: false,
+    undoStack: [],
+    redoStack: [],
+    strokeStart: null, // Snapshot taken when the current stroke began
+    hoverCell: null,
+    error: null // Why the level can't be played, or null if it can
+  };
+
+  /**
+   * Wire up the toolbar and canvas painting.
+   * @param {Object} [settings] - Callbacks.
+   * @param {Function} [settings.getAssets] - Returns the loaded game assets.
+   * @param {Function} [settings.onPlayTest] - Called before a play-test starts, to hand the canvas to GameEngine.
+   * @param {Function} [settings.onReturn] - Called after a play-test ends, to hand the canvas back to the editor.
+   */
+  function initialize(settings = {}) {
+    options = settings;
+
+    const brushes = document.getElementById('editor-brushes');
+    TOOLS.forEach(tool => {
+      const button = document.createElement('button');
+      button.className = 'neo-btn editor-small-btn editor-tool-btn';
+      button.dataset.symbol = tool.symbol;
+      button.textContent = tool.label;
+      button.addEventListener('click', () => selectTool(tool.symbol));
+      brushes.appendChild(button);
+    });
+    selectTool(editor.tool);
+
+    document.getElementById('editor-mirror').addEventListener('click', () => {
+      editor.isMirrored = !editor.isMirrored;
+      updateToolbar();
+    });
+    document.getElementById('editor-undo').addEventListener('click', undo);
+    document.getElementById('editor-redo').addEventListener('click', redo);
+    document.getElementById('editor-clear').addEventListener('click', () => {
+      pushHistory(snapshot());
+      editor.map = createBlankMap(editor.map.length, editor.map[0].length);
+      validate();
+    });
+
+    const nameInput = document.getElementById('editor-name');
+    nameInput.addEventListener('input', () => {
+      editor.settings.name = nameInput.value.trim() || LevelLoader.DEFAULT_SETTINGS.name;
+    });
+
+    document.getElementById('editor-playtest').addEventListener('click', playTest);
+    document.getElementById('editor-return').addEventListener('click', returnFromPlayTest);
+    document.getElementById('editor-export').addEventListener('click', exportToFile);
+
+    const importInput = document.getElementById('editor-import-input');
+    document.getElementById('editor-import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+
+      importFromFile(file).catch(error => {
+        log.error('Could not import level:', error);
+        alert(`Could not import level: ${error.message}`);
+      });
+    });
+
+    // Painting
+    const canvas = document.getElementById('gameCanvas');
+    canvas.addEventListener('pointerdown', (event) => {
+      if (!isEditing()) return;
+      event.preventDefault();
+      canvas.setPointerCapture(event.pointerId);
+      editor.strokeStart = snapshot();
+      paintAt(event);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (!isEditing()) return;
+      editor.hoverCell = getCellAt(event);
+      if (editor.strokeStart) paintAt(event);
+    });
+    const endStroke = () => {
+      if (!editor.strokeStart) return;
+      // Strokes that didn't change anything don't need an undo step
+      if (editor.strokeStart.join('\n') !== snapshot().join('\n')) {
+        pushHistory(editor.strokeStart);
+        validate();
+      }
+      editor.strokeStart = null;
+    };
+    canvas.addEventListener('pointerup', endStroke);
+    canvas.addEventListener('pointercancel', endStroke);
+    canvas.addEventListener('pointerleave', () => {
+      editor.hoverCell = null;
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y
+    window.addEventListener('keydown', (event) => {
+      if (!isEditing() || !(event.ctrlKey || event.metaKey)) return;
+      if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        undo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        redo();
+      } else {
+        return;
+      }
+      event.preventDefault();
+    });
+  }
+
+  /**
+   * Check whether the editor is showing the maze for painting.
+   * @returns {boolean} True while editing (not play-testing)
+   */
+  function isEditing() {
+    return editor.isOpen && !editor.isPlayTesting;
+  }
+
+  /**
+   * Build a board walled in on every side with empty paths inside.
+   * @param {number} rows - Number of rows.
+   * @param {number} cols - Number of columns.
+   * @returns {Array} Rows of map symbols.
+   */
+  function createBlankMap(rows, cols) {
+    const map = [];
+    for (let row = 0; row < rows; row++) {
+      map.push([]);
+      for (let col = 0; col < cols; col++) {
+        const onEdge = row === 0 || row === rows - 1 || col === 0 || col === cols - 1;
+        map[row].push(onEdge ? '#' : ' ');
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Load map rows and settings into the editor, clearing the undo history.
+   * @param {Array<string>} rows - Map rows.
+   * @param {Object} settings - Level settings.
+   */
+  function load(rows, settings) {
+    editor.map = rows.map(row => row.split(''));
+    editor.settings = { ...LevelLoader.DEFAULT_SETTINGS, ...settings };
+    editor.undoStack = [];
+    editor.redoStack = [];
+    document.getElementById('editor-name').value = editor.settings.name;
+    validate();
+  }
+
+  /**
+   * Open the editor. The first time, it starts from the maze GameEngine last
+   * built, or from a blank board if no game has been played yet.
+   */
+  function open() {
+    if (!editor.map) {
+      const level = GameEngine.getLevel();
+      if (level) {
+        load(LevelLoader.toMap(level), level.settings);
+      } else {
+        load(createBlankMap(BLANK_ROWS, BLANK_COLS).map(row => row.join('')), {});
+      }
+    }
+
+    editor.isOpen = true;
+    editor.isPlayTesting = false;
+    document.getElementById('level-editor').classList.remove('hidden');
+    document.getElementById('editor-return').classList.add('hidden');
+    document.querySelector('#level-editor .editor-panel').classList.remove('hidden');
+    document.body.classList.add('editor-active');
+    updateToolbar();
+  }
+
+  /**
+   * Close the editor, ending any play-test. The maze is kept for next time.
+   */
+  function stop() {
+    if (!editor.isOpen) return;
+
+    if (editor.isPlayTesting) GameEngine.stop();
+    editor.isOpen = false;
+    editor.isPlayTesting = false;
+    editor.strokeStart = null;
+    document.getElementById('level-editor').classList.add('hidden');
+    document.body.classList.remove('editor-active');
+  }
+
+  /**
+   * Pick the brush to paint with.
+   * @param {string} symbol - Map symbol of the brush.
+   */
+  function selectTool(symbol) {
+    editor.tool = symbol;
+    updateToolbar();
+  }
+
+  /**
+   * Take a copy of the map for the undo history.
+   * @returns {Array<string>} Map rows.
+   */
+  function snapshot() {
+    return editor.map.map(row => row.join(''));
+  }
+
+  /**
+   * Add an undo step. Any redo steps are dropped, as they no longer follow.
+   * @param {Array<string>} rows - Map rows from before the change.
+   */
+  function pushHistory(rows) {
+    editor.undoStack.push(rows);
+    if (editor.undoStack.length > MAX_HISTORY) editor.undoStack.shift();
+    editor.redoStack = [];
+    updateToolbar();
+  }
+
+  /**
+   * Undo the last change.
+   */
+  function undo() {
+    if (editor.undoStack.length === 0) return;
+    editor.redoStack.push(snapshot());
+    editor.map = editor.undoStack.pop().map(row => row.split(''));
+    validate();
+  }
+
+  /**
+   * Redo the last undone change.
+   */
+  function redo() {
+    if (editor.redoStack.length === 0) return;
+    editor.undoStack.push(snapshot());
+    editor.map = editor.redoStack.pop().map(row => row.split(''));
+    validate();
+  }
+
+  /**
+   * Work out where the board sits on the canvas, the same way GameEngine
+   * lays out its maze.
+   * @returns {Object} Layout {cellSize, offsetX, offsetY}
+   */
+  function getLayout() {
+    const dimensions = CanvasManager.getDimensions();
+    const rows = editor.map.length;
+    const cols = editor.map[0].length;
+    const cellSize = Math.min(dimensions.width, dimensions.height) / Math.max(rows, cols);
+
+    return {
+      cellSize: cellSize,
+      offsetX: (dimensions.width - cols * cellSize) / 2,
+      offsetY: (dimensions.height - rows * cellSize) / 2
+    };
+  }
+
+  /**
+   * Find the cell under a pointer.
+   * @param {PointerEvent} event - Pointer event on the canvas.
+   * @returns {Object|null} The cell {row, col}, or null if off the board
+   */
+  function getCellAt(event) {
+    const canvas = event.target;
+    const rect = canvas.getBoundingClientRect();
+    const dimensions = CanvasManager.getDimensions();
+    const x = (event.clientX - rect.left) * dimensions.width / rect.width;
+    const y = (event.clientY - rect.top) * dimensions.height / rect.height;
+
+    const { cellSize, offsetX, offsetY } = getLayout();
+    const row = Math.floor((y - offsetY) / cellSize);
+    const col = Math.floor((x - offsetX) / cellSize);
+
+    if (row < 0 || row >= editor.map.length || col < 0 || col >= editor.map[0].length) return null;
+    return { row, col };
+  }
+
+  /**
+   * Paint the cell under a pointer with the current brush, and its mirror
+   * image when mirroring is on. There's only one player spawn, so painting
+   * one moves it (and it isn't mirrored).
+   * @param {PointerEvent} event - Pointer event on the canvas.
+   */
+  function paintAt(event) {
+    const cell = getCellAt(event);
+    if (!cell) return;
+
+    if (editor.tool === 'P') {
+      editor.map.forEach(row => {
+        row.forEach((symbol, col) => {
+          if (symbol === 'P') row[col] = ' ';
+        });
+      });
+      editor.map[cell.row][cell.col] = 'P';
+      return;
+    }
+
+    editor.map[cell.row][cell.col] = editor.tool;
+    if (editor.isMirrored) {
+      editor.map[cell.row][editor.map[0].length - 1 - cell.col] = editor.tool;
+    }
+  }
+
+  /**
+   * Check the maze with LevelLoader, the same checks a level file gets.
+   * @returns {Object|null} The parsed level, or null if it isn't playable
+   */
+  function validate() {
+    let level = null;
+    try {
+      level = LevelLoader.parse(LevelLoader.format(editor.settings, snapshot()), 'Level');
+      editor.error = null;
+    } catch (error) {
+      editor.error = error.message;
+    }
+    updateToolbar();
+    return level;
+  }
+
+  /**
+   * Reflect the editor state in the toolbar.
+   */
+  function updateToolbar() {
+    if (typeof document === 'undefined') return;
+
+    document.querySelectorAll('.editor-tool-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.symbol === editor.tool);
+    });
+    document.getElementById('editor-mirror').textContent = `MIRROR: ${editor.isMirrored ? 'ON' : 'OFF'}`;
+    document.getElementById('editor-undo').disabled = editor.undoStack.length === 0;
+    document.getElementById('editor-redo').disabled = editor.redoStack.length === 0;
+
+    const status = document.getElementById('editor-status');
+    status.textContent = editor.error ? editor.error : 'Level is playable';
+    status.classList.toggle('error', !!editor.error);
+    document.getElementById('editor-playtest').disabled = !!editor.error;
+  }
+
+  /**
+   * Play the maze in GameEngine. The editor comes back when the player
+   * presses BACK TO EDITOR.
+   */
+  function playTest() {
+    const level = validate();
+    if (!level) return;
+
+    editor.isPlayTesting = true;
+    editor.strokeStart = null;
+    document.querySelector('#level-editor .editor-panel').classList.add('hidden');
+    document.getElementById('editor-return').classList.remove('hidden');
+    document.body.classList.remove('editor-active');
+
+    if (options.onPlayTest) options.onPlayTest();
+    GameEngine.initialize(options.getAssets ? options.getAssets() : null, { level: level });
+  }
+
+  /**
+   * End a play-test and go back to editing.
+   */
+  function returnFromPlayTest() {
+    GameEngine.stop();
+    document.getElementById('game-over').classList.add('hidden');
+    document.body.classList.remove('game-active');
+    if (options.onReturn) options.onReturn();
+    open();
+  }
+
+  /**
+   * Download the level as JSON.
+   */
+  function exportToFile() {
+    const data = { settings: editor.settings, map: snapshot() };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const fileName = editor.settings.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    link.href = url;
+    link.download = `${fileName || 'level'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read a level from a JSON file. Levels that don't validate yet can still
+   * be imported and fixed in the editor.
+   * @param {File} file - The file chosen by the user.
+   * @returns {Promise} Resolves once the level is loaded
+   */
+  function importFromFile(file) {
+    return file.text().then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+
+      const symbols = TOOLS.map(tool => tool.symbol);
+      const map = data && data.map;
+      const isValid = Array.isArray(map) && map.length > 0 &&
+        map.every(row => typeof row === 'string' && row.length === map[0].length && row.length > 0 &&
+          row.split('').every(symbol => symbols.includes(symbol)));
+      if (!isValid) {
+        throw new Error(`${file.name} has no map, or its rows differ in width or use unknown symbols`);
+      }
+
+      pushHistory(snapshot());
+      const undoStack = editor.undoStack;
+      load(map, data.settings || {});
+      // Importing can be undone like any other change
+      editor.undoStack = undoStack;
+      updateToolbar();
+    });
+  }
+
+  /**
+   * Nothing to simulate; painting happens in the pointer handlers.
+   */
+  function update() {}
+
+  /**
+   * Draw the board, with the cell under the pointer highlighted.
+   */
+  function draw() {
+    if (!isEditing()) return;
+
+    const canvas = document.getElementById('gameCanvas');
+    const ctx = canvas.getContext('2d');
+    const { cellSize, offsetX, offsetY } = getLayout();
+
+    ctx.fillStyle = '#f4f4f4';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const colors = {};
+    TOOLS.forEach(tool => {
+      colors[tool.symbol] = tool.color;
+    });
+
+    editor.map.forEach((cells, row) => {
+      cells.forEach((symbol, col) => {
+        const x = offsetX + col * cellSize;
+        const y = offsetY + row * cellSize;
+        const centerX = x + cellSize / 2;
+        const centerY = y + cellSize / 2;
+
+        ctx.fillStyle = colors[symbol];
+        ctx.fillRect(x, y, cellSize, cellSize);
+        ctx.strokeStyle = '#cccccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, cellSize, cellSize);
+
+        if (symbol === '.' || symbol === 'o') {
+          ctx.fillStyle = symbol === 'o' ? '#ff5c8a' : '#000000';
+          ctx.beginPath();
+          ctx.arc(centerX, centerY, cellSize * (symbol === 'o' ? 0.25 : 0.1), 0, Math.PI * 2);
+          ctx.fill();
+        } else if (symbol === 'P' || symbol === 'G' || symbol === 'T') {
+          ctx.fillStyle = '#000000';
+          ctx.font = `900 ${Math.floor(cellSize * 0.6)}px sans-serif`;
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(symbol, centerX, centerY);
+        }
+      });
+    });
+
+    // Outline the cell(s) the brush would paint
+    const hover = editor.hoverCell;
+    if (hover) {
+      const cols = [hover.col];
+      if (editor.isMirrored && editor.tool !== 'P') cols.push(editor.map[0].length - 1 - hover.col);
+
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = 3;
+      cols.forEach(col => {
+        ctx.strokeRect(offsetX + col * cellSize, offsetY + hover.row * cellSize, cellSize, cellSize);
+      });
+    }
+  }
+
+  // Export functions for use in browser or tests
+  exports.TOOLS = TOOLS;
+  exports.initialize = initialize;
+  exports.open = open;
+  exports.stop = stop;
+  exports.update = update;
+  exports.draw = draw;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.LevelEditor = {}) : {});
@@ -0,0 +1,366 @@
+/**
+ * LevelLoader module for reading Adventure levels from ASCII-art level files.
+ *
+ * A level file has an optional header of `key: value` settings, a `---`
+ * separator, and the map. Lines starting with `;` are comments.
+ *
+ *   ; The Original
+ *   name: The Original
+ *   ghosts: 4
+ *   ghostSpeed: 1
+ *   ---
+ *   ###############
+ *   #o.....#.....o#
+ *   ...
+ *
+ * Map legend:
+ *   #  wall
+ *   .  path with a pellet
+ *   o  path with a power pellet
+ *      (space) path without a pellet
+ *   P  player spawn
+ *   G  ghost spawn (one for each ghost in the `ghosts` setting)
+ *   H  ghost house
+ *   T  tunnel exit (must sit on the edge of the map, opposite another T)
+ *
+ * @module LevelLoader
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let MazeGenerator;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    MazeGenerator = window.MazeGenerator;
+  } else {
+    // Node.js (Jest) environment
+    MazeGenerator = require('./mazeGenerator');
+  }
+
+  // Pellet layer values, shared with GameEngine
+  const PELLET = {
+    NONE: 0,
+    DOT: 1,
+    POWER: 2
+  };
+
+  // Settings a level file may define, with their defaults
+  const DEFAULT_SETTINGS = {
+    name: 'Untitled',
+    ghosts: 4,         // Number of ghosts at the start of the level
+    ghostSpeed: 1      // Multiplier on the normal ghost speed
+  };
+
+  // Parsed levels, keyed by URL
+  const cache = {};
+
+  /**
+   * Convert a setting value to a number when it looks like one.
+   * @param {string} value - Raw value from the file.
+   * @returns {number|string} The converted value.
+   */
+  function parseValue(value) {
+    const trimmed = value.trim();
+    return trimmed !== '' && !isNaN(Number(trimmed)) ? Number(trimmed) : trimmed;
+  }
+
+  /**
+   * Parse the text of a level file.
+   * @param {string} text - Contents of the level file.
+   * @param {string} [source] - Where the text came from, for error messages.
+   * @returns {Object} The level {name, settings, grid, pellets, playerSpawn,
+   *   ghostSpawns, ghostHouse, tunnels}.
+   */
+  function parse(text, source = 'level') {
+    const lines = text.replace(/\r/g, '').split('\n');
+    const hasHeader = lines.some(line => line.trim() === '---');
+    const settings = { ...DEFAULT_SETTINGS };
+    const mapLines = [];
+    let inMap = !hasHeader;
+
+    lines.forEach((line, index) => {
+      if (line.trim().startsWith(';')) return;
+
+      if (!inMap) {
+        if (line.trim() === '') return;
+        if (line.trim() === '---') {
+          inMap = true;
+          return;
+        }
+
+        const match = line.match(/^\s*(\w+)\s*:(.*)$/);
+        if (!match) {
+          throw new Error(`${source}: invalid setting on line ${index + 1}: "${line}"`);
+        }
+        settings[match[1]] = parseValue(match[2]);
+        return;
+      }
+
+      mapLines.push(line);
+    });
+
+    // Ignore blank lines around the map
+    while (mapLines.length > 0 && mapLines[0].trim() === '') mapLines.shift();
+    while (mapLines.length > 0 && mapLines[mapLines.length - 1].trim() === '') mapLines.pop();
+
+    if (mapLines.length === 0) {
+      throw new Error(`${source}: the map is empty`);
+    }
+
+    const width = mapLines[0].length;
+    const level = {
+      name: String(settings.name),
+      settings: settings,
+      grid: [],
+      pellets: [],
+      playerSpawn: null,
+      ghostSpawns: [],
+      ghostHouse: [],
+      tunnels: []
+    };
+
+    mapLines.forEach((line, row) => {
+      if (line.length !== width) {
+        throw new Error(`${source}: map row ${row + 1} is ${line.length} wide, expected ${width}`);
+      }
+
+      level.grid.push([]);
+      level.pellets.push([]);
+
+      for (let col = 0; col < width; col++) {
+        const symbol = line[col];
+        const cell = { row, col };
+        let isWall = false;
+        let pellet = PELLET.NONE;
+
+        switch (symbol) {
+          case '#':
+            isWall = true;
+            break;
+          case '.':
+            pellet = PELLET.DOT;
+            break;
+          case 'o':
+            pellet = PELLET.POWER;
+            break;
+          case ' ':
+            break;
+          case 'P':
+            if (level.playerSpawn) {
+              throw new Error(`${source}: more than one player spawn (P)`);
+            }
+            level.playerSpawn = cell;
+            break;
+          case 'G':
+            level.ghostSpawns.push(cell);
+            level.ghostHouse.push(cell);
+            break;
+          case 'H':
+            level.ghostHouse.push(cell);
+            break;
+          case 'T':
+            level.tunnels.push(cell);
+            break;
+          default:
+            throw new Error(`${source}: unknown map symbol "${symbol}" at row ${row + 1}, column ${col + 1}`);
+        }
+
+        level.grid[row].push(isWall ? 1 : 0);
+        level.pellets[row].push(pellet);
+      }
+    });
+
+    validate(level, source);
+    return level;
+  }
+
+  /**
+   * Check that a parsed level is playable.
+   * @param {Object} level - Parsed level.
+   * @param {string} source - Where the level came from, for error messages.
+   */
+  function validate(level, source) {
+    const rows = level.grid.length;
+    const cols = level.grid[0].length;
+
+    if (!level.playerSpawn) {
+      throw new Error(`${source}: no player spawn (P)`);
+    }
+    if (level.ghostSpawns.length === 0) {
+      throw new Error(`${source}: no ghost spawn (G)`);
+    }
+    // Each ghost starts on its own spawn, so there must be enough of them
+    const ghosts = Number(level.settings.ghosts);
+    if (ghosts > level.ghostSpawns.length) {
+      throw new Error(`${source}: ${ghosts} ghosts need ${ghosts} ghost spawns (G), found ${level.ghostSpawns.length}`);
+    }
+
+    // Open cells on the edge lead off the map, so they must be tunnel exits
+    level.grid.forEach((cells, row) => {
+      cells.forEach((cell, col) => {
+        const onEdge = row === 0 || row === rows - 1 || col === 0 || col === cols - 1;
+        const isTunnel = level.tunnels.some(tunnel => tunnel.row === row && tunnel.col === col);
+        if (onEdge && cell === 0 && !isTunnel) {
+          throw new Error(`${source}: open cell on the edge at row ${row + 1}, column ${col + 1} must be a wall or a tunnel (T)`);
+        }
+      });
+    });
+
+    // Every tunnel exit needs a partner on the opposite edge
+    level.tunnels.forEach(({ row, col }) => {
+      const partner = getTunnelPartner(level.tunnels, row, col, rows, cols);
+      if (!partner) {
+        throw new Error(`${source}: tunnel at row ${row + 1}, column ${col + 1} has no exit on the opposite edge`);
+      }
+    });
+
+    if (!MazeGenerator.analyze(level.grid).isConnected) {
+      throw new Error(`${source}: some path cells can't be reached`);
+    }
+  }
+
+  /**
+   * Find the tunnel exit on the opposite edge of the map.
+   * @param {Array} tunnels - Tunnel cells {row, col}.
+   * @param {number} row - Row of the tunnel exit.
+   * @param {number} col - Column of the tunnel exit.
+   * @param {number} rows - Map height.
+   * @param {number} cols - Map width.
+   * @returns {Object|null} The partner cell, or null if there is none.
+   */
+  function getTunnelPartner(tunnels, row, col, rows, cols) {
+    let target = null;
+    if (col === 0) target = { row, col: cols - 1 };
+    else if (col === cols - 1) target = { row, col: 0 };
+    else if (row === 0) target = { row: rows - 1, col };
+    else if (row === rows - 1) target = { row: 0, col };
+
+    if (!target) return null;
+    return tunnels.find(cell => cell.row === target.row && cell.col === target.col) || null;
+  }
+
+  /**
+   * Draw a level as map rows, the reverse of parse(). Tunnels and spawns
+   * take precedence over the pellet under them.
+   * @param {Object} level - Level {grid, pellets, playerSpawn, ghostSpawns, ghostHouse, tunnels}.
+   * @returns {Array<string>} Map rows using the legend above.
+   */
+  function toMap(level) {
+    const map = level.grid.map((cells, row) => cells.map((cell, col) => {
+      if (cell !== 0) return '#';
+      const pellet = level.pellets && level.pellets[row] ? level.pellets[row][col] : PELLET.NONE;
+      if (pellet === PELLET.POWER) return 'o';
+      return pellet === PELLET.DOT ? '.' : ' ';
+    }));
+
+    const mark = (cells, symbol) => {
+      (cells || []).forEach(({ row, col }) => {
+        map[row][col] = symbol;
+      });
+    };
+    mark(level.ghostHouse, 'H');
+    mark(level.ghostSpawns, 'G');
+    mark(level.tunnels, 'T');
+    if (level.playerSpawn) mark([level.playerSpawn], 'P');
+
+    return map.map(cells => cells.join(''));
+  }
+
+  /**
+   * Write the text of a level file, the reverse of parse().
+   * @param {Object} settings - Level settings (name, ghosts, ghostSpeed...).
+   * @param {Array<string>} map - Map rows.
+   * @returns {string} Contents of the level file.
+   */
+  function format(settings, map) {
+    const header = Object.keys(settings).map(key => `${key}: ${settings[key]}`);
+    return header.concat('---', map).join('\n') + '\n';
+  }
+
+  /**
+   * Resolve a path relative to the file it was found in.
+   * @param {string} base - URL of the referring file.
+   * @param {string} path - Relative or absolute path.
+   * @returns {string} The resolved URL.
+   */
+  function resolveUrl(base, path) {
+    if (/^([a-z]+:)?\//i.test(path)) return path;
+    const slash = base.lastIndexOf('/');
+    return slash === -1 ? path : base.slice(0, slash + 1) + path;
+  }
+
+  /**
+   * Fetch a text file.
+   * @param {string} url - File URL.
+   * @returns {Promise<string>} The file contents.
+   */
+  function fetchText(url) {
+    return fetch(url).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status}`);
+      }
+      return response.text();
+    });
+  }
+
+  /**
+   * Load and parse a level file. Levels are cached, so loading the same URL
+   * again resolves without another request.
+   * @param {string} url - Level file URL.
+   * @returns {Promise<Object>} The parsed level.
+   */
+  function loadLevel(url) {
+    if (cache[url]) return Promise.resolve(cache[url]);
+
+    return fetchText(url).then(text => {
+      cache[url] = parse(text, url);
+      return cache[url];
+    });
+  }
+
+  /**
+   * Get an already loaded level without waiting.
+   * @param {string} url - Level file URL.
+   * @returns {Object|null} The parsed level, or null if it hasn't been loaded.
+   */
+  function getCachedLevel(url) {
+    return cache[url] || null;
+  }
+
+  /**
+   * Load a campaign file: JSON with an ordered list of level files,
+   * e.g. { "levels": ["level-01.txt", "level-02.txt"] }.
+   * @param {string} url - Campaign file URL.
+   * @returns {Promise<Object>} The campaign {levels: [absolute level URLs]}.
+   */
+  function loadCampaign(url) {
+    return fetchText(url).then(text => {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        throw new Error(`${url}: campaign has no levels`);
+      }
+      return {
+        name: data.name || 'Campaign',
+        levels: data.levels.map(path => resolveUrl(url, path))
+      };
+    });
+  }
+
+  // Export functions for use in browser or tests
+  exports.PELLET = PELLET;
+  exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+  exports.parse = parse;
+  exports.getTunnelPartner = getTunnelPartner;
+  exports.toMap = toMap;
+  exports.format = format;
+  exports.loadLevel = loadLevel;
+  exports.getCachedLevel = getCachedLevel;
+  exports.loadCampaign = loadCampaign;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.LevelLoader = {}) : {});
@@ -0,0 +1,118 @@
+/**
+ * Logger module: leveled logging with per-module filters.
+ *
+ * Only warnings and errors are printed by default. Add `?debug=1` to the URL
+ * to print everything, or `?debug=ghost,player` to print everything from
+ * those modules only (warnings and errors still come from all of them).
+ * @module Logger
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Levels in increasing order of importance
+  const LEVELS = {
+    debug: 0,
+    info: 1,
+    warn: 2,
+    error: 3,
+    silent: 4
+  };
+
+  // Console method each level prints with
+  const METHODS = {
+    debug: 'log',
+    info: 'info',
+    warn: 'warn',
+    error: 'error'
+  };
+
+  // Messages below this level are dropped...
+  let threshold = LEVELS.warn;
+
+  // ...unless they come from one of these modules (lower-case names), null meaning all
+  let verboseModules = null;
+
+  /**
+   * Set what gets printed.
+   * @param {Object} options - Settings.
+   * @param {string} [options.level] - Lowest level printed (debug, info, warn, error or silent).
+   * @param {Array<string>|null} [options.modules] - Modules allowed below the
+   *   default level, or null to apply the level to every module.
+   */
+  function configure(options = {}) {
+    if (options.level in LEVELS) {
+      threshold = LEVELS[options.level];
+    }
+    if (options.modules !== undefined) {
+      verboseModules = options.modules ? options.modules.map(name => name.toLowerCase()) : null;
+    }
+  }
+
+  /**
+   * Read the settings from a URL query string, e.g. "?debug=1" or "?debug=ghost,player".
+   * @param {string} search - Query string.
+   */
+  function configureFromQuery(search) {
+    const value = new URLSearchParams(search).get('debug');
+    if (!value || value === '0') return;
+
+    const isEverything = value === '1' || value === 'true' || value === 'all';
+    configure({
+      level: isEverything ? 'debug' : 'warn',
+      modules: isEverything ? null : value.split(',').map(name => name.trim()).filter(Boolean)
+    });
+  }
+
+  /**
+   * Check whether debug mode was turned on for any module.
+   * @returns {boolean} True if anything below warnings can be printed.
+   */
+  function isDebugEnabled() {
+    return threshold < LEVELS.warn || verboseModules !== null;
+  }
+
+  /**
+   * Check whether a message would be printed, e.g. before building an expensive one.
+   * @param {string} module - Module name.
+   * @param {string} level - Message level.
+   * @returns {boolean} True if it would be printed.
+   */
+  function isEnabled(module, level) {
+    if (LEVELS[level] >= threshold) return true;
+    return verboseModules !== null && LEVELS[level] < LEVELS.silent &&
+      verboseModules.includes(module.toLowerCase());
+  }
+
+  /**
+   * Create a logger for a module.
+   * @param {string} module - Module name, shown before every message.
+   * @returns {Object} Logger with debug, info, warn and error methods.
+   */
+  function create(module) {
+    const logger = {};
+    Object.keys(METHODS).forEach(level => {
+      logger[level] = (...args) => {
+        if (!isEnabled(module, level)) return;
+        console[METHODS[level]](`[${module}]`, ...args);
+      };
+    });
+    return logger;
+  }
+
+  if (typeof window !== 'undefined' && window.location) {
+    configureFromQuery(window.location.search);
+  }
+
+  // Export functions for use in browser or tests
+  exports.LEVELS = LEVELS;
+  exports.configure = configure;
+  exports.configureFromQuery = configureFromQuery;
+  exports.isDebugEnabled = isDebugEnabled;
+  exports.isEnabled = isEnabled;
+  exports.create = create;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.Logger = {}) : {});
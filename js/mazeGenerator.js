@@ -0,0 +1,252 @@
+/**
+ * MazeGenerator module for building seeded, left-right mirrored mazes.
+ * @module MazeGenerator
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let SeededRandom;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    SeededRandom = window.SeededRandom;
+  } else {
+    // Node.js (Jest) environment
+    SeededRandom = require('./seededRandom');
+  }
+
+  // Default layout matches the original hand-made maze
+  const DEFAULT_ROWS = 13;
+  const DEFAULT_COLS = 15;
+  const DEFAULT_LOOP_DENSITY = 0.15;
+  const MIN_SIZE = 5;
+
+  const STEPS = [
+    { row: -1, col: 0 },
+    { row: 1, col: 0 },
+    { row: 0, col: -1 },
+    { row: 0, col: 1 }
+  ];
+
+  /**
+   * Round a size up to the next odd number, with a minimum.
+   * @param {number} value - Requested size.
+   * @returns {number} An odd size of at least MIN_SIZE.
+   */
+  function toOddSize(value) {
+    const size = Math.max(MIN_SIZE, Math.floor(value));
+    return size % 2 === 0 ? size + 1 : size;
+  }
+
+  /**
+   * Get the neighbour of a cell, wrapping around the edges: open edge cells
+   * are tunnel exits that lead to the opposite side.
+   * @param {Array} grid - Maze grid (0 = path, 1 = wall).
+   * @param {number} row - Grid row.
+   * @param {number} col - Grid column.
+   * @param {Object} step - Step {row, col}.
+   * @returns {Object} The neighbouring cell {row, col}.
+   */
+  function neighborOf(grid, row, col, step) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    return {
+      row: (row + step.row + rows) % rows,
+      col: (col + step.col + cols) % cols
+    };
+  }
+
+  /**
+   * Count the open orthogonal neighbours of a cell, including through tunnels.
+   * @param {Array} grid - Maze grid (0 = path, 1 = wall).
+   * @param {number} row - Grid row.
+   * @param {number} col - Grid column.
+   * @returns {number} Number of neighbouring path cells.
+   */
+  function countOpenNeighbors(grid, row, col) {
+    return STEPS.filter(step => {
+      const next = neighborOf(grid, row, col, step);
+      return grid[next.row][next.col] === 0;
+    }).length;
+  }
+
+  /**
+   * Generate a maze. The maze is built on a lattice of odd rows/columns:
+   * a randomised depth-first search carves a spanning tree over the left half,
+   * every change is mirrored onto the right half, dead ends are knocked
+   * through, and extra walls are removed to add loops.
+   * @param {Object} [options] - Generation options.
+   * @param {number|string} [options.seed] - Seed; the same seed always gives the same maze.
+   * @param {number} [options.rows=13] - Grid rows, rounded up to an odd number.
+   * @param {number} [options.cols=15] - Grid columns, rounded up to an odd number.
+   * @param {number} [options.loopDensity=0.15] - Chance (0-1) of removing each remaining inner wall.
+   * @param {number} [options.tunnels=0] - Number of side tunnels linking the left and right edges.
+   * @returns {Object} The maze {grid, seed, rows, cols, loopDensity}.
+   */
+  function generate(options = {}) {
+    const seed = options.seed !== undefined ? options.seed : Date.now();
+    const rows = toOddSize(options.rows || DEFAULT_ROWS);
+    const cols = toOddSize(options.cols || DEFAULT_COLS);
+    const loopDensity = Math.max(0, Math.min(1, options.loopDensity !== undefined ?
+      options.loopDensity : DEFAULT_LOOP_DENSITY));
+    const tunnels = Math.max(0, Math.floor(options.tunnels || 0));
+    const rng = SeededRandom.create(seed);
+
+    const mid = (cols - 1) / 2;
+    const grid = [];
+    for (let row = 0; row < rows; row++) {
+      grid.push(new Array(cols).fill(1));
+    }
+
+    // Every write is mirrored across the vertical axis
+    const carve = (row, col) => {
+      grid[row][col] = 0;
+      grid[row][cols - 1 - col] = 0;
+    };
+
+    // Lattice cells on the left half (including the axis column when it is a lattice column)
+    const latticeCells = [];
+    for (let row = 1; row < rows - 1; row += 2) {
+      for (let col = 1; col <= mid; col += 2) {
+        latticeCells.push({ row, col });
+        carve(row, col);
+      }
+    }
+
+    const isLattice = (row, col) => row >= 1 && row <= rows - 2 && col >= 1 && col <= cols - 2;
+
+    // 1. Spanning tree over the left half (randomised depth-first search)
+    const visited = new Set();
+    const keyOf = (row, col) => `${row},${col}`;
+    const stack = [latticeCells[0]];
+    visited.add(keyOf(latticeCells[0].row, latticeCells[0].col));
+
+    while (stack.length > 0) {
+      const current = stack[stack.length - 1];
+      const unvisited = rng.shuffle(STEPS.slice()).filter(step => {
+        const row = current.row + step.row * 2;
+        const col = current.col + step.col * 2;
+        return isLattice(row, col) && col <= mid && !visited.has(keyOf(row, col));
+      });
+
+      if (unvisited.length === 0) {
+        stack.pop();
+        continue;
+      }
+
+      const step = unvisited[0];
+      const next = { row: current.row + step.row * 2, col: current.col + step.col * 2 };
+      carve(current.row + step.row, current.col + step.col);
+      visited.add(keyOf(next.row, next.col));
+      stack.push(next);
+    }
+
+    // With an even axis column the halves only meet through a carved axis wall
+    if (mid % 2 === 0) {
+      const axisRows = [];
+      for (let row = 1; row < rows - 1; row += 2) axisRows.push(row);
+      carve(rng.pick(axisRows), mid);
+    }
+
+    // 2. Remove dead ends by opening a wall towards another lattice cell
+    rng.shuffle(latticeCells).forEach(cell => {
+      if (countOpenNeighbors(grid, cell.row, cell.col) > 1) return;
+
+      const candidates = STEPS.filter(step => {
+        return grid[cell.row + step.row][cell.col + step.col] === 1 &&
+          isLattice(cell.row + step.row * 2, cell.col + step.col * 2);
+      });
+      if (candidates.length === 0) return;
+
+      // Prefer joining two dead ends so fewer walls need to go
+      const deadEndPartners = candidates.filter(step =>
+        countOpenNeighbors(grid, cell.row + step.row * 2, cell.col + step.col * 2) === 1);
+      const step = rng.pick(deadEndPartners.length > 0 ? deadEndPartners : candidates);
+      carve(cell.row + step.row, cell.col + step.col);
+    });
+
+    // 3. Add loops by removing some of the remaining inner walls
+    if (loopDensity > 0) {
+      for (let row = 1; row < rows - 1; row++) {
+        for (let col = 1; col <= mid; col++) {
+          // Walls between two lattice cells sit on exactly one odd coordinate
+          const betweenCells = (row % 2 === 1) !== (col % 2 === 1);
+          if (!betweenCells || grid[row][col] === 0) continue;
+          if (rng.next() < loopDensity) carve(row, col);
+        }
+      }
+    }
+
+    // 4. Open side tunnels on lattice rows; the mirror opens the matching exit
+    const tunnelRows = [];
+    for (let row = 3; row < rows - 3; row += 2) tunnelRows.push(row);
+    rng.shuffle(tunnelRows).slice(0, tunnels).forEach(row => carve(row, 0));
+
+    const report = analyze(grid);
+    if (!report.isConnected || report.deadEnds.length > 0 || !report.isMirrored) {
+      throw new Error(`Maze generation failed for seed "${seed}"`);
+    }
+
+    return { grid, seed, rows, cols, loopDensity };
+  }
+
+  /**
+   * Check a grid for the properties generated mazes guarantee.
+   * @param {Array} grid - Maze grid (0 = path, 1 = wall).
+   * @returns {Object} Report {isConnected, deadEnds, isMirrored, pathCount}.
+   */
+  function analyze(grid) {
+    const rows = grid.length;
+    const cols = rows > 0 ? grid[0].length : 0;
+    const deadEnds = [];
+    let start = null;
+    let pathCount = 0;
+    let isMirrored = true;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (grid[row][col] !== grid[row][cols - 1 - col]) isMirrored = false;
+        if (grid[row][col] !== 0) continue;
+
+        pathCount++;
+        if (!start) start = { row, col };
+        if (countOpenNeighbors(grid, row, col) < 2) deadEnds.push({ row, col });
+      }
+    }
+
+    // Flood fill from the first path cell
+    let reached = 0;
+    if (start) {
+      const seen = new Set([`${start.row},${start.col}`]);
+      const queue = [start];
+      for (let i = 0; i < queue.length; i++) {
+        const cell = queue[i];
+        reached++;
+        STEPS.forEach(step => {
+          const { row, col } = neighborOf(grid, cell.row, cell.col, step);
+          const key = `${row},${col}`;
+          if (grid[row][col] !== 0 || seen.has(key)) return;
+          seen.add(key);
+          queue.push({ row, col });
+        });
+      }
+    }
+
+    return {
+      isConnected: pathCount > 0 && reached === pathCount,
+      deadEnds,
+      isMirrored,
+      pathCount
+    };
+  }
+
+  // Export functions for use in browser or tests
+  exports.generate = generate;
+  exports.analyze = analyze;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.MazeGenerator = {}) : {});
@@ -6,6 +6,7 @@ const MindEngine = (function () {
     let canvas, ctx, container;
     let strikes = 0;
     let isRunning = false;
+    let isPaused = false;
     let inputEl;
 
     const clues = [
@@ -43,15 +44,20 @@ const MindEngine = (function () {
         });
 
         isRunning = true;
+        isPaused = false;
         updateStrikes();
+        window.MusicSequencer.play('mind');
     }
 
     function checkGuess(val) {
+        if (!isRunning || isPaused) return;
         const guess = val.toLowerCase().trim();
         const feedback = document.getElementById('mind-feedback');
 
         if (guess === 'nothing' || guess === 'nada' || guess === 'nedad' || guess === '' || guess === 'nothing at all') {
             feedback.innerText = "CORRECT. ABSOLUTELY NOTHING.";
+            window.AudioManager.play('correct');
+            finish();
             feedback.style.color = "var(--secondary-color)";
             setTimeout(() => {
                 if (window.showGameOver) window.showGameOver(999, "You have entered the void of my thoughts.");
@@ -60,11 +66,14 @@ const MindEngine = (function () {
             strikes++;
             const randomClue = clues[Math.floor(Math.random() * clues.length)];
             feedback.innerText = `WRONG. CLUE: ${randomClue}`;
+            window.AudioManager.play('wrong');
+            window.MusicSequencer.setIntensity(strikes / 3);
             feedback.style.color = "var(--accent-color)";
             updateStrikes();
             inputEl.value = '';
 
             if (strikes >= 3) {
+                finish();
                 setTimeout(() => {
                     if (window.showGameOver) window.showGameOver(0, "My brain is a fortress. You failed.");
                 }, 500);
@@ -72,6 +81,14 @@ const MindEngine = (function () {
         }
     }
 
+    // The game is decided: lock the guess box so no more guesses count
+    function finish() {
+        isRunning = false;
+        window.MusicSequencer.stop();
+        inputEl.disabled = true;
+        inputEl.blur();
+    }
+
     function updateStrikes() {
         const strCont = document.getElementById('strikes-container');
         if (strCont) {
@@ -79,13 +96,37 @@ const MindEngine = (function () {
         }
     }
 
+    // Pausing locks the guess box; the game has no clock to freeze
+    function pause() {
+        if (!isRunning || isPaused) return false;
+        isPaused = true;
+        window.MusicSequencer.pause();
+        if (inputEl) {
+            inputEl.disabled = true;
+            inputEl.blur();
+        }
+        return true;
+    }
+
+    function resume() {
+        if (!isPaused) return;
+        isPaused = false;
+        window.MusicSequencer.resume();
+        if (inputEl) {
+            inputEl.disabled = false;
+            inputEl.focus();
+        }
+    }
+
     function stop() {
         isRunning = false;
+        isPaused = false;
+        window.MusicSequencer.stop();
         if (container) container.remove();
         canvas.style.display = 'block';
     }
 
-    return { init, stop, update: () => { }, draw: () => { } };
+    return { init, stop, pause, resume, isPaused: () => isPaused, update: () => { }, draw: () => { } };
 })();
 
 window.MindEngine = MindEngine;
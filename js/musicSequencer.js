@@ -0,0 +1,306 @@
+/**
+ * MusicSequencer module: chiptune background music from pattern data,
+ * played on WebAudio oscillators through AudioManager's music channel.
+ *
+ * Each game has a theme. Its intensity (0 to 1, set by the game) speeds the
+ * tempo up and brings in extra parts, like the march in Space Invaders
+ * getting faster as the invaders thin out.
+ * @module MusicSequencer
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let AudioManager, Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    AudioManager = window.AudioManager;
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    AudioManager = require('./audioManager');
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('MusicSequencer');
+
+  // Steps per beat: every pattern step is a sixteenth note
+  const STEPS_PER_BEAT = 4;
+
+  // How often the scheduler wakes up (ms) and how far ahead it schedules notes (s)
+  const SCHEDULE_INTERVAL = 25;
+  const LOOKAHEAD = 0.1;
+
+  // Noise hit used for 'x' steps: a short, bright tick
+  const HIT = { from: 9000, to: 5000, duration: 0.04 };
+
+  /**
+   * Themes. Tempo goes from bpm at intensity 0 to maxBpm at intensity 1.
+   * Each track loops its own pattern, one token per step:
+   *  - a note such as 'A4' or 'C#3', '.' for a rest, or 'x' for a noise hit
+   *  - wave: oscillator type, or 'noise'
+   *  - volume: peak gain of each note
+   *  - gate: how much of a step a note lasts (1 fills it)
+   *  - minIntensity: the track only plays from this intensity up
+   */
+  const THEMES = {
+    adventure: {
+      bpm: 120,
+      maxBpm: 170,
+      tracks: [
+        {
+          wave: 'square', volume: 0.1, gate: 0.9, minIntensity: 0,
+          pattern: 'A4 . C5 . E5 . C5 . A4 . C5 . E5 . D5 . ' +
+            'G4 . B4 . D5 . B4 . G4 . B4 . D5 . C5 . ' +
+            'F4 . A4 . C5 . A4 . F4 . A4 . C5 . B4 . ' +
+            'E4 . G#4 . B4 . G#4 . E4 . G#4 . B4 . . .'
+        },
+        {
+          wave: 'triangle', volume: 0.3, gate: 1.8, minIntensity: 0,
+          pattern: 'A2 . . . A2 . . . A3 . A2 . . . A2 . ' +
+            'G2 . . . G2 . . . G3 . G2 . . . G2 . ' +
+            'F2 . . . F2 . . . F3 . F2 . . . F2 . ' +
+            'E2 . . . E2 . . . E3 . E2 . . . E2 .'
+        },
+        {
+          wave: 'noise', volume: 0.12, gate: 1, minIntensity: 0.25,
+          pattern: '. . x . . . x . . . x . . . x x'
+        },
+        {
+          wave: 'square', volume: 0.05, gate: 0.5, minIntensity: 0.6,
+          pattern: 'A5 E5 C5 E5 A5 E5 C5 E5 G5 D5 B4 D5 G5 D5 B4 D5 ' +
+            'F5 C5 A4 C5 F5 C5 A4 C5 E5 B4 G#4 B4 E5 B4 G#4 B4'
+        }
+      ]
+    },
+    invaders: {
+      bpm: 70,
+      maxBpm: 260,
+      tracks: [
+        {
+          // The four-note march, one note per beat
+          wave: 'square', volume: 0.2, gate: 1.5, minIntensity: 0,
+          pattern: 'C3 . . . A#2 . . . G#2 . . . G2 . . .'
+        },
+        {
+          wave: 'noise', volume: 0.1, gate: 1, minIntensity: 0.4,
+          pattern: 'x . . . x . . . x . . . x . . .'
+        },
+        {
+          wave: 'sawtooth', volume: 0.04, gate: 0.5, minIntensity: 0.75,
+          pattern: 'C5 . G4 . A#4 . F4 . G#4 . D#4 . G4 . D4 .'
+        }
+      ]
+    },
+    mind: {
+      bpm: 66,
+      maxBpm: 110,
+      tracks: [
+        {
+          wave: 'sine', volume: 0.15, gate: 3.5, minIntensity: 0,
+          pattern: 'E4 . . . G4 . . . B4 . . . A4 . . . ' +
+            'E4 . . . G4 . . . F#4 . . . D4 . . .'
+        },
+        {
+          wave: 'triangle', volume: 0.2, gate: 7, minIntensity: 0,
+          pattern: 'E2 . . . . . . . C2 . . . . . . . ' +
+            'A1 . . . . . . . B1 . . . . . . .'
+        },
+        {
+          // A clock ticks louder in your head with every wrong guess
+          wave: 'noise', volume: 0.08, gate: 1, minIntensity: 0.3,
+          pattern: 'x . . . . . . . x . . . . . . .'
+        }
+      ]
+    }
+  };
+
+  // Semitones above C of each note letter
+  const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+  let theme = null;
+  let themeName = null;
+  let intensity = 0;
+  let step = 0;
+  let nextStepTime = 0;
+  let timer = null;
+
+  /**
+   * Turn a note name into a frequency.
+   * @param {string} note - Note such as 'A4', 'C#3' or 'Bb2'.
+   * @returns {number|null} Frequency in Hz, or null if it isn't a note.
+   */
+  function noteToFrequency(note) {
+    const match = /^([A-G])([#b]?)(-?\d)$/.exec(note);
+    if (!match) return null;
+
+    const accidental = match[2] === '#' ? 1 : (match[2] === 'b' ? -1 : 0);
+    const midi = 12 * (Number(match[3]) + 1) + NOTE_OFFSETS[match[1]] + accidental;
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /**
+   * Split a pattern string into steps.
+   * @param {string} pattern - Pattern tokens separated by spaces.
+   * @returns {Array<string>} One token per step.
+   */
+  function parsePattern(pattern) {
+    return pattern.trim().split(/\s+/);
+  }
+
+  /**
+   * Get the length of a step at the current intensity.
+   * @returns {number} Seconds per step.
+   */
+  function getStepDuration() {
+    const bpm = theme.bpm + (theme.maxBpm - theme.bpm) * intensity;
+    return 60 / bpm / STEPS_PER_BEAT;
+  }
+
+  /**
+   * Schedule every track's note for one step.
+   * @param {number} index - Step number since the theme started.
+   * @param {number} time - Context time the step starts at.
+   */
+  function playStep(index, time) {
+    const stepDuration = getStepDuration();
+    const output = AudioManager.getMusicOutput();
+
+    theme.tracks.forEach(track => {
+      if (intensity < track.minIntensity) return;
+
+      const token = track.steps[index % track.steps.length];
+      if (token === 'x') {
+        AudioManager.playPart({ noise: true, ...HIT, volume: track.volume }, time, output);
+        return;
+      }
+
+      const frequency = noteToFrequency(token);
+      if (!frequency) return;
+      AudioManager.playPart({
+        wave: track.wave,
+        from: frequency,
+        to: frequency,
+        duration: stepDuration * track.gate,
+        volume: track.volume
+      }, time, output);
+    });
+  }
+
+  /**
+   * Schedule the steps that start within the lookahead window.
+   */
+  function schedule() {
+    const context = AudioManager.getContext();
+    if (!theme || !context || context.state !== 'running') return;
+
+    // Pick up just ahead of now after a pause or a stalled tab
+    if (nextStepTime < context.currentTime) {
+      nextStepTime = context.currentTime + 0.05;
+    }
+
+    while (nextStepTime < context.currentTime + LOOKAHEAD) {
+      playStep(step, nextStepTime);
+      step++;
+      nextStepTime += getStepDuration();
+    }
+  }
+
+  /**
+   * Start the scheduler, unless audio is still locked.
+   */
+  function startTimer() {
+    if (timer || !AudioManager.getContext()) return;
+    timer = setInterval(schedule, SCHEDULE_INTERVAL);
+    schedule();
+  }
+
+  /**
+   * Stop the scheduler. Notes already scheduled still finish.
+   */
+  function stopTimer() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Play a theme from the top at intensity 0. Stays silent while audio is
+   * locked.
+   * @param {string} name - Theme name (adventure, invaders or mind).
+   */
+  function play(name) {
+    const definition = THEMES[name];
+    if (!definition) {
+      log.warn(`Unknown theme: ${name}`);
+      return;
+    }
+
+    stopTimer();
+    theme = {
+      ...definition,
+      tracks: definition.tracks.map(track => ({ ...track, steps: parsePattern(track.pattern) }))
+    };
+    themeName = name;
+    intensity = 0;
+    step = 0;
+    nextStepTime = 0;
+    startTimer();
+    log.debug(`Playing ${name} theme`);
+  }
+
+  /**
+   * Set how intense the music is.
+   * @param {number} value - From 0 (calm) to 1 (flat out).
+   */
+  function setIntensity(value) {
+    intensity = Math.max(0, Math.min(1, Number(value) || 0));
+  }
+
+  /**
+   * Hold the music where it is.
+   */
+  function pause() {
+    stopTimer();
+  }
+
+  /**
+   * Carry on after pause().
+   */
+  function resume() {
+    if (theme) startTimer();
+  }
+
+  /**
+   * Stop the music.
+   */
+  function stop() {
+    stopTimer();
+    theme = null;
+    themeName = null;
+  }
+
+  /**
+   * Get what is playing.
+   * @returns {Object} {theme, intensity, isPlaying}.
+   */
+  function getState() {
+    return { theme: themeName, intensity, isPlaying: !!timer };
+  }
+
+  // Export functions for use in browser or tests
+  exports.THEMES = THEMES;
+  exports.noteToFrequency = noteToFrequency;
+  exports.play = play;
+  exports.setIntensity = setIntensity;
+  exports.pause = pause;
+  exports.resume = resume;
+  exports.stop = stop;
+  exports.getState = getState;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.MusicSequencer = {}) : {});
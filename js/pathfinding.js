@@ -0,0 +1,255 @@
+/**
+ * Pathfinding module for grid-based movement through the maze.
+ * Open cells on the edge of the grid are tunnel exits: stepping off the
+ * edge comes back in on the opposite side.
+ * @module Pathfinding
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  /**
+   * The four grid directions, in the order ties are broken (up, left, down, right).
+   */
+  const DIRECTIONS = [
+    { x: 0, y: -1 },  // Up
+    { x: -1, y: 0 },  // Left
+    { x: 0, y: 1 },   // Down
+    { x: 1, y: 0 }    // Right
+  ];
+
+  /**
+   * Check if a cell is inside the grid and walkable.
+   * @param {Array} grid - Maze grid (0 = path, 1 = wall).
+   * @param {number} row - Grid row.
+   * @param {number} col - Grid column.
+   * @returns {boolean} True if the cell is a path cell.
+   */
+  function isOpen(grid, row, col) {
+    return row >= 0 && row < grid.length &&
+      col >= 0 && col < grid[0].length &&
+      grid[row][col] === 0;
+  }
+
+  /**
+   * Wrap a cell position onto the grid, so positions past one edge come
+   * back in on the opposite edge.
+   * @param {Array} grid - Maze grid.
+   * @param {number} row - Grid row, may be out of bounds.
+   * @param {number} col - Grid column, may be out of bounds.
+   * @returns {Object} The wrapped cell {row, col}.
+   */
+  function wrapCell(grid, row, col) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    return {
+      row: ((row % rows) + rows) % rows,
+      col: ((col % cols) + cols) % cols
+    };
+  }
+
+  /**
+   * Get the cell one step away in a direction, going through tunnels.
+   * @param {Array} grid - Maze grid.
+   * @param {Object} cell - The cell {row, col}.
+   * @param {Object} direction - Direction {x, y}.
+   * @returns {Object} The neighbouring cell {row, col}.
+   */
+  function step(grid, cell, direction) {
+    return wrapCell(grid, cell.row + direction.y, cell.col + direction.x);
+  }
+
+  /**
+   * Check if a step in a direction leads to a path cell.
+   * @param {Array} grid - Maze grid.
+   * @param {Object} cell - The cell {row, col}.
+   * @param {Object} direction - Direction {x, y}.
+   * @returns {boolean} True if the neighbouring cell is walkable.
+   */
+  function canStep(grid, cell, direction) {
+    const next = step(grid, cell, direction);
+    return grid[next.row][next.col] === 0;
+  }
+
+  /**
+   * Get the walkable neighbours of a cell.
+   * @param {Array} grid - Maze grid.
+   * @param {Object} cell - The cell {row, col}.
+   * @returns {Array} Neighbours as {row, col, direction}.
+   */
+  function getNeighbors(grid, cell) {
+    const neighbors = [];
+
+    DIRECTIONS.forEach(direction => {
+      const next = step(grid, cell, direction);
+      if (grid[next.row][next.col] === 0) {
+        neighbors.push({ row: next.row, col: next.col, direction });
+      }
+    });
+
+    return neighbors;
+  }
+
+  /**
+   * Move an entity that has crossed the edge of the maze through a tunnel
+   * to the opposite side. An entity wraps once its centre leaves the maze.
+   * @param {Object} entity - Entity with x, y, width and height.
+   * @param {Object} maze - Maze {grid, cellSize, offsetX, offsetY}.
+   * @returns {boolean} True if the entity was moved.
+   */
+  function wrapEntity(entity, maze) {
+    const { grid, cellSize, offsetX, offsetY } = maze;
+    const mazeWidth = grid[0].length * cellSize;
+    const mazeHeight = grid.length * cellSize;
+    const centerX = entity.x + entity.width / 2;
+    const centerY = entity.y + entity.height / 2;
+    let wrapped = false;
+
+    if (centerX < offsetX) {
+      entity.x += mazeWidth;
+      wrapped = true;
+    } else if (centerX >= offsetX + mazeWidth) {
+      entity.x -= mazeWidth;
+      wrapped = true;
+    }
+
+    if (centerY < offsetY) {
+      entity.y += mazeHeight;
+      wrapped = true;
+    } else if (centerY >= offsetY + mazeHeight) {
+      entity.y -= mazeHeight;
+      wrapped = true;
+    }
+
+    return wrapped;
+  }
+
+  /**
+   * Find the walkable cell closest to the given cell. Used when a target
+   * lands on a wall or outside the grid.
+   * @param {Array} grid - Maze grid.
+   * @param {Object} cell - The cell {row, col}, may be out of bounds.
+   * @returns {Object|null} The closest path cell {row, col}, or null if the grid has none.
+   */
+  function nearestOpenCell(grid, cell) {
+    if (isOpen(grid, cell.row, cell.col)) {
+      return { row: cell.row, col: cell.col };
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let row = 0; row < grid.length; row++) {
+      for (let col = 0; col < grid[row].length; col++) {
+        if (grid[row][col] !== 0) continue;
+
+        const distance = Math.abs(row - cell.row) + Math.abs(col - cell.col);
+        if (distance < bestDistance) {
+          best = { row, col };
+          bestDistance = distance;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Breadth-first search from start to goal.
+   * @param {Array} grid - Maze grid.
+   * @param {Object} start - Start cell {row, col}.
+   * @param {Object} goal - Goal cell {row, col}.
+   * @param {Object} [avoidDirection] - Direction the first step may not take
+   *   (ghosts can't reverse), ignored if it is the only way out.
+   * @returns {Array|null} Cells from the first step up to and including the goal,
+   *   an empty array if start is the goal, or null if the goal is unreachable.
+   */
+  function findPath(grid, start, goal, avoidDirection) {
+    if (start.row === goal.row && start.col === goal.col) return [];
+
+    const cols = grid[0].length;
+    const keyOf = cell => cell.row * cols + cell.col;
+    const cameFrom = new Map();
+    const queue = [];
+
+    let firstSteps = getNeighbors(grid, start);
+    if (avoidDirection && firstSteps.length > 1) {
+      firstSteps = firstSteps.filter(step =>
+        step.direction.x !== avoidDirection.x || step.direction.y !== avoidDirection.y);
+    }
+
+    cameFrom.set(keyOf(start), null);
+    firstSteps.forEach(step => {
+      cameFrom.set(keyOf(step), start);
+      queue.push(step);
+    });
+
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+
+      if (current.row === goal.row && current.col === goal.col) {
+        // Walk back to the start to build the path
+        const path = [];
+        let node = current;
+        while (node && keyOf(node) !== keyOf(start)) {
+          path.unshift({ row: node.row, col: node.col });
+          node = cameFrom.get(keyOf(node));
+        }
+        return path;
+      }
+
+      getNeighbors(grid, current).forEach(next => {
+        const key = keyOf(next);
+        if (cameFrom.has(key)) return;
+        cameFrom.set(key, current);
+        queue.push(next);
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the direction of the first step on the shortest path to a target.
+   * @param {Array} grid - Maze grid.
+   * @param {Object} start - Start cell {row, col}.
+   * @param {Object} target - Target cell {row, col}, snapped to the nearest path cell.
+   * @param {Object} [avoidDirection] - Direction the first step should not take.
+   * @returns {Object|null} Direction {x, y}, or null if there is nowhere to go.
+   */
+  function nextDirection(grid, start, target, avoidDirection) {
+    const goal = nearestOpenCell(grid, target);
+    const path = goal ? findPath(grid, start, goal, avoidDirection) : null;
+
+    if (path && path.length > 0) {
+      // Look the step up among the neighbours, so tunnel steps get the right direction
+      const firstStep = getNeighbors(grid, start).find(next =>
+        next.row === path[0].row && next.col === path[0].col);
+      return { ...firstStep.direction };
+    }
+
+    // Already at the goal (or it's unreachable): keep moving through any exit
+    const exits = getNeighbors(grid, start).filter(step =>
+      !avoidDirection || step.direction.x !== avoidDirection.x || step.direction.y !== avoidDirection.y);
+    if (exits.length > 0) return { ...exits[0].direction };
+
+    const anyExit = getNeighbors(grid, start)[0];
+    return anyExit ? { ...anyExit.direction } : null;
+  }
+
+  // Export functions for use in browser or tests
+  exports.DIRECTIONS = DIRECTIONS;
+  exports.isOpen = isOpen;
+  exports.wrapCell = wrapCell;
+  exports.step = step;
+  exports.canStep = canStep;
+  exports.getNeighbors = getNeighbors;
+  exports.wrapEntity = wrapEntity;
+  exports.nearestOpenCell = nearestOpenCell;
+  exports.findPath = findPath;
+  exports.nextDirection = nextDirection;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.Pathfinding = {}) : {});
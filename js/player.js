@@ -5,16 +5,51 @@
 
 // Use IIFE for browser and Node.js compatibility
 (function() {
-  // Import the CanvasManager
-  let CanvasManager;
+  // Import the CanvasManager, Pathfinding, SpriteAnimation and Logger
+  let CanvasManager, Pathfinding, SpriteAnimation, Logger;
   
   if (typeof window !== 'undefined') {
     // Browser environment
     CanvasManager = window.CanvasManager;
+    Pathfinding = window.Pathfinding;
+    SpriteAnimation = window.SpriteAnimation;
+    Logger = window.Logger;
   } else {
     // Node.js (Jest) environment
     CanvasManager = require('./canvasManager');
+    Pathfinding = require('./pathfinding');
+    SpriteAnimation = require('./spriteAnimation');
+    Logger = require('./logger');
   }
+
+  const log = Logger.create('Player');
+
+  // How close to a cell centre (as a fraction of the cell) a queued turn is taken
+  const CORNERING_TOLERANCE = 0.3;
+
+  // Size of the face's body as a fraction of a maze cell, about the shape of
+  // the face art. The image is drawn at its own proportions but never resizes
+  // the body, so a run plays the same whether or not the image loaded.
+  const SIZE = 0.6;
+  const WIDTH = 0.35;
+
+  // Movement speed in cells per second
+  const SPEED = 5;
+
+  // How far the hitbox sits inside the face on each side, as a fraction of a cell
+  const HITBOX_INSET = 0.05;
+
+  // Cell size used until the player is given a maze
+  const DEFAULT_CELL_SIZE = 40;
+
+  // How far the face tips forward or back when heading down or up (radians)
+  const TILT = Math.PI / 8;
+
+  // Animation clips: a still face while standing, chewing while on the move
+  const CLIPS = {
+    idle: { frames: ['faceClosed'] },
+    chew: { frames: ['faceOpen', 'faceClosed'], frameDuration: 150 }
+  };
   
   /**
    * Player class representing the user's character.
@@ -22,34 +57,17 @@
   class Player {
     /**
      * Create a new Player instance.
-     * @param {Object} assets - The game assets containing faceOpen and faceClosed images.
+     * @param {Object} assets - The game assets containing faceOpen and faceClosed images,
+     *   and optionally the loaded animation clips under `clips.player`.
+     * @param {number} [cellSize=40] - Size of a maze cell in pixels; the player is sized from it.
      */
-    constructor(assets) {
+    constructor(assets, cellSize = DEFAULT_CELL_SIZE) {
       // Store the face images
       this.faceOpen = assets.faceOpen;
       this.faceClosed = assets.faceClosed;
       
-      // Detect if we're on a mobile device for sizing
-      this.isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-      
-      // Scale factor to make player fit better in maze - smaller on mobile
-      this.scaleFactor = this.isMobile ? 0.12 : 0.1875; // 0.12 for mobile, 0.1875 for desktop
-      
-      // Adjust scale further based on screen size for mobile
-      if (this.isMobile) {
-        const screenWidth = window.innerWidth || document.documentElement.clientWidth || document.body.clientWidth;
-        // Make even smaller on tiny screens
-        if (screenWidth < 400) {
-          this.scaleFactor = 0.1;
-        }
-      }
-      
-      // Set dimensions based on the image size with scaling
-      this.width = assets.faceOpen.width * this.scaleFactor;
-      this.height = assets.faceOpen.height * this.scaleFactor;
-      
-      // Log the player size for debugging
-      console.log(`Player size set: ${this.width}x${this.height}, isMobile: ${this.isMobile}`);
+      // Size the face from the maze
+      this.setCellSize(cellSize);
       
       // Get canvas dimensions
       const canvasDimensions = CanvasManager.getDimensions();
@@ -58,74 +76,226 @@
       this.x = canvasDimensions.width / 2 - this.width / 2;
       this.y = canvasDimensions.height / 2 - this.height / 2;
       
-      // Movement speed in pixels per second
-      this.speed = 200;
+      // Movement speed in cells per second
+      this.speed = SPEED;
+
+      // Current movement direction and the turn queued for the next cell centre
+      this.direction = { x: 0, y: 0 };
+      this.nextDirection = { x: 0, y: 0 };
+      this.centeredCell = null; // Cell whose centre was last handled
+
+      // Last direction the player moved in (used by ghosts to predict movement)
+      this.facing = { x: 0, y: 0 };
+      
+      // Death sequence progress, from 0 (alive) to 1 (fully shrunk away)
+      this.deathProgress = 0;
+      
+      // Whether the face is mirrored to look left; kept while moving up or down
+      this.isFacingLeft = false;
       
-      // Animation properties
-      this.mouthOpen = true;
-      this.animationTimer = 0;
-      this.animationInterval = 150; // ms between mouth open/close
+      // Animation clips, built straight from the face images if none were loaded
+      const clips = (assets.clips && assets.clips.player) || SpriteAnimation.buildClips(CLIPS, assets);
+      this.animator = new SpriteAnimation.Animator(clips, 'idle');
+    }
+
+    /**
+     * Get the definitions of the player's animation clips, for AssetManager.loadClips.
+     * @returns {Object} Clip definitions by clip name.
+     */
+    static getClipDefinitions() {
+      return CLIPS;
     }
     
     /**
      * Update the player's position and animation state.
-     * @param {Object} direction - The current movement direction.
+     * @param {Object} direction - The requested movement direction; any non-zero
+     *   direction is queued and applied as soon as the maze allows the turn.
      * @param {number} deltaTime - The time since the last update in milliseconds.
+     * @param {Object} [maze] - The maze {grid, cellSize, offsetX, offsetY} to move through.
      */
-    update(direction, deltaTime) {
+    update(direction, deltaTime, maze) {
       // Use normalized deltaTime to ensure consistent speed across devices
       // This helps prevent faster movement on devices with different framerates
       const normalizedDeltaTime = Math.min(deltaTime, 50); // Cap at 50ms to prevent huge jumps
       
-      // Calculate potential movement distance
-      const distance = this.speed * (normalizedDeltaTime / 1000);
+      // Calculate potential movement distance in pixels
+      const cellSize = maze ? maze.cellSize : this.cellSize;
+      const distance = this.speed * cellSize * (normalizedDeltaTime / 1000);
+
+      // Queue the requested turn; it stays queued until it can be taken
+      if (direction.x !== 0 || direction.y !== 0) {
+        this.nextDirection = { x: direction.x, y: direction.y };
+      }
       
-      // Calculate potential movement in both directions
-      let dx = direction.x * distance;
-      let dy = direction.y * distance;
+      if (maze) {
+        // Cell-aligned movement through the maze corridors
+        this.moveThroughMaze(distance, maze);
+        Pathfinding.wrapEntity(this, maze);
+      } else {
+        // Fallback to free movement if there is no maze
+        this.direction = { ...this.nextDirection };
+        this.x += this.direction.x * distance;
+        this.y += this.direction.y * distance;
+
+        // Keep player within canvas bounds
+        const canvasDimensions = CanvasManager.getDimensions();
+        this.x = Math.max(0, Math.min(this.x, canvasDimensions.width - this.width));
+        this.y = Math.max(0, Math.min(this.y, canvasDimensions.height - this.height));
+      }
+
+      const isMoving = this.direction.x !== 0 || this.direction.y !== 0;
+      if (isMoving) {
+        this.facing = { ...this.direction };
+        if (this.direction.x !== 0) {
+          this.isFacingLeft = this.direction.x < 0;
+        }
+      }
       
-      if (typeof window !== 'undefined' && window.GameEngine && window.GameEngine.isValidMove) {
-        // Use GameEngine's isValidMove function for wall collision
-        if (direction.x !== 0 || direction.y !== 0) {
-          // Save current position
-          const oldX = this.x;
-          const oldY = this.y;
-          
-          // Try to move in x direction
-          if (direction.x !== 0 && window.GameEngine.isValidMove(
-            { x: this.x, y: this.y }, 
-            { x: direction.x, y: 0 }, 
-            distance
-          )) {
-            this.x += direction.x * distance;
+      // Chew while moving, hold still otherwise
+      this.animator.play(isMoving ? 'chew' : 'idle');
+      this.animator.update(normalizedDeltaTime);
+    }
+    
+    /**
+     * Resize the player for a maze cell size, keeping its centre in place.
+     * @param {number} cellSize - Size of a maze cell in pixels.
+     */
+    setCellSize(cellSize) {
+      const centerX = this.x + this.width / 2;
+      const centerY = this.y + this.height / 2;
+
+      this.cellSize = cellSize;
+      this.width = cellSize * WIDTH;
+      this.height = cellSize * SIZE;
+
+      if (this.x !== undefined) {
+        this.x = centerX - this.width / 2;
+        this.y = centerY - this.height / 2;
+      }
+      log.debug(`Player size set: ${this.width}x${this.height} for ${cellSize}px cells`);
+    }
+
+    /**
+     * Stop moving and forget any queued turn, e.g. after being moved to a new spot.
+     */
+    stop() {
+      this.direction = { x: 0, y: 0 };
+      this.nextDirection = { x: 0, y: 0 };
+      this.centeredCell = null;
+    }
+    
+    /**
+     * Move along the maze corridors. The player only turns at a cell centre:
+     * a queued turn is taken on reaching the next centre, or straight away
+     * when within the cornering tolerance of one. Reversing is always instant.
+     * @param {number} distance - Distance to travel this frame in pixels.
+     * @param {Object} maze - The maze {grid, cellSize, offsetX, offsetY}.
+     */
+    moveThroughMaze(distance, maze) {
+      const { grid, cellSize, offsetX, offsetY } = maze;
+      const tolerance = cellSize * CORNERING_TOLERANCE;
+      const queued = this.nextDirection;
+      const hasQueued = queued.x !== 0 || queued.y !== 0;
+      let remaining = distance;
+
+      // Turning around never needs to wait for a cell centre
+      if (hasQueued && queued.x === -this.direction.x && queued.y === -this.direction.y) {
+        this.direction = { ...queued };
+        this.centeredCell = null;
+      }
+
+      // A few iterations are enough even for very fast movement on tiny cells
+      for (let step = 0; step < 8 && remaining > 0; step++) {
+        Pathfinding.wrapEntity(this, maze);
+
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const cell = {
+          row: Math.floor((centerY - offsetY) / cellSize),
+          col: Math.floor((centerX - offsetX) / cellSize)
+        };
+        const cellCenterX = offsetX + (cell.col + 0.5) * cellSize;
+        const cellCenterY = offsetY + (cell.row + 0.5) * cellSize;
+        const cellKey = `${cell.row},${cell.col}`;
+        const isMoving = this.direction.x !== 0 || this.direction.y !== 0;
+        const wantsTurn = hasQueued && (queued.x !== this.direction.x || queued.y !== this.direction.y);
+
+        // Distance still to travel before reaching this cell's centre (negative once past it)
+        const ahead = (cellCenterX - centerX) * this.direction.x + (cellCenterY - centerY) * this.direction.y;
+
+        const snapToCenter = () => {
+          this.x = cellCenterX - this.width / 2;
+          this.y = cellCenterY - this.height / 2;
+          this.centeredCell = cellKey;
+        };
+
+        // Standing still: set off as soon as the queued direction is open
+        if (!isMoving) {
+          if (!hasQueued || !Pathfinding.canStep(grid, cell, queued)) return;
+          snapToCenter();
+          this.direction = { ...queued };
+          continue;
+        }
+
+        // Cornering: take a queued turn early or late when close enough to the centre
+        if (wantsTurn && Math.abs(ahead) <= tolerance && Pathfinding.canStep(grid, cell, queued)) {
+          remaining -= Math.max(0, ahead);
+          snapToCenter();
+          this.direction = { ...queued };
+          continue;
+        }
+
+        // Reaching the centre this frame: turn if queued, stop at a wall
+        if (ahead >= 0 && this.centeredCell !== cellKey) {
+          if (ahead > remaining) {
+            this.moveBy(remaining, cellCenterX, cellCenterY);
+            return;
           }
-          
-          // Try to move in y direction
-          if (direction.y !== 0 && window.GameEngine.isValidMove(
-            { x: this.x, y: this.y }, 
-            { x: 0, y: direction.y }, 
-            distance
-          )) {
-            this.y += direction.y * distance;
+
+          remaining -= ahead;
+          snapToCenter();
+
+          if (wantsTurn && Pathfinding.canStep(grid, cell, queued)) {
+            this.direction = { ...queued };
+          } else if (!Pathfinding.canStep(grid, cell, this.direction)) {
+            this.direction = { x: 0, y: 0 };
+            return;
           }
+          continue;
         }
-      } else {
-        // Fallback to original movement if GameEngine is not available
-        // Update position
-        this.x += dx;
-        this.y += dy;
+
+        // Past the centre with a wall ahead (e.g. after spawning): settle on the centre
+        if (!Pathfinding.canStep(grid, cell, this.direction)) {
+          snapToCenter();
+          this.direction = { x: 0, y: 0 };
+          return;
+        }
+
+        // Head for the centre of the next cell
+        const toNextCenter = ahead + cellSize;
+        if (toNextCenter > remaining) {
+          this.moveBy(remaining, cellCenterX, cellCenterY);
+          return;
+        }
+
+        this.moveBy(toNextCenter, cellCenterX, cellCenterY);
+        remaining -= toNextCenter;
       }
-      
-      // Keep player within canvas bounds
-      const canvasDimensions = CanvasManager.getDimensions();
-      this.x = Math.max(0, Math.min(this.x, canvasDimensions.width - this.width));
-      this.y = Math.max(0, Math.min(this.y, canvasDimensions.height - this.height));
-      
-      // Update animation timer and toggle mouth state
-      this.animationTimer += normalizedDeltaTime;
-      if (this.animationTimer >= this.animationInterval) {
-        this.mouthOpen = !this.mouthOpen;
-        this.animationTimer = 0;
+    }
+
+    /**
+     * Move in the current direction while staying centred in the corridor.
+     * @param {number} distance - Distance to move in pixels.
+     * @param {number} laneX - Corridor centre x, used when moving vertically.
+     * @param {number} laneY - Corridor centre y, used when moving horizontally.
+     */
+    moveBy(distance, laneX, laneY) {
+      if (this.direction.x !== 0) {
+        this.x += this.direction.x * distance;
+        this.y = laneY - this.height / 2;
+      } else {
+        this.y += this.direction.y * distance;
+        this.x = laneX - this.width / 2;
       }
     }
     
@@ -135,54 +305,72 @@
      */
     draw(context) {
       if (!context) {
-        console.error("No context provided for player drawing");
+        log.error("No context provided for player drawing");
         return;
       }
 
-      // Draw the appropriate image based on mouth state
-      const image = this.mouthOpen ? this.faceOpen : this.faceClosed;
+      const frame = this.animator.getFrame();
+      const centerX = this.x + this.width / 2;
+      const centerY = this.y + this.height / 2;
+
+      context.save();
+      context.translate(centerX, centerY);
+
+      // While dying, spin and shrink around the centre
+      if (this.deathProgress > 0) {
+        const scale = Math.max(0.01, 1 - this.deathProgress);
+        context.rotate(this.deathProgress * Math.PI * 4);
+        context.scale(scale, scale);
+      }
+
+      // Face the way the player is heading: mirrored for left, tipped for up and down
+      if (this.isFacingLeft) {
+        context.scale(-1, 1);
+      }
+      context.rotate(this.facing.y * TILT);
+      context.translate(-centerX, -centerY);
       
       try {
-        // Check if the image is available and loaded
-        const imageLoadedCorrectly = image && image.width > 0 && image.height > 0;
-        
-        if (imageLoadedCorrectly) {
-          // Draw the actual image with scaling
-          context.drawImage(
-            image, 
-            this.x, 
-            this.y, 
-            this.width, 
-            this.height
-          );
-          
-          // Small indicator dot for debugging (can be commented out for production)
-          // context.fillStyle = 'white';
-          // context.fillRect(this.x, this.y, 4, 4);
-          
-          console.log("Drawing player with image:", 
-            `dimensions=${this.width}x${this.height}, position=(${Math.round(this.x)},${Math.round(this.y)})`);
+        if (SpriteAnimation.isFrameReady(frame)) {
+          const drawWidth = this.getDrawWidth();
+          SpriteAnimation.drawFrame(context, frame, centerX - drawWidth / 2, this.y, drawWidth, this.height);
         } else {
           // Fall back to drawn representation
-          console.warn("Using fallback drawing for player - image not loaded correctly");
+          if (!this.isUsingFallback) {
+            log.warn("Using fallback drawing for player - image not loaded correctly");
+            this.isUsingFallback = true;
+          }
           this.drawFallback(context);
         }
       } catch (error) {
-        console.error('Error drawing player:', error);
+        log.error('Error drawing player:', error);
         this.drawFallback(context);
       }
+      
+      context.restore();
     }
     
+    /**
+     * Get how wide the face image is drawn: the body's height at the image's
+     * proportions.
+     * @returns {number} Width in pixels.
+     */
+    getDrawWidth() {
+      const image = this.faceOpen;
+      const aspect = image && image.width && image.height ? image.width / image.height : 1;
+      return this.height * aspect;
+    }
+
     /**
      * Draw a fallback representation of the player if the image fails to load.
      * @param {CanvasRenderingContext2D} context - The canvas rendering context.
      */
     drawFallback(context) {
       // Draw a representation of the player based on direction and mouth state
-      // Size based on the scaled width
-      const radius = this.width / 2;
-      const centerX = this.x + radius;
-      const centerY = this.y + radius;
+      // A round face as tall as the body, like the image would be
+      const radius = this.height / 2;
+      const centerX = this.x + this.width / 2;
+      const centerY = this.y + this.height / 2;
       
       // Draw the player body - very bright yellow for maximum visibility
       context.fillStyle = '#FFFF00'; // Bright yellow
@@ -190,10 +378,12 @@
       context.arc(centerX, centerY, radius - 2, 0, Math.PI * 2);
       context.fill();
       
-      // Draw mouth based on animation state - make it larger and more visible
+      // Draw mouth based on animation state - make it larger and more visible;
+      // the chew clip starts on its open-mouth frame and alternates from there
+      const isMouthOpen = this.animator.current === 'chew' && this.animator.getFrameIndex() % 2 === 0;
       context.fillStyle = '#000000';
       context.beginPath();
-      if (this.mouthOpen) {
+      if (isMouthOpen) {
         // Draw open mouth - larger angle for visibility
         context.moveTo(centerX, centerY);
         context.arc(centerX, centerY, radius-1, 0.2 * Math.PI, 0.8 * Math.PI);
@@ -205,9 +395,6 @@
         context.lineTo(this.x + 2*this.width/3, this.y + 2*this.height/3);
       }
       context.fill();
-      
-      console.log("Drew fallback player:", 
-        `center=(${Math.round(centerX)},${Math.round(centerY)}), radius=${Math.round(radius)}`);
     }
     
     /**
@@ -215,9 +402,8 @@
      * @returns {Object} An object with x, y, width, and height properties.
      */
     getBounds() {
-      // Add a slight reduction to make the hitbox a bit smaller than visual size
-      // Using a smaller reduction for the much smaller character size
-      const hitboxReduction = 2;
+      // The hitbox is a little smaller than the drawing, by a share of the cell
+      const hitboxReduction = this.cellSize * HITBOX_INSET;
       return {
         left: this.x + hitboxReduction,
         right: this.x + this.width - hitboxReduction,
@@ -225,6 +411,20 @@
         bottom: this.y + this.height - hitboxReduction
       };
     }
+
+    /**
+     * Get the player's hit circle; the face is round, so round things
+     * (like bonus items) are tested against this instead of the box.
+     * @returns {Object} The circle {x, y, radius}.
+     */
+    getCircle() {
+      const hitboxReduction = this.cellSize * HITBOX_INSET;
+      return {
+        x: this.x + this.width / 2,
+        y: this.y + this.height / 2,
+        radius: Math.min(this.width, this.height) / 2 - hitboxReduction
+      };
+    }
   }
   
   // Export the Player class
@@ -0,0 +1,246 @@
+/**
+ * Replay module for recording Adventure runs and playing them back.
+ *
+ * A recording holds the run's seed and every change in the direction the
+ * engine read from InputHandler.getDirection, tagged with the simulation
+ * tick it was read on. Because the simulation is deterministic, feeding the
+ * same directions back on the same ticks replays the run exactly.
+ *
+ *   {
+ *     version: 7,
+ *     game: 'adventure',
+ *     seed: 12345,
+ *     createdAt: '2024-01-01T12:00:00.000Z',
+ *     ticks: 5400,        // Length of the run in simulation steps
+ *     score: 1230,
+ *     inputs: [{ tick: 12, x: 1, y: 0 }, { tick: 40, x: 0, y: -1 }]
+ *   }
+ *
+ * @module Replay
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('Replay');
+
+  // Bumped whenever a change to the simulation would make old recordings play differently
+  const VERSION = 7;
+
+  // localStorage key for saved recordings, and how many are kept
+  const STORAGE_KEY = 'multiverse.replays';
+  const MAX_SAVED = 10;
+
+  /**
+   * Start a new recording.
+   * @param {number} seed - Seed of the run.
+   * @returns {Object} An empty recording.
+   */
+  function create(seed) {
+    return {
+      version: VERSION,
+      game: 'adventure',
+      seed: seed,
+      createdAt: new Date().toISOString(),
+      ticks: 0,
+      score: 0,
+      inputs: []
+    };
+  }
+
+  /**
+   * Record the direction read on a tick. Only changes are stored.
+   * @param {Object} recording - The recording.
+   * @param {number} tick - Simulation tick the direction was read on.
+   * @param {Object} direction - Direction {x, y}.
+   */
+  function record(recording, tick, direction) {
+    const last = recording.inputs[recording.inputs.length - 1];
+    const current = last || { x: 0, y: 0 };
+
+    if (direction.x !== current.x || direction.y !== current.y) {
+      recording.inputs.push({ tick: tick, x: direction.x, y: direction.y });
+    }
+  }
+
+  /**
+   * Check that data is a recording this version can play.
+   * @param {Object} data - Parsed recording.
+   * @returns {Object} The same recording.
+   * @throws {Error} If the data isn't a playable recording.
+   */
+  function validate(data) {
+    if (!data || typeof data !== 'object' || data.game !== 'adventure') {
+      throw new Error('Not an Adventure replay');
+    }
+    if (data.version !== VERSION) {
+      throw new Error(`Replay version ${data.version} can't be played by this version (${VERSION})`);
+    }
+    if (typeof data.seed !== 'number' || typeof data.ticks !== 'number' || !Array.isArray(data.inputs)) {
+      throw new Error('Replay is missing its seed, length or inputs');
+    }
+
+    let previousTick = 0;
+    data.inputs.forEach((input, index) => {
+      const isValid = typeof input.tick === 'number' && input.tick >= previousTick &&
+        [-1, 0, 1].includes(input.x) && [-1, 0, 1].includes(input.y);
+      if (!isValid) {
+        throw new Error(`Replay input ${index + 1} is invalid`);
+      }
+      previousTick = input.tick;
+    });
+
+    return data;
+  }
+
+  /**
+   * Create a playback cursor over a recording. Ticks must be read in
+   * increasing order; create a new cursor to go back.
+   * @param {Object} recording - The recording to play.
+   * @returns {Object} Playback cursor {recording, index, direction}.
+   */
+  function createPlayback(recording) {
+    return {
+      recording: recording,
+      index: 0,
+      direction: { x: 0, y: 0 }
+    };
+  }
+
+  /**
+   * Get the direction that was read on a tick.
+   * @param {Object} playback - Playback cursor.
+   * @param {number} tick - Simulation tick.
+   * @returns {Object} Direction {x, y}.
+   */
+  function getDirection(playback, tick) {
+    const inputs = playback.recording.inputs;
+    while (playback.index < inputs.length && inputs[playback.index].tick <= tick) {
+      const input = inputs[playback.index];
+      playback.direction = { x: input.x, y: input.y };
+      playback.index++;
+    }
+    return { ...playback.direction };
+  }
+
+  /**
+   * Read the saved recordings, newest first.
+   * @returns {Array} Saved recordings.
+   */
+  function list() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      log.warn('Could not read saved replays:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Write the saved recordings, dropping the oldest ones if storage is full.
+   * @param {Array} recordings - Recordings, newest first.
+   */
+  function writeAll(recordings) {
+    if (typeof localStorage === 'undefined') return;
+
+    let toSave = recordings.slice(0, MAX_SAVED);
+
+    while (toSave.length > 0) {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
+        return;
+      } catch (error) {
+        log.warn('Replay storage is full, dropping the oldest replay');
+        toSave = toSave.slice(0, -1);
+      }
+    }
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  /**
+   * Save a recording. Only the newest MAX_SAVED recordings are kept.
+   * @param {Object} recording - The recording.
+   * @returns {Object} The saved recording, with an id.
+   */
+  function save(recording) {
+    const saved = { ...recording, id: recording.id || `${Date.now()}-${recording.seed}` };
+    writeAll([saved].concat(list().filter(item => item.id !== saved.id)));
+    log.debug(`Saved replay ${saved.id} (${saved.ticks} ticks, ${saved.inputs.length} inputs)`);
+    return saved;
+  }
+
+  /**
+   * Delete a saved recording.
+   * @param {string} id - Id of the recording.
+   */
+  function remove(id) {
+    writeAll(list().filter(item => item.id !== id));
+  }
+
+  /**
+   * Download a recording as a JSON file.
+   * @param {Object} recording - The recording.
+   */
+  function exportToFile(recording) {
+    const data = { ...recording };
+    delete data.id;
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `adventure-replay-${recording.seed}-${recording.score}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read a recording from a JSON file and save it.
+   * @param {File} file - The file chosen by the user.
+   * @returns {Promise<Object>} The imported recording.
+   */
+  function importFromFile(file) {
+    return file.text().then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+      const recording = validate(data);
+      delete recording.id;
+      return save(recording);
+    });
+  }
+
+  // Export functions for use in browser or tests
+  exports.VERSION = VERSION;
+  exports.create = create;
+  exports.record = record;
+  exports.validate = validate;
+  exports.createPlayback = createPlayback;
+  exports.getDirection = getDirection;
+  exports.list = list;
+  exports.save = save;
+  exports.remove = remove;
+  exports.exportToFile = exportToFile;
+  exports.importFromFile = importFromFile;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.Replay = {}) : {});
@@ -0,0 +1,241 @@
+/**
+ * ReplayViewer module for the replay library and playback controls.
+ * The library lists saved recordings (watch, export, delete, import); the
+ * controls drive GameEngine's replay mode (pause, speed, scrubbing).
+ * @module ReplayViewer
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Dependencies
+  let GameEngine, Replay, Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    GameEngine = window.GameEngine;
+    Replay = window.Replay;
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    GameEngine = require('./gameEngine');
+    Replay = require('./replay');
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('ReplayViewer');
+
+  // Speeds offered by the speed buttons
+  const SPEEDS = [1, 2, 4];
+
+  // Callbacks supplied by the page
+  let options = {};
+
+  // Set while the user is dragging the scrubber, so updates don't fight the drag
+  let isScrubbing = false;
+
+  /**
+   * Format a number of simulation ticks as m:ss.
+   * @param {number} ticks - Simulation ticks.
+   * @returns {string} Formatted time.
+   */
+  function formatTicks(ticks) {
+    const seconds = Math.floor(ticks * GameEngine.SIM_STEP / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Wire up the library and controls.
+   * @param {Object} [settings] - Callbacks.
+   * @param {Function} [settings.getAssets] - Returns the loaded game assets.
+   * @param {Function} [settings.onWatch] - Called before a replay starts, to stop other games.
+   * @param {Function} [settings.onClose] - Called after the user exits a replay.
+   */
+  function initialize(settings = {}) {
+    options = settings;
+
+    const libraryButtons = document.querySelectorAll('.open-replays-btn');
+    libraryButtons.forEach(button => {
+      button.addEventListener('click', openLibrary);
+    });
+
+    const watchLastButton = document.getElementById('watch-replay-button');
+    if (watchLastButton) {
+      watchLastButton.addEventListener('click', () => {
+        const recording = GameEngine.getLastRecording();
+        if (recording) watch(recording);
+      });
+    }
+
+    document.getElementById('replay-library-close').addEventListener('click', closeLibrary);
+
+    const importInput = document.getElementById('replay-import-input');
+    document.getElementById('replay-import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+
+      Replay.importFromFile(file)
+        .then(() => renderLibrary())
+        .catch(error => {
+          log.error('Could not import replay:', error);
+          alert(`Could not import replay: ${error.message}`);
+        });
+    });
+
+    // Playback controls
+    document.getElementById('replay-play').addEventListener('click', () => {
+      const state = GameEngine.getReplayState();
+      if (state) GameEngine.setReplayPaused(!state.isPaused && !state.isFinished);
+    });
+
+    const speeds = document.getElementById('replay-speeds');
+    SPEEDS.forEach(speed => {
+      const button = document.createElement('button');
+      button.className = 'neo-btn replay-small-btn replay-speed-btn';
+      button.dataset.speed = speed;
+      button.textContent = `${speed}×`;
+      button.addEventListener('click', () => GameEngine.setReplaySpeed(speed));
+      speeds.appendChild(button);
+    });
+
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.addEventListener('input', () => {
+      isScrubbing = true;
+      GameEngine.seekReplay(Number(scrubber.value));
+    });
+    scrubber.addEventListener('change', () => {
+      isScrubbing = false;
+    });
+
+    document.getElementById('replay-exit').addEventListener('click', () => {
+      close();
+      if (options.onClose) options.onClose();
+    });
+  }
+
+  /**
+   * Show the list of saved recordings.
+   */
+  function openLibrary() {
+    renderLibrary();
+    document.getElementById('replay-library').classList.remove('hidden');
+  }
+
+  /**
+   * Hide the list of saved recordings.
+   */
+  function closeLibrary() {
+    document.getElementById('replay-library').classList.add('hidden');
+  }
+
+  /**
+   * Fill the library with the saved recordings.
+   */
+  function renderLibrary() {
+    const list = document.getElementById('replay-list');
+    const recordings = Replay.list();
+    list.innerHTML = '';
+
+    if (recordings.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No replays yet. Play a run of ADVENTURE to record one.';
+      list.appendChild(empty);
+      return;
+    }
+
+    recordings.forEach(recording => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const date = new Date(recording.createdAt);
+      label.textContent = `${date.toLocaleDateString()} ${date.toLocaleTimeString()} - ` +
+        `${recording.score} pts, ${formatTicks(recording.ticks)}`;
+      item.appendChild(label);
+
+      const actions = [
+        ['WATCH', () => watch(recording)],
+        ['EXPORT', () => Replay.exportToFile(recording)],
+        ['DELETE', () => {
+          Replay.remove(recording.id);
+          renderLibrary();
+        }]
+      ];
+      actions.forEach(([text, onClick]) => {
+        const button = document.createElement('button');
+        button.className = 'neo-btn replay-small-btn';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        item.appendChild(button);
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Watch a recording in the game canvas.
+   * @param {Object} recording - The recording.
+   */
+  function watch(recording) {
+    closeLibrary();
+    if (options.onWatch) options.onWatch();
+
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.max = recording.ticks;
+    scrubber.value = 0;
+    document.getElementById('replay-controls').classList.remove('hidden');
+
+    try {
+      GameEngine.startReplay(options.getAssets ? options.getAssets() : null, recording, { onUpdate: update });
+    } catch (error) {
+      log.error('Could not play replay:', error);
+      alert(`Could not play replay: ${error.message}`);
+      close();
+    }
+  }
+
+  /**
+   * Reflect the replay state in the controls.
+   * @param {Object} state - State from GameEngine.getReplayState().
+   */
+  function update(state) {
+    if (!state) return;
+
+    const playButton = document.getElementById('replay-play');
+    playButton.textContent = state.isPaused || state.isFinished ? 'PLAY' : 'PAUSE';
+
+    document.querySelectorAll('.replay-speed-btn').forEach(button => {
+      button.classList.toggle('active', Number(button.dataset.speed) === state.speed);
+    });
+
+    if (!isScrubbing) {
+      document.getElementById('replay-scrubber').value = state.tick;
+    }
+    document.getElementById('replay-time').textContent =
+      `${formatTicks(state.tick)} / ${formatTicks(state.ticks)}`;
+  }
+
+  /**
+   * Leave the replay, if one is open, and hide the controls.
+   */
+  function close() {
+    const controls = document.getElementById('replay-controls');
+    if (controls.classList.contains('hidden')) return;
+
+    controls.classList.add('hidden');
+    GameEngine.stop();
+    document.body.classList.remove('game-active');
+  }
+
+  // Export functions for use in browser or tests
+  exports.SPEEDS = SPEEDS;
+  exports.initialize = initialize;
+  exports.openLibrary = openLibrary;
+  exports.watch = watch;
+  exports.close = close;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.ReplayViewer = {}) : {});
@@ -0,0 +1,89 @@
+/**
+ * SeededRandom module providing a small reproducible pseudo-random generator.
+ * @module SeededRandom
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  /**
+   * Turn any seed (number or string) into an unsigned 32-bit integer.
+   * @param {number|string} seed - The seed value.
+   * @returns {number} A 32-bit unsigned integer.
+   */
+  function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261; // FNV-1a offset basis
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a seeded generator (mulberry32).
+   * @param {number|string} seed - The seed value.
+   * @returns {Object} Generator with next, nextInt, pick and shuffle methods.
+   */
+  function create(seed) {
+    let state = hashSeed(seed);
+
+    /**
+     * Get the next random number.
+     * @returns {number} A float in [0, 1), like Math.random().
+     */
+    function next() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer.
+     * @param {number} max - Exclusive upper bound.
+     * @returns {number} An integer in [0, max).
+     */
+    function nextInt(max) {
+      return Math.floor(next() * max);
+    }
+
+    /**
+     * Pick a random element of an array.
+     * @param {Array} items - The array to pick from.
+     * @returns {*} The chosen element, or undefined if the array is empty.
+     */
+    function pick(items) {
+      return items[nextInt(items.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates).
+     * @param {Array} items - The array to shuffle.
+     * @returns {Array} The same array, shuffled.
+     */
+    function shuffle(items) {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = nextInt(i + 1);
+        const swap = items[i];
+        items[i] = items[j];
+        items[j] = swap;
+      }
+      return items;
+    }
+
+    return { seed, next, nextInt, pick, shuffle };
+  }
+
+  // Export functions for use in browser or tests
+  exports.hashSeed = hashSeed;
+  exports.create = create;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.SeededRandom = {}) : {});
@@ -0,0 +1,196 @@
+/**
+ * SpriteAnimation module: named animation clips built from single images or
+ * sprite sheets, and an animator that plays them.
+ *
+ * A clip definition lists its frames and how long each one shows:
+ *   { frames: ['faceOpen', 'faceClosed'], frameDuration: 150 }
+ *   { sheet: 'assets/ghost_frightened.svg', frameWidth: 32, frameHeight: 32, frames: [0, 1] }
+ * Frame sources are asset keys or image URLs; a frame can also be an object
+ * such as { source: 'ghost_github', offsetY: -0.05 } (offset as a fraction of
+ * the drawn height) or { index: 2 } for a sprite sheet cell.
+ * @module SpriteAnimation
+ */
+
+// Create a module that can be used in both browser and Jest environments
+(function(exports) {
+  // Time each frame shows when a clip doesn't say (ms)
+  const DEFAULT_FRAME_DURATION = 100;
+
+  /**
+   * Get every image source a clip definition needs.
+   * @param {Object} definition - Clip definition.
+   * @returns {Array<string>} Asset keys or URLs.
+   */
+  function getSources(definition) {
+    if (definition.sheet) return [definition.sheet];
+    return definition.frames.map(frame => (typeof frame === 'string' ? frame : frame.source));
+  }
+
+  /**
+   * Build a clip from its definition.
+   * @param {Object} definition - Clip definition.
+   * @param {Object} images - Loaded images by asset key or URL.
+   * @returns {Object} Clip {frames, frameDuration, loop}; each frame is
+   *   {image, offsetY} plus {index, frameWidth, frameHeight} for sheet cells.
+   */
+  function buildClip(definition, images) {
+    const frames = definition.frames.map(frame => {
+      const spec = typeof frame === 'object' ? frame : (definition.sheet ? { index: frame } : { source: frame });
+      if (definition.sheet) {
+        return {
+          image: images[definition.sheet],
+          index: spec.index,
+          frameWidth: definition.frameWidth,
+          frameHeight: definition.frameHeight,
+          offsetY: spec.offsetY || 0
+        };
+      }
+      return { image: images[spec.source], offsetY: spec.offsetY || 0 };
+    });
+
+    return {
+      frames,
+      frameDuration: definition.frameDuration || DEFAULT_FRAME_DURATION,
+      loop: definition.loop !== false
+    };
+  }
+
+  /**
+   * Build a set of named clips.
+   * @param {Object} definitions - Clip definitions by clip name.
+   * @param {Object} images - Loaded images by asset key or URL.
+   * @returns {Object} Clips by clip name.
+   */
+  function buildClips(definitions, images) {
+    const clips = {};
+    Object.entries(definitions).forEach(([name, definition]) => {
+      clips[name] = buildClip(definition, images);
+    });
+    return clips;
+  }
+
+  /**
+   * Check whether a frame's image has loaded and can be drawn.
+   * @param {Object} frame - Clip frame.
+   * @returns {boolean} True if the frame can be drawn.
+   */
+  function isFrameReady(frame) {
+    const image = frame && frame.image;
+    if (!image || image.complete === false) return false;
+    return (image.naturalWidth || image.width) > 0;
+  }
+
+  /**
+   * Draw a frame into a box. Sheet cells are read left to right, top to bottom.
+   * @param {CanvasRenderingContext2D} context - Rendering context.
+   * @param {Object} frame - Clip frame.
+   * @param {number} x - Left of the box.
+   * @param {number} y - Top of the box.
+   * @param {number} width - Width of the box.
+   * @param {number} height - Height of the box.
+   */
+  function drawFrame(context, frame, x, y, width, height) {
+    const top = y + frame.offsetY * height;
+
+    if (frame.index === undefined) {
+      context.drawImage(frame.image, x, top, width, height);
+      return;
+    }
+
+    const sheetWidth = frame.image.naturalWidth || frame.image.width;
+    const columns = Math.max(1, Math.floor(sheetWidth / frame.frameWidth));
+    const sourceX = (frame.index % columns) * frame.frameWidth;
+    const sourceY = Math.floor(frame.index / columns) * frame.frameHeight;
+    context.drawImage(
+      frame.image,
+      sourceX, sourceY, frame.frameWidth, frame.frameHeight,
+      x, top, width, height
+    );
+  }
+
+  /**
+   * Plays one clip at a time out of a set of named clips.
+   */
+  class Animator {
+    /**
+     * Create an animator.
+     * @param {Object} clips - Clips by clip name.
+     * @param {string} initial - Name of the clip to start with.
+     */
+    constructor(clips, initial) {
+      this.clips = clips;
+      this.current = initial;
+      this.time = 0;
+    }
+
+    /**
+     * Switch to a clip, starting it from its first frame. Playing the clip
+     * that is already running leaves it where it is.
+     * @param {string} name - Clip name.
+     * @returns {boolean} False if there is no clip with that name.
+     */
+    play(name) {
+      if (!this.clips[name]) return false;
+      if (name !== this.current) {
+        this.current = name;
+        this.time = 0;
+      }
+      return true;
+    }
+
+    /**
+     * Advance the current clip.
+     * @param {number} deltaTime - Time since the last update in milliseconds.
+     */
+    update(deltaTime) {
+      const clip = this.clips[this.current];
+      if (!clip) return;
+
+      const length = clip.frames.length * clip.frameDuration;
+      this.time += deltaTime;
+      this.time = clip.loop ? this.time % length : Math.min(this.time, length);
+    }
+
+    /**
+     * Get the position of the showing frame in the current clip.
+     * @returns {number} Frame index.
+     */
+    getFrameIndex() {
+      const clip = this.clips[this.current];
+      if (!clip) return 0;
+      return Math.min(clip.frames.length - 1, Math.floor(this.time / clip.frameDuration));
+    }
+
+    /**
+     * Get the showing frame.
+     * @returns {Object|null} Clip frame, or null if the current clip is missing.
+     */
+    getFrame() {
+      const clip = this.clips[this.current];
+      return clip ? clip.frames[this.getFrameIndex()] : null;
+    }
+
+    /**
+     * Check whether a clip that doesn't loop has played to its end.
+     * @returns {boolean} True once the last frame has had its time.
+     */
+    isFinished() {
+      const clip = this.clips[this.current];
+      return !!clip && !clip.loop && this.time >= clip.frames.length * clip.frameDuration;
+    }
+  }
+
+  // Export functions for use in browser or tests
+  exports.DEFAULT_FRAME_DURATION = DEFAULT_FRAME_DURATION;
+  exports.getSources = getSources;
+  exports.buildClip = buildClip;
+  exports.buildClips = buildClips;
+  exports.isFrameReady = isFrameReady;
+  exports.drawFrame = drawFrame;
+  exports.Animator = Animator;
+
+  // For Node.js/Jest compatibility
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exports;
+  }
+})((typeof window !== 'undefined') ? (window.SpriteAnimation = {}) : {});
@@ -6,6 +6,21 @@
 
 // Create a module that can be used in both browser and Jest environments
 (function(exports) {
+  // Dependencies
+  let GhostRegistry, Logger;
+
+  if (typeof window !== 'undefined') {
+    // Browser environment
+    GhostRegistry = window.GhostRegistry;
+    Logger = window.Logger;
+  } else {
+    // Node.js (Jest) environment
+    GhostRegistry = require('./ghostRegistry');
+    Logger = require('./logger');
+  }
+
+  const log = Logger.create('SVGAssets');
+
   /**
    * Create an SVG data URL for use as an image source.
    * @param {string} svgContent - The SVG content.
@@ -83,12 +98,12 @@
     // Ensure the image has time to load
     return new Promise((resolve) => {
       img.onload = () => {
-        console.log('SVG image loaded successfully:', img.width, img.height);
+        log.debug('SVG image loaded successfully:', img.width, img.height);
         resolve(img);
       };
       
       img.onerror = (err) => {
-        console.error('Error loading SVG image:', err);
+        log.error('Error loading SVG image:', err);
         // Still resolve with the image to allow the game to continue
         resolve(img);
       };
@@ -97,14 +112,14 @@
       try {
         img.src = svgDataURL;
       } catch (err) {
-        console.error('Error setting SVG source:', err);
+        log.error('Error setting SVG source:', err);
         resolve(img);
       }
       
       // Set a timeout to resolve anyway after 1 second
       setTimeout(() => {
         if (!img.complete) {
-          console.warn('SVG image load timed out - using fallback');
+          log.warn('SVG image load timed out - using fallback');
           resolve(img);
         }
       }, 1000);
@@ -116,14 +131,22 @@
    * @returns {Promise<Object>} - Promise that resolves with object containing all SVG assets as images.
    */
   function generateSVGAssets() {
+    const brands = GhostRegistry.GHOSTS;
+
     return Promise.all([
       createImageFromSVG(generateFaceOpenSVG()),
       createImageFromSVG(generateFaceClosedSVG()),
       createImageFromSVG(generateGhostSVG('#ff6666')), // Red ghost
-      createImageFromSVG(generateGhostSVG('#6666ff'))  // Blue ghost
-    ]).then(([faceOpen, faceClosed, ghost1, ghost2]) => {
-      console.log('All SVG assets generated and loaded');
-      return { faceOpen, faceClosed, ghost1, ghost2 };
+      createImageFromSVG(generateGhostSVG('#6666ff')), // Blue ghost
+      // A ghost in each brand's color, under its asset key
+      ...brands.map(brand => createImageFromSVG(generateGhostSVG(brand.color)))
+    ]).then(([faceOpen, faceClosed, ghost1, ghost2, ...brandGhosts]) => {
+      log.debug('All SVG assets generated and loaded');
+      const assets = { faceOpen, faceClosed, ghost1, ghost2 };
+      brands.forEach((brand, index) => {
+        assets[brand.type] = brandGhosts[index];
+      });
+      return assets;
     });
   }
   
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+const CollisionManager = require('../js/collisionManager');
+
+/**
+ * Make a square entity that ended the last step at (x, y).
+ * @param {number} x - Centre x at the end of the step.
+ * @param {number} y - Centre y at the end of the step.
+ * @param {Object} [options] - size, lastMove {x, y}, isCircle, isFrightened.
+ * @returns {Object} Entity with getBounds (and getCircle when isCircle is set).
+ */
+function makeEntity(x, y, options = {}) {
+  const size = options.size || 10;
+  const entity = {
+    x,
+    y,
+    lastMove: options.lastMove,
+    getBounds: () => ({ left: x - size / 2, right: x + size / 2, top: y - size / 2, bottom: y + size / 2 })
+  };
+  if (options.isCircle) entity.getCircle = () => ({ x, y, radius: size / 2 });
+  if (options.isFrightened !== undefined) entity.isFrightened = () => options.isFrightened;
+  return entity;
+}
+
+describe('CollisionManager.sweepBoxes', () => {
+  test('finds when a moving box reaches a still one, and the side it hits', () => {
+    const hit = CollisionManager.sweepBoxes(
+      { left: -5, right: 5, top: -5, bottom: 5 }, { x: 100, y: 0 },
+      { left: 45, right: 55, top: -5, bottom: 5 }, { x: 0, y: 0 }
+    );
+    expect(hit.time).toBeCloseTo(0.4);
+    expect(hit.normal).toEqual({ x: -1, y: 0 });
+  });
+
+  test('reports boxes that start out touching at time 0', () => {
+    const hit = CollisionManager.sweepBoxes(
+      { left: 0, right: 10, top: 0, bottom: 10 }, { x: 50, y: 0 },
+      { left: 8, right: 18, top: 0, bottom: 10 }, { x: 0, y: 0 }
+    );
+    expect(hit).toEqual({ time: 0, normal: { x: -1, y: 0 } });
+  });
+
+  test('misses boxes in another lane and boxes too far away', () => {
+    const box = { left: -5, right: 5, top: -5, bottom: 5 };
+    const still = { x: 0, y: 0 };
+    expect(CollisionManager.sweepBoxes(box, { x: 100, y: 0 }, { left: 45, right: 55, top: 20, bottom: 30 }, still)).toBeNull();
+    expect(CollisionManager.sweepBoxes(box, { x: 30, y: 0 }, { left: 45, right: 55, top: -5, bottom: 5 }, still)).toBeNull();
+    expect(CollisionManager.sweepBoxes(box, { x: -100, y: 0 }, { left: 45, right: 55, top: -5, bottom: 5 }, still)).toBeNull();
+  });
+});
+
+describe('CollisionManager.sweepCircles', () => {
+  test('finds circles that cross paths head on within a step', () => {
+    const hit = CollisionManager.sweepCircles({ x: 0, y: 0, radius: 5 }, { x: 60, y: 0 }, { x: 100, y: 0, radius: 5 }, { x: -60, y: 0 });
+    expect(hit.time).toBeCloseTo(0.75);
+    expect(hit.normal.x).toBeCloseTo(-1);
+    expect(hit.normal.y).toBeCloseTo(0);
+  });
+
+  test('misses circles that pass side by side', () => {
+    expect(CollisionManager.sweepCircles({ x: 0, y: 0, radius: 5 }, { x: 100, y: 0 }, { x: 50, y: 11, radius: 5 }, { x: 0, y: 0 })).toBeNull();
+  });
+});
+
+describe('CollisionManager.findContacts at high speed', () => {
+  test('catches boxes that swapped places between steps', () => {
+    // Both moved 100 px and ended up 80 px past each other: no overlap at either end of the step
+    const player = makeEntity(50, 0, { lastMove: { x: 100, y: 0 } });
+    const ghost = makeEntity(-30, 0, { lastMove: { x: -100, y: 0 } });
+    expect(CollisionManager.checkCollision(player.getBounds(), ghost.getBounds())).toBe(false);
+
+    const [contact] = CollisionManager.findContacts(player, [ghost]);
+    expect(contact.other).toBe(ghost);
+    expect(contact.time).toBeCloseTo(0.55);
+    expect(contact.normal).toEqual({ x: -1, y: 0 });
+    expect(contact.overlap).toBe(0);
+  });
+
+  test('catches circles that one fast step carried through each other', () => {
+    const player = makeEntity(0, 200, { isCircle: true, lastMove: { x: 0, y: 200 } });
+    const ghost = makeEntity(0, 100, { isCircle: true });
+
+    const [contact] = CollisionManager.findContacts(player, [ghost]);
+    expect(contact.time).toBeCloseTo(0.45);
+    expect(contact.normal.y).toBeCloseTo(-1);
+    expect(contact.overlap).toBe(0);
+  });
+
+  test('reports how deep objects still overlap at the end of the step', () => {
+    const player = makeEntity(47, 0, { lastMove: { x: 47, y: 0 } });
+    const item = makeEntity(50, 0);
+
+    const [contact] = CollisionManager.findContacts(player, [item]);
+    expect(contact.overlap).toBeCloseTo(7);
+  });
+
+  test('orders contacts by when they happened, not by list order', () => {
+    const player = makeEntity(300, 0, { lastMove: { x: 300, y: 0 } });
+    const far = makeEntity(250, 0);
+    const near = makeEntity(60, 0);
+
+    const contacts = CollisionManager.findContacts(player, [far, near]);
+    expect(contacts.map(contact => contact.other)).toEqual([near, far]);
+    expect(contacts[0].time).toBeLessThan(contacts[1].time);
+  });
+
+  test('falls back to an overlap test for objects that did not move', () => {
+    const player = makeEntity(0, 0);
+    expect(CollisionManager.findContacts(player, [makeEntity(8, 0)])).toHaveLength(1);
+    expect(CollisionManager.findContacts(player, [makeEntity(20, 0)])).toHaveLength(0);
+  });
+});
+
+describe('CollisionManager.checkPlayerGhostCollisions', () => {
+  test('gives each ghost passed through its outcome, earliest first', () => {
+    const player = makeEntity(200, 0, { lastMove: { x: 200, y: 0 } });
+    const scared = makeEntity(50, 0, { isFrightened: true });
+    const hunting = makeEntity(150, 0, { isFrightened: false });
+
+    const contacts = CollisionManager.checkPlayerGhostCollisions(player, [hunting, scared]);
+    expect(contacts.map(contact => [contact.ghost, contact.outcome])).toEqual([
+      [scared, CollisionManager.CONTACT.EAT_GHOST],
+      [hunting, CollisionManager.CONTACT.CAUGHT]
+    ]);
+  });
+
+  test('lets a normal ghost win a tie with a frightened one', () => {
+    const player = makeEntity(0, 0);
+    const scared = makeEntity(5, 0, { isFrightened: true });
+    const hunting = makeEntity(-5, 0, { isFrightened: false });
+
+    const contacts = CollisionManager.checkPlayerGhostCollisions(player, [scared, hunting]);
+    expect(contacts[0].outcome).toBe(CollisionManager.CONTACT.CAUGHT);
+  });
+});
+
+describe('CollisionManager.checkPlayerItemCollision', () => {
+  test('collects an item the player rushed past within a step', () => {
+    const player = makeEntity(200, 0, { lastMove: { x: 200, y: 0 } });
+    const item = makeEntity(100, 0);
+    expect(CollisionManager.checkPlayerItemCollision(player, [makeEntity(100, 50), item])).toBe(item);
+  });
+
+  test('returns null when nothing was touched', () => {
+    expect(CollisionManager.checkPlayerItemCollision(makeEntity(0, 0), [makeEntity(100, 0)])).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Drives the page's own game.js in jsdom with a gamepad, one animation frame at a time.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Standard-mapping buttons of the gamepad below
+const BUTTON = { action: 0, up: 12, down: 13, left: 14, right: 15 };
+const pad = {
+  index: 0,
+  id: 'Test pad',
+  connected: true,
+  buttons: Array.from({ length: 16 }, () => ({ pressed: false })),
+  axes: [0, 0]
+};
+
+// Animation frames only run when a test asks for them
+let frames = [];
+window.requestAnimationFrame = callback => frames.push(callback);
+window.cancelAnimationFrame = () => {};
+
+/**
+ * Run the callbacks queued for the next animation frame.
+ * @param {number} [count=1] - Number of frames to run.
+ */
+function runFrames(count = 1) {
+  for (let i = 0; i < count; i++) {
+    const queued = frames;
+    frames = [];
+    queued.forEach(callback => callback(performance.now()));
+  }
+}
+
+/**
+ * Press and release a gamepad button, a frame each.
+ * @param {string} name - Button name from BUTTON.
+ */
+function press(name) {
+  pad.buttons[BUTTON[name]].pressed = true;
+  runFrames();
+  pad.buttons[BUTTON[name]].pressed = false;
+  runFrames();
+}
+
+/**
+ * Let pending promises and timers settle.
+ * @param {number} [ms=0] - How long to wait.
+ * @returns {Promise} Resolves after the wait.
+ */
+function settle(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether an element is on screen.
+ * @param {string} id - Element id.
+ * @returns {boolean} True if it isn't hidden.
+ */
+function isShowing(id) {
+  return !document.getElementById(id).classList.contains('hidden');
+}
+
+/**
+ * Click a game in the selector and start it.
+ * @param {string} game - Game key of the selector button.
+ */
+function startGame(game) {
+  document.querySelector(`.selector-btn[data-game="${game}"]`).click();
+  document.getElementById('start-game-btn').click();
+}
+
+beforeAll(async () => {
+  document.documentElement.innerHTML = INDEX.replace(/<script[^>]*><\/script>/g, '');
+
+  // Browser pieces jsdom leaves out, backed by the files on disk
+  const context = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => ({ addColorStop() {}, data: [] })),
+    set: (target, key, value) => { target[key] = value; return true; }
+  });
+  HTMLCanvasElement.prototype.getContext = () => context;
+  window.Image = class {
+    constructor() { this.width = 40; this.height = 40; }
+    set src(url) { this.url = url; setTimeout(() => this.onload && this.onload(), 0); }
+    get src() { return this.url; }
+  };
+  window.fetch = url => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(JSON.parse(fs.readFileSync(path.join(ROOT, url), 'utf8'))),
+    text: () => Promise.resolve(fs.readFileSync(path.join(ROOT, url), 'utf8'))
+  });
+  window.open = () => null;
+  navigator.getGamepads = () => [pad];
+
+  // Load the scripts in page order; modules declared with const are put on window like the page's globals
+  [...INDEX.matchAll(/<script src="([^"]+)"/g)].forEach(([, file]) => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    window.eval(source.replace(/^const (\w+) = \(function/m, 'window.$1 = (function'));
+  });
+  Logger.configure({ level: 'silent' });
+
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+  for (let i = 0; i < 100 && document.getElementById('loading'); i++) await settle();
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe('gamepad at game over', () => {
+  test('enters the initials with the D-pad and confirms them with the action button', () => {
+    startGame('invaders');
+    window.showGameOver(5000, 'GAME OVER', 2);
+    expect(HighScoreBoard.isEntering()).toBe(true);
+
+    press('up');
+    press('right');
+    press('up');
+    press('up');
+    press('right');
+    press('down');
+    press('action');
+
+    expect(HighScoreBoard.isEntering()).toBe(false);
+    expect(HighScores.getTable('invaders')[0]).toMatchObject({ initials: 'BC9', score: 5000 });
+    expect(isShowing('game-over')).toBe(true);
+
+    // With the initials in, the action button starts the next run
+    press('action');
+    expect(isShowing('game-over')).toBe(false);
+    InvadersEngine.stop();
+  });
+
+  test('restarts a level editor play-test, not the game picked before it', async () => {
+    startGame('adventure');
+    for (let i = 0; i < 100 && GameEngine._testExports.gameState.isLoadingLevel; i++) await settle();
+
+    document.querySelector('.selector-btn[data-game="editor"]').click();
+    document.getElementById('editor-playtest').click();
+    await settle();
+    const { gameState } = GameEngine._testExports;
+    const level = gameState.customLevel;
+    expect(level).not.toBeNull();
+
+    GameEngine._testExports.gameOver(gameState.ghosts[0]);
+    expect(isShowing('game-over')).toBe(true);
+
+    press('action');
+    await settle();
+    expect(isShowing('game-over')).toBe(false);
+    expect(gameState.isRunning).toBe(true);
+    expect(gameState.customLevel).toBe(level);
+    expect(gameState.level).toBe(level);
+    document.getElementById('editor-return').click();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+const storage = {};
+global.localStorage = {
+  getItem: key => (key in storage ? storage[key] : null),
+  setItem: (key, value) => { storage[key] = String(value); },
+  removeItem: key => { delete storage[key]; }
+};
+
+const Logger = require('../js/logger');
+const HighScores = require('../js/highScores');
+
+/**
+ * Fill a game's table with entries scoring 1000, 900, 800...
+ * @param {string} game - Game key.
+ * @param {number} count - Number of entries.
+ */
+function fillTable(game, count) {
+  for (let i = 0; i < count; i++) {
+    HighScores.addEntry(game, { initials: `P${i}`, score: 1000 - i * 100 });
+  }
+}
+
+beforeAll(() => {
+  Logger.configure({ level: 'silent' });
+});
+
+beforeEach(() => {
+  Object.keys(storage).forEach(key => delete storage[key]);
+});
+
+describe('HighScores.addEntry', () => {
+  test('keeps the table sorted, best score first', () => {
+    [300, 700, 100, 500].forEach(score => HighScores.addEntry('adventure', { initials: 'abc', score }));
+    expect(HighScores.getTable('adventure').map(entry => entry.score)).toEqual([700, 500, 300, 100]);
+  });
+
+  test('returns the rank the entry landed on', () => {
+    fillTable('adventure', 3); // 1000, 900, 800
+    expect(HighScores.addEntry('adventure', { initials: 'NEW', score: 950 })).toBe(1);
+    expect(HighScores.addEntry('adventure', { initials: 'TOP', score: 5000 })).toBe(0);
+    expect(HighScores.addEntry('adventure', { initials: 'LOW', score: 10 })).toBe(5);
+  });
+
+  test('puts a tie behind the entries already on that score', () => {
+    HighScores.addEntry('invaders', { initials: 'OLD', score: 500 });
+    HighScores.addEntry('invaders', { initials: 'MID', score: 500 });
+    const rank = HighScores.addEntry('invaders', { initials: 'NEW', score: 500 });
+
+    expect(rank).toBe(2);
+    expect(HighScores.getTable('invaders').map(entry => entry.initials)).toEqual(['OLD', 'MID', 'NEW']);
+  });
+
+  test('keeps only the top entries and turns away a score that ties the last one', () => {
+    fillTable('adventure', HighScores.MAX_ENTRIES); // 1000 down to 100
+
+    expect(HighScores.addEntry('adventure', { initials: 'TIE', score: 100 })).toBe(-1);
+    expect(HighScores.addEntry('adventure', { initials: 'IN', score: 150 })).toBe(HighScores.MAX_ENTRIES - 1);
+
+    const table = HighScores.getTable('adventure');
+    expect(table).toHaveLength(HighScores.MAX_ENTRIES);
+    expect(table[table.length - 1]).toMatchObject({ initials: 'INA', score: 150 });
+  });
+
+  test('stores clean initials, the level and the date', () => {
+    HighScores.addEntry('adventure', { initials: 'j.d', score: 10, level: 3 });
+    const [entry] = HighScores.getTable('adventure');
+
+    expect(entry).toMatchObject({ initials: 'JDA', score: 10, level: 3 });
+    expect(new Date(entry.date).toISOString()).toBe(entry.date);
+  });
+
+  test('starts entries on level 1 when no level is given', () => {
+    HighScores.addEntry('mind', { initials: 'ABC', score: 999 });
+    expect(HighScores.getTable('mind')[0].level).toBe(1);
+  });
+
+  test('keeps a separate table per game', () => {
+    HighScores.addEntry('adventure', { initials: 'ADV', score: 10 });
+    HighScores.addEntry('invaders', { initials: 'INV', score: 20 });
+
+    expect(HighScores.getTable('adventure').map(entry => entry.initials)).toEqual(['ADV']);
+    expect(HighScores.getTable('invaders').map(entry => entry.initials)).toEqual(['INV']);
+    expect(HighScores.getTable('mind')).toEqual([]);
+  });
+});
+
+describe('HighScores.qualifies', () => {
+  test('needs a positive score', () => {
+    expect(HighScores.qualifies('adventure', 0)).toBe(false);
+    expect(HighScores.qualifies('adventure', -5)).toBe(false);
+    expect(HighScores.qualifies('adventure', NaN)).toBe(false);
+    expect(HighScores.qualifies('adventure', 1)).toBe(true);
+  });
+
+  test('agrees with addEntry on a full table', () => {
+    fillTable('adventure', HighScores.MAX_ENTRIES);
+    expect(HighScores.qualifies('adventure', 100)).toBe(false);
+    expect(HighScores.qualifies('adventure', 101)).toBe(true);
+  });
+});
+
+describe('HighScores.normalizeInitials', () => {
+  test.each([
+    ['abc', 'ABC'],
+    ['x', 'XAA'],
+    ['', 'AAA'],
+    [undefined, 'AAA'],
+    ['a-b c!', 'ABC'],
+    ['r2d2', 'R2D']
+  ])('turns %p into %p', (text, initials) => {
+    expect(HighScores.normalizeInitials(text)).toBe(initials);
+  });
+});
+
+describe('HighScores storage', () => {
+  test('treats unreadable storage as an empty table', () => {
+    storage['multiverse.highScores'] = '{not json';
+    expect(HighScores.getTable('adventure')).toEqual([]);
+    expect(HighScores.addEntry('adventure', { initials: 'NEW', score: 10 })).toBe(0);
+  });
+});
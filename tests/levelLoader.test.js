@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const path = require('path');
+const LevelLoader = require('../js/levelLoader');
+
+const LEVELS_DIR = path.join(__dirname, '..', 'levels');
+
+// A small playable level: one player, four ghosts, a tunnel row
+const MAP = [
+  '#########',
+  '#o.....o#',
+  '#.##H##.#',
+  'T..GGGG.T',
+  '#.#####.#',
+  '#...P...#',
+  '#########'
+];
+
+/**
+ * Build the text of a level file.
+ * @param {Array<string>} map - Map rows.
+ * @param {string} [header] - Settings lines to put before the separator.
+ * @returns {string} The level file.
+ */
+function levelText(map, header = 'name: Test\nghosts: 4') {
+  return `${header}\n---\n${map.join('\n')}\n`;
+}
+
+/**
+ * Copy the map with one cell replaced.
+ * @param {number} row - Row of the cell.
+ * @param {number} col - Column of the cell.
+ * @param {string} symbol - New map symbol.
+ * @returns {Array<string>} The changed map.
+ */
+function withCell(row, col, symbol) {
+  return MAP.map((line, index) => index === row ? line.slice(0, col) + symbol + line.slice(col + 1) : line);
+}
+
+describe('LevelLoader.parse', () => {
+  test('reads the settings, spawns, ghost house, tunnels and pellets', () => {
+    const level = LevelLoader.parse(`; A comment\n${levelText(MAP, 'name: Test\nghosts: 4\nghostSpeed: 1.5')}`, 'test');
+
+    expect(level.name).toBe('Test');
+    expect(level.settings).toEqual({ name: 'Test', ghosts: 4, ghostSpeed: 1.5 });
+    expect(level.playerSpawn).toEqual({ row: 5, col: 4 });
+    expect(level.ghostSpawns).toHaveLength(4);
+    expect(level.ghostHouse).toEqual(expect.arrayContaining([{ row: 2, col: 4 }]));
+    expect(level.tunnels).toEqual([{ row: 3, col: 0 }, { row: 3, col: 8 }]);
+    expect(level.pellets[1][1]).toBe(LevelLoader.PELLET.POWER);
+    expect(level.pellets[1][2]).toBe(LevelLoader.PELLET.DOT);
+    expect(level.grid[0].every(cell => cell === 1)).toBe(true);
+  });
+
+  test('falls back to the default settings without a header', () => {
+    const level = LevelLoader.parse(MAP.join('\n'), 'test');
+    expect(level.settings).toEqual(LevelLoader.DEFAULT_SETTINGS);
+  });
+
+  test('round-trips through toMap() and format()', () => {
+    const level = LevelLoader.parse(levelText(MAP), 'test');
+    const again = LevelLoader.parse(LevelLoader.format(level.settings, LevelLoader.toMap(level)), 'test');
+    expect(LevelLoader.toMap(again)).toEqual(LevelLoader.toMap(level));
+    expect(again.settings).toEqual(level.settings);
+  });
+
+  test.each([
+    ['an invalid setting line', levelText(MAP, 'name = Test'), /invalid setting on line 1/],
+    ['an empty map', 'name: Test\n---\n', /the map is empty/],
+    ['rows of different widths', levelText(MAP.concat('###')), /map row 8 is 3 wide, expected 9/],
+    ['two player spawns', levelText(withCell(1, 4, 'P')), /more than one player spawn/],
+    ['an unknown symbol', levelText(withCell(1, 4, 'x')), /unknown map symbol "x" at row 2, column 5/],
+    ['no player spawn', levelText(withCell(5, 4, '.')), /no player spawn/],
+    ['no ghost spawn', levelText(MAP.map(line => line.replace(/G/g, 'H')), 'ghosts: 0'), /no ghost spawn/],
+    ['more ghosts than spawns', levelText(MAP, 'ghosts: 5'), /5 ghosts need 5 ghost spawns \(G\), found 4/],
+    ['an open cell on the edge', levelText(withCell(0, 4, '.')), /open cell on the edge at row 1, column 5/],
+    ['a lone tunnel exit', levelText(withCell(3, 8, '#')), /tunnel at row 4, column 1 has no exit/],
+    ['cells that cannot be reached', levelText(withCell(4, 4, ' ').map((line, row) => row === 3 ? 'T#.GGGG#T' : line)), /can't be reached/]
+  ])('rejects %s', (label, text, message) => {
+    expect(() => LevelLoader.parse(text, 'test')).toThrow(message);
+  });
+
+  test('names the source in error messages', () => {
+    expect(() => LevelLoader.parse('name: Test\n---\n', 'levels/broken.txt')).toThrow(/^levels\/broken\.txt: /);
+  });
+
+  test('accepts fewer ghosts than spawns', () => {
+    expect(LevelLoader.parse(levelText(MAP, 'ghosts: 2'), 'test').settings.ghosts).toBe(2);
+  });
+});
+
+describe('LevelLoader.getTunnelPartner', () => {
+  const tunnels = [{ row: 3, col: 0 }, { row: 3, col: 8 }, { row: 0, col: 2 }];
+
+  test('finds the exit on the opposite edge', () => {
+    expect(LevelLoader.getTunnelPartner(tunnels, 3, 0, 7, 9)).toEqual({ row: 3, col: 8 });
+    expect(LevelLoader.getTunnelPartner(tunnels, 3, 8, 7, 9)).toEqual({ row: 3, col: 0 });
+  });
+
+  test('returns null without a partner', () => {
+    expect(LevelLoader.getTunnelPartner(tunnels, 0, 2, 7, 9)).toBeNull();
+  });
+});
+
+describe('shipped levels', () => {
+  const campaign = JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, 'campaign.json'), 'utf8'));
+  const files = campaign.levels;
+
+  test.each(files)('%s parses with a spawn for every ghost', (file) => {
+    const level = LevelLoader.parse(fs.readFileSync(path.join(LEVELS_DIR, file), 'utf8'), file);
+    expect(level.ghostSpawns.length).toBeGreaterThanOrEqual(level.settings.ghosts);
+  });
+
+  test.each(files)('%s keeps the ghost house off the tunnel rows', (file) => {
+    const level = LevelLoader.parse(fs.readFileSync(path.join(LEVELS_DIR, file), 'utf8'), file);
+    const tunnelRows = level.tunnels.filter(({ col }) => col === 0).map(({ row }) => row);
+    const house = level.ghostHouse.concat(level.ghostSpawns);
+    house.forEach(({ row }) => expect(tunnelRows).not.toContain(row));
+  });
+});
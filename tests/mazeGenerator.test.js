@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+const MazeGenerator = require('../js/mazeGenerator');
+
+/**
+ * Count the path cells reachable from the first one, stepping through the
+ * edges like the tunnels do.
+ * @param {Array} grid - Maze grid (0 = path, 1 = wall).
+ * @returns {Object} {paths, reached}.
+ */
+function floodFill(grid) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const cells = [];
+  grid.forEach((line, row) => line.forEach((cell, col) => {
+    if (cell === 0) cells.push({ row, col });
+  }));
+
+  const seen = new Set([`${cells[0].row},${cells[0].col}`]);
+  const queue = [cells[0]];
+  while (queue.length > 0) {
+    const { row, col } = queue.shift();
+    [[-1, 0], [1, 0], [0, -1], [0, 1]].forEach(([dRow, dCol]) => {
+      const next = { row: (row + dRow + rows) % rows, col: (col + dCol + cols) % cols };
+      const key = `${next.row},${next.col}`;
+      if (grid[next.row][next.col] !== 0 || seen.has(key)) return;
+      seen.add(key);
+      queue.push(next);
+    });
+  }
+  return { paths: cells.length, reached: seen.size };
+}
+
+describe('MazeGenerator.generate', () => {
+  const seeds = [1, 2, 42, 1234, 'carlos', 987654];
+
+  test.each(seeds)('gives the same maze every time for seed %p', (seed) => {
+    const first = MazeGenerator.generate({ seed, tunnels: 1 });
+    const second = MazeGenerator.generate({ seed, tunnels: 1 });
+    expect(second.grid).toEqual(first.grid);
+  });
+
+  test('gives different mazes for different seeds', () => {
+    const layouts = new Set(seeds.map(seed => JSON.stringify(MazeGenerator.generate({ seed }).grid)));
+    expect(layouts.size).toBeGreaterThan(1);
+  });
+
+  test.each(seeds)('connects every path cell for seed %p', (seed) => {
+    const { grid } = MazeGenerator.generate({ seed, tunnels: 1 });
+    const { paths, reached } = floodFill(grid);
+    expect(paths).toBeGreaterThan(0);
+    expect(reached).toBe(paths);
+  });
+
+  test.each(seeds)('mirrors the left half onto the right for seed %p', (seed) => {
+    const { grid } = MazeGenerator.generate({ seed, rows: 17, cols: 21, tunnels: 2 });
+    grid.forEach(row => {
+      expect(row).toEqual(row.slice().reverse());
+    });
+  });
+
+  test.each(seeds)('leaves no dead ends for seed %p', (seed) => {
+    expect(MazeGenerator.analyze(MazeGenerator.generate({ seed }).grid).deadEnds).toEqual([]);
+  });
+
+  test('rounds sizes up to odd numbers with a minimum', () => {
+    const maze = MazeGenerator.generate({ seed: 3, rows: 8, cols: 2 });
+    expect(maze.rows).toBe(9);
+    expect(maze.cols).toBe(5);
+    expect(maze.grid).toHaveLength(9);
+    expect(maze.grid[0]).toHaveLength(5);
+  });
+
+  test('opens the requested tunnels as matching exits on both sides', () => {
+    const { grid } = MazeGenerator.generate({ seed: 5, rows: 15, cols: 15, tunnels: 2 });
+    const exits = grid.filter(row => row[0] === 0);
+    expect(exits).toHaveLength(2);
+    exits.forEach(row => expect(row[row.length - 1]).toBe(0));
+  });
+
+  test('keeps the outer wall closed without tunnels', () => {
+    const { grid } = MazeGenerator.generate({ seed: 9, loopDensity: 1 });
+    expect(grid[0].every(cell => cell === 1)).toBe(true);
+    expect(grid[grid.length - 1].every(cell => cell === 1)).toBe(true);
+    expect(grid.every(row => row[0] === 1 && row[row.length - 1] === 1)).toBe(true);
+  });
+});
+
+describe('MazeGenerator.analyze', () => {
+  test('reports a split maze and its dead ends', () => {
+    const grid = [
+      [1, 1, 1, 1, 1],
+      [1, 0, 1, 0, 1],
+      [1, 1, 1, 1, 1]
+    ];
+    const report = MazeGenerator.analyze(grid);
+    expect(report.isConnected).toBe(false);
+    expect(report.deadEnds).toEqual([{ row: 1, col: 1 }, { row: 1, col: 3 }]);
+    expect(report.isMirrored).toBe(true);
+    expect(report.pathCount).toBe(2);
+  });
+
+  test('notices a maze that is not mirrored', () => {
+    const grid = [
+      [1, 1, 1, 1],
+      [1, 0, 0, 1],
+      [1, 0, 1, 1],
+      [1, 1, 1, 1]
+    ];
+    expect(MazeGenerator.analyze(grid).isMirrored).toBe(false);
+  });
+});
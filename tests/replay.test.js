@@ -0,0 +1,247 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Browser pieces the engine touches, backed by the files on disk
+const ROOT = path.join(__dirname, '..');
+const storage = {};
+global.localStorage = {
+  getItem: key => (key in storage ? storage[key] : null),
+  setItem: (key, value) => { storage[key] = String(value); },
+  removeItem: key => { delete storage[key]; }
+};
+global.Image = class {};
+global.navigator = { userAgent: '' };
+global.fetch = url => Promise.resolve({
+  ok: true,
+  status: 200,
+  text: () => Promise.resolve(fs.readFileSync(path.join(ROOT, url), 'utf8'))
+});
+global.requestAnimationFrame = () => 1;
+global.cancelAnimationFrame = () => {};
+
+const Logger = require('../js/logger');
+const Replay = require('../js/replay');
+const CanvasManager = require('../js/canvasManager');
+const InputHandler = require('../js/inputHandler');
+const CollisionManager = require('../js/collisionManager');
+const GameEngine = require('../js/gameEngine');
+
+const { gameState, update } = GameEngine._testExports;
+
+const ASSETS = { faceOpen: { width: 40, height: 40 }, faceClosed: { width: 40, height: 40 } };
+
+// The player walks in a square, turning every 1.5 seconds
+const DIRECTIONS = [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }, { x: 0, y: -1 }];
+const TURN_TICKS = 90;
+const RUN_TICKS = 1800;
+
+// A drawing context that accepts every call
+const context = new Proxy({}, {
+  get: (target, key) => (key in target ? target[key] : () => ({ addColorStop() {} })),
+  set: (target, key, value) => { target[key] = value; return true; }
+});
+
+let dimensions = { width: 800, height: 600 };
+
+/**
+ * Wait until the engine has finished loading its level.
+ * @returns {Promise} Resolves once no level is loading.
+ */
+async function waitForLevel() {
+  for (let i = 0; i < 100 && gameState.isLoadingLevel; i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+/**
+ * Capture what a run looks like at this moment.
+ * @returns {Object} Tick, score, lives, the player's and ghosts' movement and
+ *   frightened timers, the ghost-eating chain and pellets left.
+ */
+function snapshot() {
+  const { player } = gameState;
+  return {
+    tick: gameState.tick,
+    score: gameState.score,
+    lives: gameState.lives,
+    level: gameState.difficultyLevel,
+    ghostEatChain: gameState.ghostEatChain,
+    player: {
+      x: player.x,
+      y: player.y,
+      direction: { ...player.direction },
+      nextDirection: { ...player.nextDirection },
+      speed: player.speed,
+      deathProgress: player.deathProgress
+    },
+    ghosts: gameState.ghosts.map(ghost => ({
+      x: ghost.x,
+      y: ghost.y,
+      direction: { ...ghost.direction },
+      speed: ghost.speed,
+      frightened: ghost.isFrightened(),
+      frightenedTimer: ghost.frightenedTimer,
+      frightenedWarning: ghost.frightenedWarning,
+      directionTimer: ghost.directionTimer
+    })),
+    pellets: gameState.maze.pellets.map(row => row.join('')).join('/')
+  };
+}
+
+/**
+ * Play a scripted run and save its recording.
+ * @param {number} seed - Seed of the run.
+ * @param {Object} size - Canvas size {width, height}.
+ * @param {Object} [assets] - Game assets; the images only change the drawing.
+ * @returns {Promise<Object>} {state, recording} at the end of the run.
+ */
+async function playRun(seed, size, assets = ASSETS) {
+  dimensions = size;
+  let reads = 0;
+  InputHandler.getDirection = () => DIRECTIONS[Math.floor(reads++ / TURN_TICKS) % DIRECTIONS.length];
+
+  GameEngine.initialize(assets, { seed });
+  await waitForLevel();
+  for (let i = 0; i < RUN_TICKS; i++) {
+    update(GameEngine.SIM_STEP);
+  }
+
+  const state = snapshot();
+  GameEngine.stop();
+  return { state, recording: GameEngine.getLastRecording() };
+}
+
+beforeAll(() => {
+  Logger.configure({ level: 'silent' });
+  CanvasManager.initialize = () => context;
+  CanvasManager.getDimensions = () => dimensions;
+  InputHandler.initialize = () => {};
+});
+
+afterEach(() => {
+  GameEngine.stop();
+  Object.keys(storage).forEach(key => delete storage[key]);
+});
+
+describe('Replay', () => {
+  test('create() starts an empty recording of the current version', () => {
+    const recording = Replay.create(1234);
+    expect(recording).toMatchObject({ version: Replay.VERSION, game: 'adventure', seed: 1234, ticks: 0, score: 0, inputs: [] });
+  });
+
+  test('record() keeps only changes of direction', () => {
+    const recording = Replay.create(1);
+    Replay.record(recording, 1, { x: 0, y: 0 });
+    Replay.record(recording, 2, { x: 1, y: 0 });
+    Replay.record(recording, 3, { x: 1, y: 0 });
+    Replay.record(recording, 9, { x: 0, y: -1 });
+    expect(recording.inputs).toEqual([{ tick: 2, x: 1, y: 0 }, { tick: 9, x: 0, y: -1 }]);
+  });
+
+  test('getDirection() plays the recorded directions back on their ticks', () => {
+    const recording = Replay.create(1);
+    recording.inputs = [{ tick: 2, x: 1, y: 0 }, { tick: 9, x: 0, y: -1 }];
+    const playback = Replay.createPlayback(recording);
+
+    const directions = [1, 2, 3, 8, 9, 20].map(tick => Replay.getDirection(playback, tick));
+    expect(directions).toEqual([
+      { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 0 }, { x: 0, y: -1 }, { x: 0, y: -1 }
+    ]);
+  });
+
+  test.each([
+    ['another game', { game: 'invaders' }, /Not an Adventure replay/],
+    ['another version', { version: Replay.VERSION - 1 }, /can't be played by this version/],
+    ['a missing seed', { seed: undefined }, /missing its seed/],
+    ['inputs out of order', { inputs: [{ tick: 5, x: 1, y: 0 }, { tick: 2, x: 0, y: 1 }] }, /input 2 is invalid/],
+    ['a diagonal input', { inputs: [{ tick: 5, x: 2, y: 0 }] }, /input 1 is invalid/]
+  ])('validate() rejects %s', (label, changes, message) => {
+    expect(() => Replay.validate({ ...Replay.create(1), ...changes })).toThrow(message);
+  });
+
+  test('save() keeps the newest recordings first and remove() deletes them', () => {
+    const first = Replay.save({ ...Replay.create(1), id: 'first' });
+    const second = Replay.save({ ...Replay.create(2), id: 'second' });
+    expect(Replay.list().map(item => item.id)).toEqual([second.id, first.id]);
+
+    Replay.remove(first.id);
+    expect(Replay.list().map(item => item.id)).toEqual([second.id]);
+  });
+
+  test('a saved recording survives the round trip through storage', () => {
+    const recording = Replay.create(77);
+    Replay.record(recording, 4, { x: -1, y: 0 });
+    recording.ticks = 10;
+
+    const saved = Replay.save(recording);
+    expect(Replay.validate(Replay.list()[0])).toEqual(saved);
+  });
+});
+
+describe('GameEngine determinism', () => {
+  test('the same seed and inputs play out the same', async () => {
+    const first = await playRun(42, { width: 800, height: 600 });
+    const second = await playRun(42, { width: 800, height: 600 });
+
+    expect(first.state.score).toBeGreaterThan(0);
+    expect(second.state).toEqual(first.state);
+    expect(second.recording.inputs).toEqual(first.recording.inputs);
+  });
+
+  test('a different seed plays out differently', async () => {
+    const first = await playRun(42, { width: 800, height: 600 });
+    const other = await playRun(43, { width: 800, height: 600 });
+
+    expect(other.state).not.toEqual(first.state);
+  });
+
+  test('the canvas size does not change how a run plays out', async () => {
+    const large = await playRun(7, { width: 1013, height: 777 });
+    const small = await playRun(7, { width: 300, height: 220 });
+
+    expect(small.state).toEqual(large.state);
+  });
+
+  test('the face images do not change how a run plays out', async () => {
+    const drawn = await playRun(5, { width: 800, height: 600 }, { faceOpen: { width: 73, height: 128 }, faceClosed: { width: 73, height: 128 } });
+    const missing = await playRun(5, { width: 800, height: 600 }, {});
+
+    expect(missing.state).toEqual(drawn.state);
+  });
+
+  test('ghosts turn away from the walls of the maze, without a browser window', async () => {
+    dimensions = { width: 800, height: 600 };
+    GameEngine.initialize(ASSETS, { seed: 3 });
+    await waitForLevel();
+    expect(typeof window).toBe('undefined');
+
+    // Park a ghost against the walls above and left of the top-left corner
+    const { grid, cellSize, offsetX, offsetY } = gameState.maze;
+    expect([grid[0][1], grid[1][0], grid[1][1]]).toEqual([1, 1, 0]);
+    const ghost = gameState.ghosts[0];
+    ghost.x = offsetX + cellSize;
+    ghost.y = offsetY + cellSize;
+    const box = { x: ghost.x, y: ghost.y, width: ghost.width, height: ghost.height };
+
+    for (let i = 0; i < 20; i++) {
+      ghost.direction = { x: 0, y: 0 };
+      ghost.chooseNewDirection();
+      expect(CollisionManager.canMove(gameState.maze, box, ghost.direction, ghost.speed * ghost.cellSize * 0.05)).toBe(true);
+    }
+  });
+
+  test('watching the recording reproduces the run, at any canvas size', async () => {
+    const run = await playRun(11, { width: 800, height: 600 });
+    expect(run.recording.ticks).toBe(RUN_TICKS);
+
+    dimensions = { width: 320, height: 480 };
+    await GameEngine.startReplay(ASSETS, run.recording);
+    GameEngine.seekReplay(run.recording.ticks);
+
+    expect(GameEngine.getReplayState()).toMatchObject({ tick: RUN_TICKS, ticks: RUN_TICKS });
+    expect(snapshot()).toEqual(run.state);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+const SeededRandom = require('../js/seededRandom');
+
+/**
+ * Draw a run of numbers from a generator.
+ * @param {Object} random - Generator from SeededRandom.create().
+ * @param {number} count - How many numbers to draw.
+ * @returns {Array<number>} The numbers, in order.
+ */
+function draw(random, count) {
+  return Array.from({ length: count }, () => random.next());
+}
+
+describe('SeededRandom.hashSeed', () => {
+  test('turns numbers and strings into unsigned 32-bit integers', () => {
+    [0, 1, 42, -7, 'abc', ''].forEach(seed => {
+      const hash = SeededRandom.hashSeed(seed);
+      expect(Number.isInteger(hash)).toBe(true);
+      expect(hash).toBeGreaterThanOrEqual(0);
+      expect(hash).toBeLessThan(2 ** 32);
+    });
+  });
+
+  test('treats a number and its text as the same seed', () => {
+    expect(SeededRandom.hashSeed(1234)).toBe(SeededRandom.hashSeed('1234'));
+  });
+
+  test('spreads nearby seeds apart', () => {
+    expect(SeededRandom.hashSeed(1)).not.toBe(SeededRandom.hashSeed(2));
+  });
+});
+
+describe('SeededRandom.create', () => {
+  test('repeats the same sequence for the same seed', () => {
+    expect(draw(SeededRandom.create(42), 100)).toEqual(draw(SeededRandom.create(42), 100));
+    expect(draw(SeededRandom.create('replay'), 100)).toEqual(draw(SeededRandom.create('replay'), 100));
+  });
+
+  test('gives different sequences for different seeds', () => {
+    expect(draw(SeededRandom.create(1), 10)).not.toEqual(draw(SeededRandom.create(2), 10));
+  });
+
+  test('keeps generators independent of each other and of Math.random', () => {
+    const expected = draw(SeededRandom.create(7), 20);
+
+    const random = SeededRandom.create(7);
+    const other = SeededRandom.create(7);
+    const mixed = [];
+    for (let i = 0; i < 20; i++) {
+      other.next();
+      Math.random();
+      mixed.push(random.next());
+    }
+
+    expect(mixed).toEqual(expected);
+  });
+
+  test('keeps the seed it was made with', () => {
+    expect(SeededRandom.create('abc').seed).toBe('abc');
+  });
+
+  test('returns floats in [0, 1)', () => {
+    draw(SeededRandom.create(99), 1000).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('nextInt() stays within bounds and reaches every value', () => {
+    const random = SeededRandom.create(5);
+    const seen = new Set();
+    for (let i = 0; i < 500; i++) {
+      const value = random.nextInt(6);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(6);
+      seen.add(value);
+    }
+    expect(seen.size).toBe(6);
+  });
+
+  test('pick() chooses from the array, or undefined when it is empty', () => {
+    const random = SeededRandom.create(3);
+    const items = ['up', 'down', 'left', 'right'];
+    for (let i = 0; i < 50; i++) {
+      expect(items).toContain(random.pick(items));
+    }
+    expect(random.pick([])).toBeUndefined();
+  });
+
+  test('shuffle() reorders in place, keeps every element and repeats per seed', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = SeededRandom.create(11).shuffle(items);
+
+    expect(shuffled).toBe(items);
+    expect([...shuffled].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(SeededRandom.create(11).shuffle([1, 2, 3, 4, 5, 6, 7, 8])).toEqual(shuffled);
+  });
+});